@@ -1,22 +1,24 @@
 require('dotenv').config();
-const { Telegraf, Markup, session } = require('telegraf');
-const admin = require('firebase-admin');
-
-// Initialize Firebase
-const serviceAccount = {
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-};
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-}
-
-const db = admin.firestore();
+const { isDeepStrictEqual } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Telegraf, Markup, session, Scenes } = require('telegraf');
+const { createStorage } = require('../lib/storage');
+const { createRepositories } = require('../lib/repositories');
+const { moderate, DEFAULT_RULES, RULE_ACTIONS } = require('../lib/moderation');
+const { ROLES, ROLE_NAMES, roleHasPermission } = require('../lib/roles');
+const { pseudonymFor, commentAuthorLabel } = require('../lib/pseudonyms');
+const { indexTokens, parseQuery, queryTokens, rankResults } = require('../lib/search');
+const { extractHashtags } = require('../lib/hashtags');
+const { DEFAULT_LOCALE, LOCALES, isLocale, resolveLocale, t, allTranslations } = require('../lib/i18n');
+const { createSessionStore } = require('../lib/sessionStore');
+const {
+  RATE_LIMIT_POLICIES, OVERRIDE_LEVELS, ALL_POLICIES, isPolicy, overrideFor,
+  effectiveLimits, availableTokens, spendToken, formatWait
+} = require('../lib/rateLimits');
+
+// Initialize storage (Firestore in production, in-memory or JSON file locally)
+const storage = createStorage();
+const repos = createRepositories(storage);
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
 // Global variables (will be reset on restart, but we'll use Firestore as source of truth)
@@ -26,49 +28,26 @@ let confessionCounter = 0; // This will be updated from Firestore
 async function initializeCounter() {
   try {
     // Get the system counters document
-    const counterDoc = await db.collection('system').doc('counters').get();
+    const counters = await repos.counters.get();
     
-    if (!counterDoc.exists) {
+    if (!counters) {
       // Initialize if doesn't exist
-      const snapshot = await db.collection('confessions')
-        .where('status', '==', 'approved')
-        .orderBy('confessionNumber', 'desc')
-        .limit(1)
-        .get();
-      
-      let maxConfession = 0;
-      if (!snapshot.empty) {
-        maxConfession = snapshot.docs[0].data().confessionNumber || 0;
-      }
+      const maxConfession = await repos.confessions.latestApprovedNumber();
       
       // Set initial counter
-      await db.collection('system').doc('counters').set({
-        confessionNumber: maxConfession,
-        lastAssigned: new Date().toISOString(),
-        initialized: new Date().toISOString()
-      });
+      await repos.counters.initialize(maxConfession);
       
       confessionCounter = maxConfession;
       console.log(`Initialized confession counter: ${confessionCounter}`);
     } else {
-      const data = counterDoc.data();
-      confessionCounter = data.confessionNumber || 0;
+      confessionCounter = counters.confessionNumber || 0;
       console.log(`Loaded confession counter from Firestore: ${confessionCounter}`);
     }
   } catch (error) {
     console.error('Counter init error:', error);
     // Fallback: try to get from confessions
     try {
-      const snapshot = await db.collection('confessions')
-        .where('status', '==', 'approved')
-        .orderBy('confessionNumber', 'desc')
-        .limit(1)
-        .get();
-      
-      if (!snapshot.empty) {
-        const latest = snapshot.docs[0].data();
-        confessionCounter = latest.confessionNumber || 0;
-      }
+      confessionCounter = await repos.confessions.latestApprovedNumber();
     } catch (fallbackError) {
       console.error('Fallback counter init also failed:', fallbackError);
       confessionCounter = 0;
@@ -78,134 +57,255 @@ async function initializeCounter() {
 
 // Get next confession number using Firestore transaction (atomic operation)
 async function getNextConfessionNumber() {
-  const counterRef = db.collection('system').doc('counters');
-  
   try {
-    const result = await db.runTransaction(async (transaction) => {
-      const doc = await transaction.get(counterRef);
-      
-      if (!doc.exists) {
-        // Initialize if doesn't exist
-        transaction.set(counterRef, {
-          confessionNumber: 1,
-          lastAssigned: new Date().toISOString()
-        });
-        return 1;
-      }
-      
-      const current = doc.data().confessionNumber;
-      const next = current + 1;
-      
-      transaction.update(counterRef, {
-        confessionNumber: next,
-        lastAssigned: new Date().toISOString()
-      });
-      
-      return next;
-    });
-    
-    return result;
+    return await repos.counters.nextConfessionNumber();
   } catch (error) {
     console.error('Transaction failed: ', error);
     throw error;
   }
 }
 
-// Persistent cooldown system using Firestore - FIXED: Removed memory Map
-async function checkCooldown(userId, action = 'confession', cooldownMs = 60000) {
-  const cooldownRef = db.collection('user_cooldowns').doc(userId.toString());
-  const doc = await cooldownRef.get();
-  
-  if (!doc.exists) return true; // No cooldown record, allowed
-  
-  const data = doc.data();
-  const lastAction = data[action];
+// ==================== RATE LIMITING ====================
+// Named token-bucket policies (lib/rateLimits.js), scaled by reputation and by any
+// per-user override an admin set with /ratelimit
+async function rateLimitsFor(userId, policyName) {
+  const [profile, overrides] = await Promise.all([
+    repos.users.get(userId),
+    repos.rateLimits.getOverrides(userId)
+  ]);
+  return effectiveLimits(policyName, { reputation: profile?.reputation, overrides });
+}
+
+// Spends one of the user's tries: `{ allowed, retryAfterMs }`
+async function consumeRateLimit(userId, policyName) {
+  const limits = await rateLimitsFor(userId, policyName);
+  if (!limits) return { allowed: true, retryAfterMs: 0 };
   
-  if (!lastAction) return true; // No action recorded for this type, allowed
+  return repos.rateLimits.take(policyName, userId, limits);
+}
+
+// Same answer as consumeRateLimit, without spending anything
+async function peekRateLimit(userId, policyName) {
+  const limits = await rateLimitsFor(userId, policyName);
+  if (!limits) return { allowed: true, retryAfterMs: 0 };
   
-  return (Date.now() - lastAction) > cooldownMs; // Return true if cooldown expired
+  const bucket = await repos.rateLimits.getBucket(policyName, userId);
+  return spendToken(bucket, limits, Date.now());
 }
 
-async function setCooldown(userId, action = 'confession') {
-  const cooldownRef = db.collection('user_cooldowns').doc(userId.toString());
-  await cooldownRef.set({
-    [action]: Date.now(),
-    updatedAt: new Date().toISOString()
-  }, { merge: true });
+// Same wording as formatWait, in the user's language
+function rateLimitMessage(ctx, policyName, retryAfterMs) {
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  const minutes = Math.ceil(seconds / 60);
+  const wait = seconds < 60
+    ? ctx.t(seconds === 1 ? 'time.second' : 'time.seconds', { count: seconds })
+    : ctx.t(minutes === 1 ? 'time.minute' : 'time.minutes', { count: minutes });
+  return ctx.t('ratelimit.wait', { actions: ctx.t(`ratelimit.${policyName}`), wait });
 }
 
-// Comment rate limiting
-async function checkCommentRateLimit(userId, windowMs = 30000, maxComments = 3) { // 30 seconds, 3 comments
-  const rateLimitRef = db.collection('user_rate_limits').doc(userId.toString());
-  const doc = await rateLimitRef.get();
-  
-  if (!doc.exists) return true; // No rate limit record, allowed
-  
-  const data = doc.data();
-  const recentComments = data.commentTimestamps || [];
-  
-  // Filter timestamps within the window
-  const now = Date.now();
-  const recent = recentComments.filter(ts => (now - ts) <= windowMs);
+// Sessions are stored so a flow started on one serverless instance can finish on another.
+// Telegraf keys them by user and chat (`{userId}:{chatId}`).
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS, 10) || 72) * 60 * 60 * 1000;
+
+bot.use(session({ store: createSessionStore(repos.sessions, { ttlMs: SESSION_TTL_MS }) }));
+bot.use(async (ctx, next) => {
+  ctx.session = ctx.session || {};
+  await next();
+});
+
+// Interface language for this update; ctx.t looks strings up in the user's catalog
+bot.use(async (ctx, next) => {
+  const profile = ctx.from ? await repos.users.get(ctx.from.id) : null;
+  ctx.locale = ctx.from ? resolveLocale(profile, ctx.from.language_code) : DEFAULT_LOCALE;
+  ctx.t = (key, params) => t(ctx.locale, key, params);
+  await next();
+});
+
+// Admin roles looked up while handling this update are reused until it is done
+bot.use((ctx, next) => adminRoleCache.run(new Map(), next));
+
+// Expired sessions already read as empty; this only frees their documents
+async function purgeExpiredSessions(now = new Date()) {
+  let removed = 0;
+  let deleted;
+  do {
+    deleted = await repos.sessions.deleteExpired(now.toISOString());
+    removed += deleted;
+  } while (deleted > 0);
   
-  return recent.length < maxComments; // Return true if under limit
+  if (removed > 0) console.log(`Purged ${removed} expired sessions`);
 }
 
-async function recordComment(userId) {
-  const rateLimitRef = db.collection('user_rate_limits').doc(userId.toString());
-  const now = Date.now();
-  
-  await db.runTransaction(async (transaction) => {
-    const doc = await transaction.get(rateLimitRef);
-    
-    if (!doc.exists) {
-      transaction.set(rateLimitRef, {
-        commentTimestamps: [now],
-        updatedAt: new Date().toISOString()
-      });
-    } else {
-      transaction.update(rateLimitRef, {
-        commentTimestamps: admin.firestore.FieldValue.arrayUnion(now),
-        updatedAt: new Date().toISOString()
-      });
+// Notices sent outside an update use the recipient's saved language
+async function userLocale(userId) {
+  return resolveLocale(await repos.users.get(userId));
+}
+
+// ==================== CONVERSATION FLOWS ====================
+// Every "type your ... now" prompt is a scene. Starting one abandons the flow in
+// progress, /cancel leaves it from any step and each step expires after `ttl` seconds.
+// `label` is the catalog key naming the flow in the timeout and cancel replies.
+// `cleanup` undoes what an abandoned flow was holding (e.g. a review claim).
+const FLOW_TTL_SECONDS = 10 * 60;
+const flows = {};
+const stage = new Scenes.Stage();
+
+function createFlow(id, { label, ttl = FLOW_TTL_SECONDS, cleanup = null }) {
+  const scene = new Scenes.BaseScene(id, { ttl });
+  flows[id] = { label, cleanup };
+  
+  // Whatever the step did, a flow still waiting for input gets a fresh timeout
+  scene.use(async (ctx, next) => {
+    await next();
+    if (ctx.scene.session.current === id) {
+      ctx.scene.session.expires = Math.floor(Date.now() / 1000) + ttl;
     }
   });
   
-  // Clean up old timestamps (optional cleanup)
-  setTimeout(async () => {
-    try {
-      const doc = await rateLimitRef.get();
-      if (doc.exists) {
-        const data = doc.data();
-        const now = Date.now();
-        const recent = data.commentTimestamps.filter(ts => (now - ts) <= 30000); // 30 second window
-        
-        await rateLimitRef.update({
-          commentTimestamps: recent
-        });
-      }
-    } catch (error) {
-      console.error('Cleanup error:', error);
-    }
-  }, 1000); // Cleanup after 1 second
+  stage.register(scene);
+  return scene;
 }
 
-// Initialize session and counter
-bot.use(session());
-bot.use(async (ctx, next) => {
-  ctx.session = ctx.session || {};
+async function runFlowCleanup(ctx, id, state) {
+  try {
+    await flows[id]?.cleanup?.(ctx, state);
+  } catch (error) {
+    console.error('Flow cleanup error:', error);
+  }
+}
+
+// Leaves the current flow without finishing it; returns the flow that was left
+async function abandonFlow(ctx) {
+  const id = ctx.scene.session.current;
+  if (!id) return null;
+  
+  const state = { ...ctx.scene.state };
+  await ctx.scene.leave();
+  await runFlowCleanup(ctx, id, state);
+  return flows[id] || null;
+}
+
+// Re-entering the step already in progress (e.g. tapping Reject twice) keeps what it holds
+async function enterFlow(ctx, id, state = {}) {
+  const current = ctx.scene.session.current;
+  if (current && !(current === id && isDeepStrictEqual(ctx.scene.state, state))) {
+    await abandonFlow(ctx);
+  }
+  await ctx.scene.enter(id, state);
+}
+
+// Telegraf quietly forgets expired scenes; tell the user and clean up instead
+stage.use(async (ctx, next) => {
+  const scenes = ctx.session.__scenes;
+  if (scenes?.current && scenes.expires < Date.now() / 1000) {
+    ctx.scene.reset();
+    await runFlowCleanup(ctx, scenes.current, scenes.state || {});
+    if (ctx.chat && flows[scenes.current]) {
+      await ctx.reply(ctx.t('flow.timed_out', { flow: ctx.t(flows[scenes.current].label) }));
+    }
+  }
+  await next();
+});
+
+stage.command('cancel', async (ctx) => {
+  const flow = await abandonFlow(ctx);
+  if (!flow) {
+    await ctx.reply(ctx.t('flow.nothing_to_cancel'));
+    return;
+  }
+  
+  await ctx.reply(ctx.t('flow.cancelled', { flow: ctx.t(flow.label) }), mainMenuKeyboard(ctx.locale));
+});
+
+// Other commands and main-menu buttons abandon the flow and are then handled as usual
+stage.use(async (ctx, next) => {
+  const text = ctx.message?.text;
+  if (text && (text.startsWith('/') || MENU_LABELS.has(text))) {
+    await abandonFlow(ctx);
+  }
   await next();
 });
 
+bot.use(stage.middleware());
+
 // ==================== ADMIN VERIFICATION ====================
-function isAdmin(userId) {
+// Roles live in the `admins` collection; IDs in ADMIN_IDS are made owners the
+// first time an instance sees them (see repositories/admins.js)
+let adminsSeeded = null;
+
+async function ensureAdminsSeeded() {
+  const ownerIds = process.env.ADMIN_IDS?.split(',').map(id => id.trim()).filter(Boolean) || [];
+  adminsSeeded = adminsSeeded || repos.admins.ensureOwners(ownerIds).catch(error => {
+    adminsSeeded = null; // Try again on the next lookup
+    throw error;
+  });
+  await adminsSeeded;
+}
+
+// Per-update cache of roles by user ID; empty outside of an update (e.g. cron jobs)
+const adminRoleCache = new AsyncLocalStorage();
+
+async function getAdminRole(userId) {
   // Validate input
   if (!userId || typeof userId !== 'number' && typeof userId !== 'string') {
-    return false;
+    return null;
   }
   
-  const adminIds = process.env.ADMIN_IDS?.split(',').map(id => id.trim()) || [];
-  return adminIds.includes(userId.toString());
+  const cache = adminRoleCache.getStore();
+  if (cache?.has(userId.toString())) return cache.get(userId.toString());
+  
+  await ensureAdminsSeeded();
+  const admin = await repos.admins.get(userId);
+  const role = admin && ROLES[admin.role] ? admin.role : null;
+  cache?.set(userId.toString(), role);
+  return role;
+}
+
+// Drops a cached role after it was changed during this update
+function forgetAdminRole(userId) {
+  adminRoleCache.getStore()?.delete(userId.toString());
+}
+
+async function isAdmin(userId) {
+  return (await getAdminRole(userId)) !== null;
+}
+
+// True when the admin's role grants any of the given permissions
+async function hasPermission(userId, ...permissions) {
+  const role = await getAdminRole(userId);
+  return permissions.some(permission => roleHasPermission(role, permission));
+}
+
+// ==================== AUDIT LOG ====================
+const AUDIT_ACTIONS = [
+  'confession_approve', 'confession_reject', 'confession_claim', 'confession_release',
+  'appeal_overturn', 'appeal_uphold',
+  'report_hide', 'report_dismiss',
+  'comment_hide', 'comment_unhide', 'comment_delete', 'comments_lock', 'comments_unlock',
+  'user_mute', 'user_unmute', 'rate_limit_override',
+  'queue_publish', 'queue_hold', 'queue_move', 'queue_config', 'search_reindex',
+  'user_block', 'user_unblock', 'user_message', 'broadcast',
+  'admin_add', 'admin_role', 'admin_remove',
+  'rule_create', 'rule_update', 'rule_delete'
+];
+
+// Appends a privileged action to `audit_log`; a failed write is logged but never blocks the action
+async function recordAudit(ctx, action, { targetType = null, targetId = null, targetUserId = null, before = null, after = null, details = null } = {}) {
+  try {
+    await repos.auditLog.record({
+      actorId: ctx.from.id.toString(),
+      actorName: adminDisplayName(ctx.from),
+      action,
+      targetType,
+      targetId: targetId === null ? null : targetId.toString(),
+      targetUserId: targetUserId === null ? null : targetUserId.toString(),
+      before,
+      after,
+      details
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
 }
 
 // ==================== INPUT SANITIZATION ====================
@@ -223,12 +323,35 @@ function sanitizeInput(text) {
   return sanitized;
 }
 
+// Escape characters that legacy Markdown would treat as formatting
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// ==================== AUTO MODERATION ====================
+async function runModeration(text) {
+  try {
+    await repos.moderationRules.ensureDefaults(DEFAULT_RULES);
+    const rules = await repos.moderationRules.list();
+    return moderate(text, rules);
+  } catch (error) {
+    // A moderation outage shouldn't block submissions; admins still review everything
+    console.error('Moderation error:', error);
+    return { verdict: 'pass', reason: null, flags: [], matches: [] };
+  }
+}
+
+function formatModerationFlags(moderation) {
+  if (!moderation || moderation.flags.length === 0) return '';
+  
+  const lines = moderation.flags.map(flag => `• ${escapeMarkdown(flag.name)}: ${escapeMarkdown(flag.detail)}`);
+  return `⚠️ *Flagged by auto-moderation:*\n${lines.join('\n')}\n\n`;
+}
+
 // ==================== REPUTATION SYSTEM ====================
 async function updateReputation(userId, points) {
   try {
-    await db.collection('users').doc(userId.toString()).update({
-      reputation: admin.firestore.FieldValue.increment(points)
-    });
+    await repos.users.addReputation(userId, points);
   } catch (error) {
     console.error('Reputation update error:', error);
     // Log error but don't fail the operation
@@ -244,53 +367,68 @@ async function checkAchievements(userId) {
   // First Confession Achievement
   if (profile.totalConfessions >= 1 && !profile.achievements?.includes('first_confession')) {
     achievements.push('first_confession');
-    await awardAchievement(userId, 'first_confession', 'First Confession!');
+    await awardAchievement(userId, 'first_confession');
   }
   
   // 10 Confessions Achievement
   if (profile.totalConfessions >= 10 && !profile.achievements?.includes('ten_confessions')) {
     achievements.push('ten_confessions');
-    await awardAchievement(userId, 'ten_confessions', 'Confession Master (10)!');
+    await awardAchievement(userId, 'ten_confessions');
   }
   
   // 50 Followers Achievement
   if (profile.followers?.length >= 50 && !profile.achievements?.includes('fifty_followers')) {
     achievements.push('fifty_followers');
-    await awardAchievement(userId, 'fifty_followers', 'Popular User (50 followers)!');
+    await awardAchievement(userId, 'fifty_followers');
   }
   
   // Daily Streak Achievement
   if (profile.dailyStreak >= 7 && !profile.achievements?.includes('week_streak')) {
     achievements.push('week_streak');
-    await awardAchievement(userId, 'week_streak', 'Week Streak!');
+    await awardAchievement(userId, 'week_streak');
   }
 }
 
-async function awardAchievement(userId, achievementId, message) {
+async function awardAchievement(userId, achievementId) {
   try {
-    await db.collection('users').doc(userId.toString()).update({
-      achievements: admin.firestore.FieldValue.arrayUnion(achievementId),
-      achievementCount: admin.firestore.FieldValue.increment(1)
-    });
+    await repos.users.addAchievement(userId, achievementId);
     
     // Notify user about achievement
-    await bot.telegram.sendMessage(userId, `🎉 Achievement Unlocked!\n\n${message}`);
+    const locale = await userLocale(userId);
+    await dispatchNotification(userId, 'achievement', t(locale, 'achievement.unlocked', {
+      name: t(locale, `achievement.${achievementId}`)
+    }));
   } catch (error) {
     console.error('Achievement award error:', error);
   }
 }
 
 // ==================== HASHTAG SYSTEM ====================
-function extractHashtags(text) {
-  const hashtagRegex = /#[a-zA-Z0-9_]+/g;
-  return text.match(hashtagRegex) || [];
+// Tag counters follow the confessions that are publicly visible: published
+// confessions count, hidden ones don't. Days use the publishing timezone.
+const HASHTAG_PERIODS = {
+  today: { label: 'period.today', days: 1 },
+  week: { label: 'period.week', days: 7 },
+  month: { label: 'period.month', days: 30 },
+  all: { label: 'period.all', days: null }
+};
+
+// Calendar day in the queue's timezone, as set with /queueconfig
+function localDay(date, timezoneOffset) {
+  return new Date(date.getTime() + timezoneOffset * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+async function recordHashtagUsage(confession, delta) {
+  const { timezoneOffset } = await getPublishingSettings();
+  const day = localDay(new Date(confession.approvedAt || Date.now()), timezoneOffset);
+  await repos.hashtags.record(confession.hashtags || [], day, delta);
 }
 
 // ==================== USER PROFILE MANAGEMENT ====================
 async function getUserProfile(userId) {
-  const userDoc = await db.collection('users').doc(userId.toString()).get();
+  const existingProfile = await repos.users.get(userId);
   
-  if (!userDoc.exists) {
+  if (!existingProfile) {
     // Create default profile
     const newProfile = {
       userId: userId,
@@ -310,28 +448,220 @@ async function getUserProfile(userId) {
       notifications: {
         confessionApproved: true,
         newComment: true,
+        commentReply: true,
         newFollower: true,
-        newConfession: true
+        hashtag: true,
+        achievement: true
       },
       tags: []
     };
     
-    await db.collection('users').doc(userId.toString()).set(newProfile);
-    return newProfile;
+    return repos.users.create(userId, newProfile);
+  }
+  
+  return existingProfile;
+}
+
+// ==================== NOTIFICATION DISPATCH ====================
+// Every event notification goes through dispatchNotification, which checks the
+// recipient's preference first. Codes keep the Settings callback data short;
+// labels are catalog keys.
+const NOTIFICATION_TYPES = {
+  confessionApproved: { code: 'a', label: 'settings.type.approved' },
+  newComment: { code: 'c', label: 'settings.type.comment' },
+  commentReply: { code: 'r', label: 'settings.type.reply' },
+  newFollower: { code: 'f', label: 'settings.type.follower' },
+  hashtag: { code: 't', label: 'settings.type.hashtag' },
+  achievement: { code: 'h', label: 'settings.type.achievement' }
+};
+
+// Older profiles kept new-post notifications under `newConfession`
+const LEGACY_NOTIFICATION_TYPES = { hashtag: 'newConfession' };
+
+// Preferences missing from older profiles count as switched on
+function notificationEnabled(profile, type) {
+  const preferences = profile?.notifications || {};
+  return (preferences[type] ?? preferences[LEGACY_NOTIFICATION_TYPES[type]]) !== false;
+}
+
+// How notifications reach the user; digests are collected and sent by the digest job
+// (labels and descriptions are catalog keys)
+const DELIVERY_MODES = {
+  instant: { label: 'settings.mode.instant', description: 'settings.mode.instant_about' },
+  hourly: { label: 'settings.mode.hourly', description: 'settings.mode.hourly_about' },
+  daily: { label: 'settings.mode.daily', description: 'settings.mode.daily_about' },
+  off: { label: 'settings.mode.off', description: 'settings.mode.off_about' }
+};
+
+// Daily digests go out at this local hour (same timezone as the publishing queue)
+const DIGEST_DAILY_HOUR = /^([01]?\d|2[0-3])$/.test(process.env.DIGEST_DAILY_HOUR ?? '')
+  ? Number(process.env.DIGEST_DAILY_HOUR)
+  : 20;
+
+function deliveryMode(profile) {
+  return DELIVERY_MODES[profile?.notificationDelivery] ? profile.notificationDelivery : 'instant';
+}
+
+// When a digest started now should be sent: the next full hour, or the next daily slot
+// in the queue's timezone (hours from UTC)
+function nextDigestTime(mode, timezoneOffset, now = new Date()) {
+  if (mode === 'hourly') {
+    const next = new Date(now);
+    next.setUTCMinutes(0, 0, 0);
+    next.setUTCHours(next.getUTCHours() + 1);
+    return next;
+  }
+  
+  const offsetMs = timezoneOffset * 60 * 60 * 1000;
+  const local = new Date(now.getTime() + offsetMs);
+  let next = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate(), DIGEST_DAILY_HOUR) - offsetMs;
+  if (next <= now.getTime()) next += 24 * 60 * 60 * 1000;
+  return new Date(next);
+}
+
+// Notifications are Markdown, so user text in them goes through escapeMarkdown.
+// Digests are plain text: markers are dropped there and escaped characters kept.
+function stripMarkdown(text) {
+  return text.replace(/\\([_*`\[])|[_*`]/g, (marker, escaped) => escaped || '');
+}
+
+// Sends the notification unless the user switched this type off, or buffers it
+// for their digest. Returns whether it was sent or buffered.
+async function dispatchNotification(userId, type, message, extra = {}) {
+  try {
+    const profile = await repos.users.get(userId);
+    if (!profile || !profile.isActive || !notificationEnabled(profile, type)) return false;
+    
+    const mode = deliveryMode(profile);
+    if (mode === 'off') return false;
+    
+    if (mode !== 'instant') {
+      const { timezoneOffset } = await getPublishingSettings();
+      await repos.notificationDigests.add(userId, { type, text: stripMarkdown(message) }, nextDigestTime(mode, timezoneOffset).toISOString());
+      return true;
+    }
+    
+    await bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown', ...extra });
+    return true;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return false;
   }
+}
+
+const DIGEST_MAX_EVENTS = 15;
+const DIGEST_PAGE_SIZE = 50;
+
+// Sends every digest that is due; run by the digest cron job
+async function sendNotificationDigests(now = new Date()) {
+  // Sent digests are deleted, so keep fetching until nothing is due. A digest that
+  // failed stays due and is skipped here; the next run retries it.
+  const handled = new Set();
   
-  return userDoc.data();
+  for (;;) {
+    const due = (await repos.notificationDigests.listDue(now.toISOString(), DIGEST_PAGE_SIZE + handled.size))
+      .filter(({ userId }) => !handled.has(userId));
+    if (due.length === 0) break;
+    
+    for (const { userId } of due) {
+      handled.add(userId);
+      await sendDigest(userId);
+    }
+  }
+}
+
+async function sendDigest(userId) {
+  try {
+    // Whoever empties the digest sends it, so overlapping runs can't double-send
+    const events = await repos.notificationDigests.take(userId);
+    if (events.length === 0) return;
+    
+    const profile = await repos.users.get(userId);
+    if (!profile?.isActive || deliveryMode(profile) === 'off') return;
+    
+    const locale = resolveLocale(profile);
+    let text = `${t(locale, 'digest.title', { count: events.length })}\n\n`;
+    events.slice(0, DIGEST_MAX_EVENTS).forEach(event => {
+      text += `• ${event.text.replace(/\n+/g, ' ')}\n`;
+    });
+    if (events.length > DIGEST_MAX_EVENTS) {
+      text += `${t(locale, 'digest.more', { count: events.length - DIGEST_MAX_EVENTS })}\n`;
+    }
+    
+    await bot.telegram.sendMessage(userId, text.substring(0, 4000));
+  } catch (error) {
+    console.error('Digest send error:', error);
+  }
 }
 
 // ==================== TRENDING SYSTEM ====================
-async function getTrendingConfessions(limit = 5) {
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('status', '==', 'approved')
-    .orderBy('totalComments', 'desc')
-    .limit(limit)
-    .get();
+const TRENDING_WEIGHTS = { comments: 3, reactions: 2, views: 0.5 };
+const TRENDING_HALF_LIFE_HOURS = Number(process.env.TRENDING_HALF_LIFE_HOURS) || 12;
+const TRENDING_PERIODS = {
+  today: { label: 'period.today', windowMs: 24 * 60 * 60 * 1000 },
+  week: { label: 'period.week', windowMs: 7 * 24 * 60 * 60 * 1000 },
+  all: { label: 'period.all', windowMs: null }
+};
+
+function engagementScore(confession) {
+  return (confession.totalComments || 0) * TRENDING_WEIGHTS.comments +
+    (confession.totalReactions || 0) * TRENDING_WEIGHTS.reactions +
+    (confession.commentViews || 0) * TRENDING_WEIGHTS.views;
+}
+
+// Stored as log2(1 + engagement) + hours / half-life: sorting by this orders confessions
+// exactly like engagement * 0.5^(age / half-life), but old scores never need rewriting
+function trendingScore(confession) {
+  const publishedHours = Date.parse(confession.approvedAt || confession.createdAt) / (60 * 60 * 1000);
+  return Math.log2(1 + engagementScore(confession)) + publishedHours / TRENDING_HALF_LIFE_HOURS;
+}
+
+// Recompute after any engagement change (comments, reactions, views)
+async function refreshTrendingScore(confessionId) {
+  try {
+    const confession = await repos.confessions.get(confessionId);
+    if (!confession || confession.status !== 'approved') return;
+    
+    await repos.confessions.update(confessionId, {
+      engagementScore: engagementScore(confession),
+      trendingScore: trendingScore(confession),
+      trendingUpdatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Trending score error:', error);
+  }
+}
+
+// Today and This Week can't range-query the window and sort by score at once, so they
+// rank the newest TRENDING_SCAN_LIMIT confessions of the window in memory. Each ranking
+// is kept for TRENDING_CACHE_MS so switching tabs doesn't reread the whole window.
+const TRENDING_SCAN_LIMIT = 200;
+const TRENDING_CACHE_MS = 60 * 1000;
+const trendingCache = new Map();
+
+async function getTrendingConfessions(limit = 5, period = 'today') {
+  const { windowMs } = TRENDING_PERIODS[period];
+  
+  // All time ranks by raw engagement, without decay. Scores are set when a confession is
+  // published; older ones get theirs from /reindex.
+  if (!windowMs) {
+    return repos.confessions.listTopEngagement(limit);
+  }
+  
+  const cached = trendingCache.get(period);
+  if (cached && Date.now() - cached.at < TRENDING_CACHE_MS) {
+    return cached.ranked.slice(0, limit);
+  }
+  
+  const since = new Date(Date.now() - windowMs).toISOString();
+  const recent = await repos.confessions.listApprovedSince(since, TRENDING_SCAN_LIMIT);
+  const ranked = recent
+    .filter(confession => !confession.hidden)
+    .map(confession => ({ ...confession, trendingScore: confession.trendingScore ?? trendingScore(confession) }))
+    .sort((a, b) => b.trendingScore - a.trendingScore);
   
-  return confessionsSnapshot.docs.map(doc => doc.data());
+  trendingCache.set(period, { at: Date.now(), ranked });
+  return ranked.slice(0, limit);
 }
 
 // ==================== DAILY CHECKIN SYSTEM ====================
@@ -340,7 +670,13 @@ bot.command('checkin', async (ctx) => {
   const profile = await getUserProfile(userId);
   
   if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
+    await ctx.reply(ctx.t('common.blocked'));
+    return;
+  }
+  
+  const limit = await consumeRateLimit(userId, 'checkin');
+  if (!limit.allowed) {
+    await ctx.reply(rateLimitMessage(ctx, 'checkin', limit.retryAfterMs));
     return;
   }
   
@@ -348,7 +684,7 @@ bot.command('checkin', async (ctx) => {
   const lastCheckin = profile.lastCheckin ? new Date(profile.lastCheckin).toDateString() : null;
   
   if (lastCheckin === today) {
-    await ctx.reply(`✅ You already checked in today!\n\nCurrent streak: ${profile.dailyStreak} days`);
+    await ctx.reply(ctx.t('checkin.already', { days: profile.dailyStreak }));
     return;
   }
   
@@ -362,14 +698,14 @@ bot.command('checkin', async (ctx) => {
     }
   }
   
-  await db.collection('users').doc(userId.toString()).update({
+  await repos.users.update(userId, {
     dailyStreak: newStreak,
     lastCheckin: new Date().toISOString()
   });
   
   await updateReputation(userId, 2); // 2 points for daily checkin
   
-  await ctx.reply(`🎉 Daily Check-in!\n\n✅ +2 reputation points\nCurrent streak: ${newStreak} days`);
+  await ctx.reply(ctx.t('checkin.done', { days: newStreak }));
   
   // Check for streak achievements
   await checkAchievements(userId);
@@ -377,52 +713,72 @@ bot.command('checkin', async (ctx) => {
 
 // ==================== ADMIN DASHBOARD ====================
 bot.command('admin', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await isAdmin(ctx.from.id))) {
     await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  const stats = await getBotStats();
+  const { text, keyboard } = await adminDashboard(ctx.from.id);
+  await ctx.replyWithMarkdown(text, keyboard);
+});
+
+// Dashboard text plus the buttons the admin's role is allowed to use
+async function adminDashboard(userId) {
+  const role = await getAdminRole(userId);
+  const can = (permission) => roleHasPermission(role, permission);
+  
+  let text = `🔐 *Admin Dashboard*\n**Role:** ${ROLES[role].label}\n\n`;
+  if (can('view_stats')) {
+    const stats = await getBotStats();
+    text += `**Total Users:** ${stats.totalUsers}\n`;
+    text += `**Pending Confessions:** ${stats.pendingConfessions}\n`;
+    text += `**Queued Confessions:** ${stats.scheduledConfessions}\n`;
+    text += `**Approved Confessions:** ${stats.approvedConfessions}\n`;
+    text += `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  }
   
-  const text = `🔐 *Admin Dashboard*\n\n`;
-  const users = `**Total Users:** ${stats.totalUsers}\n`;
-  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
-  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
-  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  const buttons = [
+    ['view_identity', '👥 Manage Users', 'manage_users'],
+    ['approve', '📝 Review Confessions', 'review_confessions'],
+    ['approve', '🗓 Publishing Queue', 'publish_queue'],
+    ['approve', '⚖️ Appeals', 'appeal_queue'],
+    ['reject', '🚩 Reports', 'report_queue'],
+    ['broadcast', '📢 Broadcast Message', 'broadcast_message'],
+    ['view_stats', '📊 Bot Statistics', 'bot_stats'],
+    ['block', '❌ Block User', 'block_user'],
+    ['block', '✅ Unblock User', 'unblock_user'],
+    ['manage_admins', '🛡 Manage Admins', 'manage_admins']
+  ];
   
-  const fullText = text + users + confessions + approved + rejected;
+  const keyboard = Markup.inlineKeyboard(
+    buttons
+      .filter(([permission]) => can(permission))
+      .map(([, label, action]) => [Markup.button.callback(label, action)])
+  );
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('👥 Manage Users', 'manage_users')],
-    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
-    [Markup.button.callback('📢 Broadcast Message', 'broadcast_message')],
-    [Markup.button.callback('📊 Bot Statistics', 'bot_stats')],
-    [Markup.button.callback('❌ Block User', 'block_user')],
-    [Markup.button.callback('✅ Unblock User', 'unblock_user')]
-  ]);
-
-  await ctx.replyWithMarkdown(fullText, keyboard);
-});
+  return { text, keyboard };
+}
 
 // Get bot statistics
 async function getBotStats() {
-  const usersSnapshot = await db.collection('users').get();
-  const confessionsSnapshot = await db.collection('confessions').get();
+  const users = await repos.users.list();
+  const confessions = await repos.confessions.list();
   
-  let pending = 0, approved = 0, rejected = 0;
+  let pending = 0, scheduled = 0, approved = 0, rejected = 0;
   
-  confessionsSnapshot.forEach(doc => {
-    const data = doc.data();
+  confessions.forEach(data => {
     switch (data.status) {
       case 'pending': pending++; break;
+      case 'scheduled': scheduled++; break;
       case 'approved': approved++; break;
       case 'rejected': rejected++; break;
     }
   });
   
   return {
-    totalUsers: usersSnapshot.size,
+    totalUsers: users.length,
     pendingConfessions: pending,
+    scheduledConfessions: scheduled,
     approvedConfessions: approved,
     rejectedConfessions: rejected
   };
@@ -430,14 +786,14 @@ async function getBotStats() {
 
 // ==================== MANAGE USERS ====================
 bot.action('manage_users', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'view_identity'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const usersSnapshot = await db.collection('users').limit(10).get();
+  const users = await repos.users.list(10);
   
-  if (usersSnapshot.empty) {
+  if (users.length === 0) {
     await ctx.editMessageText(
       `👥 *Manage Users*\n\nNo users found.`,
       { parse_mode: 'Markdown' }
@@ -448,8 +804,7 @@ bot.action('manage_users', async (ctx) => {
   let usersText = `👥 *Manage Users*\n\n`;
   const keyboard = [];
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
+  for (const userData of users) {
     const username = userData.username || 'No username';
     const joinDate = new Date(userData.joinDate).toLocaleDateString();
     const confessions = userData.totalConfessions || 0;
@@ -478,7 +833,7 @@ bot.action('manage_users', async (ctx) => {
 
 // View user details
 bot.action(/view_user_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'view_identity'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -516,7 +871,7 @@ bot.action(/view_user_(.+)/, async (ctx) => {
 
 // Toggle user block status
 bot.action(/toggle_block_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'block'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -524,8 +879,13 @@ bot.action(/toggle_block_(.+)/, async (ctx) => {
   const userId = ctx.match[1];
   const profile = await getUserProfile(userId);
   
-  await db.collection('users').doc(userId.toString()).update({
-    isActive: !profile.isActive
+  await repos.users.setActive(userId, !profile.isActive);
+  await recordAudit(ctx, profile.isActive ? 'user_block' : 'user_unblock', {
+    targetType: 'user',
+    targetId: userId,
+    targetUserId: userId,
+    before: { isActive: profile.isActive },
+    after: { isActive: !profile.isActive }
   });
   
   await ctx.answerCbQuery(profile.isActive ? '❌ User blocked!' : '✅ User unblocked!');
@@ -562,20 +922,16 @@ bot.action(/toggle_block_(.+)/, async (ctx) => {
 
 // View user confessions
 bot.action(/view_user_confessions_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'view_identity'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
   const userId = ctx.match[1];
   
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('userId', '==', parseInt(userId))
-    .orderBy('createdAt', 'desc')
-    .limit(10)
-    .get();
+  const userConfessions = await repos.confessions.listByUser(parseInt(userId), 10);
   
-  if (confessionsSnapshot.empty) {
+  if (userConfessions.length === 0) {
     await ctx.editMessageText(
       `📝 *User Confessions*\n\nNo confessions found for this user.`,
       { parse_mode: 'Markdown' }
@@ -586,14 +942,13 @@ bot.action(/view_user_confessions_(.+)/, async (ctx) => {
   let confessionsText = `📝 *User Confessions*\n\n`;
   const keyboard = [];
   
-  for (const doc of confessionsSnapshot.docs) {
-    const data = doc.data();
+  for (const data of userConfessions) {
     const status = data.status.charAt(0).toUpperCase() + data.status.slice(1);
     const createdAt = new Date(data.createdAt).toLocaleDateString();
     
     confessionsText += `• #${data.confessionNumber || 'N/A'} - ${status}\n`;
     confessionsText += `  Created: ${createdAt}\n`;
-    confessionsText += `  "${data.text.substring(0, 50)}${data.text.length > 50 ? '...' : ''}"\n\n`;
+    confessionsText += `  "${confessionPreview(data)}"\n\n`;
     
     keyboard.push([
       Markup.button.callback(`🔍 View Confession #${data.confessionNumber || 'N/A'}`, `view_confession_${data.confessionId}`)
@@ -610,18 +965,18 @@ bot.action(/view_user_confessions_(.+)/, async (ctx) => {
 
 // ==================== REVIEW CONFESSIONS ====================
 bot.action('review_confessions', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'approve', 'reject'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const pendingSnapshot = await db.collection('confessions')
-    .where('status', '==', 'pending')
-    .orderBy('createdAt', 'asc')
-    .limit(10)
-    .get();
+  const pendingConfessions = await repos.confessions.listByStatus('pending', {
+    orderBy: 'createdAt',
+    direction: 'asc',
+    limit: 10
+  });
   
-  if (pendingSnapshot.empty) {
+  if (pendingConfessions.length === 0) {
     await ctx.editMessageText(
       `📝 *Pending Confessions*\n\nNo pending confessions to review.`,
       { parse_mode: 'Markdown' }
@@ -631,18 +986,21 @@ bot.action('review_confessions', async (ctx) => {
   
   let confessionsText = `📝 *Pending Confessions*\n\n`;
   const keyboard = [];
+  const showAuthor = await hasPermission(ctx.from.id, 'view_identity');
   
-  for (const doc of pendingSnapshot.docs) {
-    const data = doc.data();
-    const user = await getUserProfile(data.userId);
-    const username = user.username ? `@${user.username}` : `ID: ${data.userId}`;
+  for (const data of pendingConfessions) {
+    let username = 'Anonymous';
+    if (showAuthor) {
+      const user = await getUserProfile(data.userId);
+      username = user.username ? `@${user.username}` : `ID: ${data.userId}`;
+    }
     
-    confessionsText += `• From: ${username}\n`;
-    confessionsText += `  Confession: "${data.text.substring(0, 50)}${data.text.length > 50 ? '...' : ''}"\n\n`;
+    confessionsText += `• ${data.moderation?.verdict === 'flag' ? '⚠️ ' : ''}From: ${username}\n`;
+    confessionsText += `  Confession: "${confessionPreview(data)}"\n\n`;
     
     keyboard.push([
-      Markup.button.callback(`✅ Approve #${doc.id}`, `approve_${doc.id}`),
-      Markup.button.callback(`❌ Reject #${doc.id}`, `reject_${doc.id}`)
+      Markup.button.callback(`✅ Approve #${data.confessionId}`, `approve_${data.confessionId}`),
+      Markup.button.callback(`❌ Reject #${data.confessionId}`, `reject_${data.confessionId}`)
     ]);
   }
   
@@ -654,175 +1012,1132 @@ bot.action('review_confessions', async (ctx) => {
   });
 });
 
-// ==================== BROADCAST MESSAGE ====================
-bot.action('broadcast_message', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+// ==================== MODERATION RULES ====================
+function describeRule(rule) {
+  const status = rule.enabled ? '✅' : '⏸';
+  let detail = '';
+  if (rule.type === 'banned_words') detail = ` — ${rule.config.words.length} words`;
+  if (rule.type === 'regex') detail = ` — /${rule.config.pattern}/${rule.config.flags || ''}`;
+  
+  return `${status} ${rule.name} [${rule.action}]${detail}\n   Reason: ${rule.reason}`;
+}
+
+async function showModerationRules(ctx, edit = false) {
+  await repos.moderationRules.ensureDefaults(DEFAULT_RULES);
+  const rules = await repos.moderationRules.list();
+  
+  let text = `🛡 Auto-Moderation Rules\n\n`;
+  rules.forEach(rule => {
+    text += `${describeRule(rule)}\n\n`;
+  });
+  text += `Commands:\n/banword <en|am> <word> — ban a word or phrase\n/unbanword <en|am> <word> — unban it\n/addregex <reject|flag|pass> <pattern> | <reason> — add a regex rule`;
+  
+  const keyboard = rules.map(rule => [
+    Markup.button.callback(`${rule.enabled ? '⏸ Disable' : '▶️ Enable'} ${rule.name}`, `modrule_toggle_${rule.id}`),
+    Markup.button.callback(`⚖️ ${rule.action}`, `modrule_action_${rule.id}`),
+    Markup.button.callback('🗑', `modrule_delete_${rule.id}`)
+  ]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('modrules', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  await ctx.editMessageText(
-    `📢 *Broadcast Message*\n\nEnter your message to broadcast to all users:`,
-    { parse_mode: 'Markdown' }
-  );
-  ctx.session.waitingForBroadcast = true;
-  await ctx.answerCbQuery();
+  await showModerationRules(ctx);
 });
 
-bot.on('text', async (ctx) => {
-  // Handle confession submission
-  if (ctx.session.waitingForConfession) {
-    await handleConfession(ctx, ctx.message.text);
+bot.action(/^modrule_(toggle|action|delete)_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  // Handle rejection reason
-  if (ctx.session.rejectingConfession) {
-    await handleRejection(ctx, ctx.message.text);
+  const [, operation, ruleId] = ctx.match;
+  const rule = await repos.moderationRules.get(ruleId);
+  if (!rule) {
+    await ctx.answerCbQuery('❌ Rule not found');
     return;
   }
   
-  // Handle admin messages to users
-  if (ctx.session.messagingUser) {
-    await handleAdminMessage(ctx, ctx.message.text);
+  const audit = { targetType: 'moderation_rule', targetId: ruleId };
+  
+  if (operation === 'toggle') {
+    await repos.moderationRules.update(ruleId, { enabled: !rule.enabled, updatedBy: ctx.from.id });
+    await recordAudit(ctx, 'rule_update', { ...audit, before: { enabled: rule.enabled }, after: { enabled: !rule.enabled } });
+    await ctx.answerCbQuery(rule.enabled ? 'Rule disabled' : 'Rule enabled');
+  } else if (operation === 'action') {
+    // Cycle reject -> flag -> pass
+    const nextAction = RULE_ACTIONS[(RULE_ACTIONS.indexOf(rule.action) + 1) % RULE_ACTIONS.length];
+    await repos.moderationRules.update(ruleId, { action: nextAction, updatedBy: ctx.from.id });
+    await recordAudit(ctx, 'rule_update', { ...audit, before: { action: rule.action }, after: { action: nextAction } });
+    await ctx.answerCbQuery(`Action set to ${nextAction}`);
+  } else {
+    await repos.moderationRules.remove(ruleId);
+    await recordAudit(ctx, 'rule_delete', { ...audit, before: rule });
+    await ctx.answerCbQuery('🗑 Rule deleted');
+  }
+  
+  await showModerationRules(ctx, true);
+});
+
+async function changeBannedWords(ctx, add) {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  // Handle comment submission
-  if (ctx.session.waitingForComment) {
-    await addComment(ctx, ctx.message.text);
+  const [, language, ...words] = ctx.message.text.trim().split(/\s+/);
+  const phrase = words.join(' ').trim();
+  
+  if (!['en', 'am'].includes(language) || !phrase) {
+    await ctx.reply(`Usage: /${add ? 'banword' : 'unbanword'} <en|am> <word or phrase>`);
     return;
   }
   
-  // Handle username setting
-  if (ctx.session.waitingForUsername) {
-    const username = ctx.message.text.trim();
-    
-    // Validate username
-    if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
-      await ctx.reply('❌ Invalid username. Use 3-20 characters (letters, numbers, underscores only).');
-      return;
-    }
-    
-    // Check if username already exists
-    const existingUsers = await db.collection('users')
-      .where('username', '==', username)
-      .limit(1)
-      .get();
-    
-    if (!existingUsers.empty && existingUsers.docs[0].data().userId !== ctx.from.id) {
-      await ctx.reply('❌ Username already taken. Choose another one.');
-      return;
-    }
-    
-    // Update profile
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      username: username
-    });
-    
-    await ctx.reply(`✅ Username updated to @${username}`);
-    ctx.session.waitingForUsername = false;
+  await repos.moderationRules.ensureDefaults(DEFAULT_RULES);
+  const ruleId = `banned_words_${language}`;
+  const rule = await repos.moderationRules.get(ruleId);
+  
+  if (!rule && add) {
+    const defaults = DEFAULT_RULES.find(defaultRule => defaultRule.id === ruleId);
+    await repos.moderationRules.create({ ...defaults, config: { ...defaults.config, words: [phrase] }, createdBy: ctx.from.id });
+  } else if (!rule) {
+    await ctx.reply('❌ No banned word list for that language.');
     return;
+  } else if (add) {
+    await repos.moderationRules.addWords(ruleId, [phrase]);
+  } else {
+    await repos.moderationRules.removeWords(ruleId, [phrase]);
   }
   
-  // Handle bio setting
-  if (ctx.session.waitingForBio) {
-    const bio = ctx.message.text.trim();
-    
-    if (bio.length > 100) {
-      await ctx.reply('❌ Bio too long. Maximum 100 characters.');
-      return;
-    }
-    
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      bio: bio
-    });
-    
-    await ctx.reply('✅ Bio updated successfully!');
-    ctx.session.waitingForBio = false;
+  await recordAudit(ctx, rule ? 'rule_update' : 'rule_create', {
+    targetType: 'moderation_rule',
+    targetId: ruleId,
+    details: add ? { addedWord: phrase } : { removedWord: phrase }
+  });
+  await ctx.reply(add ? `✅ "${phrase}" added to the ${language} banned list.` : `✅ "${phrase}" removed from the ${language} banned list.`);
+}
+
+bot.command('banword', async (ctx) => {
+  await changeBannedWords(ctx, true);
+});
+
+bot.command('unbanword', async (ctx) => {
+  await changeBannedWords(ctx, false);
+});
+
+bot.command('addregex', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  // Handle broadcast message
-  if (ctx.session.waitingForBroadcast) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForBroadcast = false;
-      return;
-    }
-    
-    await broadcastMessage(ctx.message.text);
-    await ctx.reply('✅ Broadcast message sent to all users!');
-    ctx.session.waitingForBroadcast = false;
+  const match = ctx.message.text.match(/^\/addregex(?:@\w+)?\s+(reject|flag|pass)\s+(.+?)\s*\|\s*(.+)$/s);
+  if (!match) {
+    await ctx.reply('Usage: /addregex <reject|flag|pass> <pattern> | <reason shown to the user>');
     return;
   }
   
-  // Handle manual block
-  if (ctx.session.waitingForBlockUserId) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForBlockUserId = false;
-      return;
+  const [, action, pattern, reason] = match;
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    await ctx.reply(`❌ Invalid pattern: ${error.message}`);
+    return;
+  }
+  
+  const rule = await repos.moderationRules.create({
+    type: 'regex',
+    name: `Regex ${pattern.substring(0, 20)}`,
+    action: action,
+    reason: reason.trim(),
+    enabled: true,
+    config: { pattern: pattern, flags: 'i' },
+    createdBy: ctx.from.id
+  });
+  
+  await recordAudit(ctx, 'rule_create', { targetType: 'moderation_rule', targetId: rule.id, after: rule });
+  await ctx.reply(`✅ Regex rule added (${rule.action}).`);
+});
+
+// ==================== PUBLISHING QUEUE ====================
+// Defaults come from the environment; admins can override them with /queueconfig
+function parseQuietHours(value) {
+  if (!value || value === 'off') return { quietStart: null, quietEnd: null };
+  
+  const match = value.match(/^(\d{1,2})-(\d{1,2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 23) return null;
+  return { quietStart: Number(match[1]), quietEnd: Number(match[2]) };
+}
+
+const PUBLISH_DEFAULTS = {
+  intervalMinutes: Number(process.env.PUBLISH_INTERVAL_MINUTES ?? 15),
+  timezoneOffset: Number(process.env.PUBLISH_TZ_OFFSET ?? 3), // Hours from UTC (Ethiopia is UTC+3)
+  ...parseQuietHours(process.env.PUBLISH_QUIET_HOURS ?? '0-6')
+};
+
+async function getPublishingSettings() {
+  return { ...PUBLISH_DEFAULTS, ...(await repos.publishQueue.getSettings()) };
+}
+
+function isQuietHour(date, settings) {
+  if (settings.quietStart === null || settings.quietStart === undefined) return false;
+  
+  const hour = (date.getUTCHours() + settings.timezoneOffset + 24) % 24;
+  if (settings.quietStart <= settings.quietEnd) {
+    return hour >= settings.quietStart && hour < settings.quietEnd;
+  }
+  return hour >= settings.quietStart || hour < settings.quietEnd; // Window crosses midnight
+}
+
+function describePublishingSettings(settings) {
+  const pad = (hour) => `${String(hour).padStart(2, '0')}:00`;
+  const quiet = settings.quietStart === null || settings.quietStart === undefined
+    ? 'no quiet hours'
+    : `quiet ${pad(settings.quietStart)}–${pad(settings.quietEnd)}`;
+  const offset = settings.timezoneOffset >= 0 ? `+${settings.timezoneOffset}` : settings.timezoneOffset;
+  
+  return `One post every ${settings.intervalMinutes} min, ${quiet} (UTC${offset})`;
+}
+
+// Publishes the next queued confession if the current time slot is free.
+// Called by the cron route and opportunistically after every approval.
+async function drainPublishQueue(now = new Date()) {
+  const settings = await getPublishingSettings();
+  if (isQuietHour(now, settings)) return null;
+  
+  const next = (await repos.publishQueue.list()).find(item => !item.held);
+  if (!next) return null;
+  
+  const claim = await repos.publishQueue.claimSlot(settings.intervalMinutes * 60 * 1000, now.getTime());
+  if (!claim) return null;
+  
+  let number = null;
+  try {
+    number = await publishQueued(next);
+  } catch (error) {
+    console.error('Queue publish error:', error);
+  }
+  
+  // Nothing was posted, so the slot stays free for the next run
+  if (!number) {
+    await repos.publishQueue.releaseSlot(claim);
+    return null;
+  }
+  console.log(`Published queued confession ${next.confessionId} as #${number}`);
+  return number;
+}
+
+// Takes an item off the queue and publishes it. Another instance (or "publish now")
+// may have taken it already; a failed channel post puts it back in its old place.
+async function publishQueued(item) {
+  if (!(await repos.publishQueue.take(item.confessionId))) return null;
+  
+  try {
+    return await publishConfession(item.confessionId);
+  } catch (error) {
+    await repos.publishQueue.restore(item);
+    throw error;
+  }
+}
+
+async function showPublishQueue(ctx, edit = false) {
+  const settings = await getPublishingSettings();
+  const queue = await repos.publishQueue.list();
+  
+  let text = `🗓 Publishing Queue (${queue.length})\n${describePublishingSettings(settings)}\n`;
+  if (settings.lastPublishedAt) {
+    text += `Last post: ${new Date(settings.lastPublishedAt).toLocaleString()}\n`;
+  }
+  text += `\n`;
+  
+  const keyboard = [];
+  
+  if (queue.length === 0) {
+    text += 'The queue is empty.';
+  }
+  
+  for (const [index, item] of queue.slice(0, 10).entries()) {
+    const confession = await repos.confessions.get(item.confessionId);
+    const preview = confession ? confessionPreview(confession, 60) : '(missing)';
+    
+    text += `${index + 1}. ${item.held ? '⏸ ' : ''}${preview}\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`⬆️ ${index + 1}`, `queue_up_${item.confessionId}`),
+      Markup.button.callback('⬇️', `queue_down_${item.confessionId}`),
+      Markup.button.callback('🚀 Now', `queue_publish_${item.confessionId}`),
+      Markup.button.callback(item.held ? '▶️ Release' : '⏸ Hold', `queue_hold_${item.confessionId}`)
+    ]);
+  }
+  
+  if (queue.length > 10) {
+    text += `\n…and ${queue.length - 10} more`;
+  }
+  
+  keyboard.push([Markup.button.callback('🔄 Refresh', 'publish_queue')]);
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('queue', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  await showPublishQueue(ctx);
+});
+
+bot.action('publish_queue', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  try {
+    await showPublishQueue(ctx, true);
+  } catch (error) {
+    if (!error.description?.includes('message is not modified')) throw error;
+  }
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^queue_(up|down|publish|hold)_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, operation, confessionId] = ctx.match;
+  const item = await repos.publishQueue.get(confessionId);
+  if (!item) {
+    await ctx.answerCbQuery('❌ No longer in the queue');
+    await showPublishQueue(ctx, true);
+    return;
+  }
+  
+  try {
+    if (operation === 'up' || operation === 'down') {
+      const queue = await repos.publishQueue.list();
+      const index = queue.findIndex(queued => queued.confessionId === confessionId);
+      const neighbour = queue[operation === 'up' ? index - 1 : index + 1];
+      
+      if (!neighbour) {
+        await ctx.answerCbQuery(operation === 'up' ? 'Already first' : 'Already last');
+        return;
+      }
+      
+      await repos.publishQueue.swap(confessionId, neighbour.confessionId);
+      await recordAudit(ctx, 'queue_move', {
+        targetType: 'confession',
+        targetId: confessionId,
+        before: { position: index },
+        after: { position: operation === 'up' ? index - 1 : index + 1 }
+      });
+      await ctx.answerCbQuery(operation === 'up' ? '⬆️ Moved up' : '⬇️ Moved down');
+    } else if (operation === 'hold') {
+      await repos.publishQueue.setHeld(confessionId, !item.held);
+      await recordAudit(ctx, 'queue_hold', {
+        targetType: 'confession',
+        targetId: confessionId,
+        before: { held: Boolean(item.held) },
+        after: { held: !item.held }
+      });
+      await ctx.answerCbQuery(item.held ? '▶️ Released' : '⏸ On hold');
+    } else {
+      // Publishing now skips the slot check but still counts as the latest post
+      const number = await publishQueued(item);
+      if (number) await repos.publishQueue.updateSettings({ lastPublishedAt: new Date().toISOString() });
+      if (number) {
+        await recordAudit(ctx, 'queue_publish', {
+          targetType: 'confession',
+          targetId: confessionId,
+          before: { status: 'scheduled' },
+          after: { status: 'approved', confessionNumber: number }
+        });
+      }
+      await ctx.answerCbQuery(number ? `🚀 Published as #${number}` : '❌ Already published');
+    }
+    
+    await showPublishQueue(ctx, true);
+  } catch (error) {
+    console.error('Queue action error:', error);
+    await ctx.answerCbQuery('❌ Queue update failed');
+  }
+});
+
+bot.command('queueconfig', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [, setting, value] = ctx.message.text.trim().split(/\s+/);
+  const usage = `Usage:\n/queueconfig interval <minutes, at least 1>\n/queueconfig quiet <start-end | off> (e.g. 23-7)\n/queueconfig timezone <hours from UTC>`;
+  
+  if (!setting) {
+    await ctx.reply(`🗓 ${describePublishingSettings(await getPublishingSettings())}\n\n${usage}`);
+    return;
+  }
+  
+  let changes = null;
+  if (setting === 'interval' && /^\d+$/.test(value || '') && Number(value) >= 1) {
+    changes = { intervalMinutes: Number(value) };
+  } else if (setting === 'quiet') {
+    changes = parseQuietHours(value);
+  } else if (setting === 'timezone' && /^[+-]?\d{1,2}$/.test(value || '') && Math.abs(Number(value)) <= 14) {
+    changes = { timezoneOffset: Number(value) };
+  }
+  
+  if (!changes) {
+    await ctx.reply(usage);
+    return;
+  }
+  
+  const before = await getPublishingSettings();
+  await repos.publishQueue.updateSettings({ ...changes, updatedBy: ctx.from.id, updatedAt: new Date().toISOString() });
+  await recordAudit(ctx, 'queue_config', {
+    targetType: 'settings',
+    targetId: 'publishing',
+    before: Object.fromEntries(Object.keys(changes).map(key => [key, before[key] ?? null])),
+    after: changes
+  });
+  await ctx.reply(`✅ ${describePublishingSettings(await getPublishingSettings())}`);
+});
+
+// ==================== MANAGE ADMINS ====================
+const ADMIN_CHANGE_ERRORS = {
+  missing: '❌ That user is not an admin.',
+  last_owner: '❌ There must always be at least one owner.'
+};
+
+async function showAdmins(ctx, edit = false) {
+  const admins = await repos.admins.list();
+  
+  let text = `🛡 Admins (${admins.length})\n\n`;
+  admins.forEach(admin => {
+    const who = admin.name ? `${admin.name} (${admin.userId})` : admin.userId;
+    text += `• ${who} — ${ROLES[admin.role]?.label || admin.role}\n`;
+  });
+  text += `\nRoles: ${ROLE_NAMES.join(', ')}\n`;
+  text += `/addadmin <user id> <role> — add an admin or change their role\n/removeadmin <user id> — remove an admin`;
+  
+  const keyboard = admins.map(admin => [
+    Markup.button.callback(`🔄 ${admin.name || admin.userId}: ${admin.role}`, `admins_role_${admin.userId}`),
+    Markup.button.callback('🗑', `admins_remove_${admin.userId}`)
+  ]);
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('admins', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'manage_admins'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  await showAdmins(ctx);
+});
+
+bot.action('manage_admins', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'manage_admins'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await showAdmins(ctx, true);
+  await ctx.answerCbQuery();
+});
+
+bot.command('addadmin', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'manage_admins'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [, userId, role] = ctx.message.text.trim().split(/\s+/);
+  if (!/^\d+$/.test(userId || '') || !ROLE_NAMES.includes(role)) {
+    await ctx.reply(`Usage: /addadmin <user id> <${ROLE_NAMES.join('|')}>`);
+    return;
+  }
+  
+  try {
+    const existing = await repos.admins.get(userId);
+    if (existing) {
+      const result = await repos.admins.changeRole(userId, role);
+      forgetAdminRole(userId);
+      if (!result.ok) {
+        await ctx.reply(ADMIN_CHANGE_ERRORS[result.reason]);
+        return;
+      }
+    } else {
+      const user = await repos.users.get(userId);
+      await repos.admins.set(userId, {
+        role,
+        name: user?.username ? `@${user.username}` : null,
+        addedBy: ctx.from.id
+      });
+      forgetAdminRole(userId);
+    }
+    await recordAudit(ctx, existing ? 'admin_role' : 'admin_add', {
+      targetType: 'admin',
+      targetId: userId,
+      targetUserId: userId,
+      before: existing ? { role: existing.role } : null,
+      after: { role }
+    });
+    
+    await ctx.reply(`✅ ${userId} is now ${ROLES[role].label}.`);
+  } catch (error) {
+    console.error('Add admin error:', error);
+    await ctx.reply('❌ Failed to update admin.');
+  }
+});
+
+bot.command('removeadmin', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'manage_admins'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [, userId] = ctx.message.text.trim().split(/\s+/);
+  if (!/^\d+$/.test(userId || '')) {
+    await ctx.reply('Usage: /removeadmin <user id>');
+    return;
+  }
+  
+  const existing = await repos.admins.get(userId);
+  const result = await repos.admins.remove(userId);
+  forgetAdminRole(userId);
+  if (result.ok) {
+    await recordAudit(ctx, 'admin_remove', { targetType: 'admin', targetId: userId, targetUserId: userId, before: { role: existing.role } });
+  }
+  await ctx.reply(result.ok ? `✅ ${userId} is no longer an admin.` : ADMIN_CHANGE_ERRORS[result.reason]);
+});
+
+bot.action(/^admins_(role|remove)_(\d+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'manage_admins'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, operation, userId] = ctx.match;
+  
+  try {
+    const admin = await repos.admins.get(userId);
+    const audit = { targetType: 'admin', targetId: userId, targetUserId: userId, before: admin && { role: admin.role } };
+    
+    let result;
+    if (operation === 'role') {
+      // Cycle through the roles in order
+      const nextRole = ROLE_NAMES[(ROLE_NAMES.indexOf(admin?.role) + 1) % ROLE_NAMES.length];
+      result = await repos.admins.changeRole(userId, nextRole);
+      forgetAdminRole(userId);
+      if (result.ok) {
+        await recordAudit(ctx, 'admin_role', { ...audit, after: { role: nextRole } });
+        await ctx.answerCbQuery(`${userId} → ${ROLES[nextRole].label}`);
+      }
+    } else {
+      result = await repos.admins.remove(userId);
+      forgetAdminRole(userId);
+      if (result.ok) {
+        await recordAudit(ctx, 'admin_remove', audit);
+        await ctx.answerCbQuery('🗑 Admin removed');
+      }
+    }
+    
+    if (!result.ok) {
+      await ctx.answerCbQuery(ADMIN_CHANGE_ERRORS[result.reason], { show_alert: true });
+      return;
+    }
+    
+    await showAdmins(ctx, true);
+  } catch (error) {
+    console.error('Admin change error:', error);
+    await ctx.answerCbQuery('❌ Failed to update admin');
+  }
+});
+
+// ==================== AUDIT LOG QUERIES ====================
+const AUDIT_PAGE_SIZE = 15;
+const AUDIT_USAGE = `Usage: /auditlog [admin:<id>] [user:<id>] [action:<action>] [from:YYYY-MM-DD] [to:YYYY-MM-DD] [page:<n>]\n\nActions: ${AUDIT_ACTIONS.join(', ')}`;
+
+// Turns `key:value` arguments into repository filters; returns null on bad input
+function parseAuditFilters(args) {
+  const filters = { page: 1 };
+  
+  for (const arg of args) {
+    const [, key, value] = arg.match(/^(\w+):(.+)$/) || [];
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(value || '') ? new Date(`${value}T00:00:00Z`) : null;
+    
+    if (key === 'admin' && /^\d+$/.test(value)) filters.actorId = value;
+    else if (key === 'user' && /^\d+$/.test(value)) filters.targetUserId = value;
+    else if (key === 'action' && AUDIT_ACTIONS.includes(value)) filters.action = value;
+    else if (key === 'from' && day && !isNaN(day)) filters.from = day.toISOString();
+    else if (key === 'to' && day && !isNaN(day)) filters.to = new Date(day.getTime() + 24 * 60 * 60 * 1000).toISOString(); // inclusive
+    else if (key === 'page' && /^[1-9]\d*$/.test(value)) filters.page = Number(value);
+    else return null;
+  }
+  
+  return filters;
+}
+
+function formatAuditValue(value) {
+  const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.substring(0, 60)}...` : text;
+}
+
+function formatAuditEntry(entry) {
+  const time = entry.createdAt.replace('T', ' ').substring(0, 16);
+  const target = entry.targetId ? ` ${entry.targetType} ${entry.targetId}` : '';
+  const user = entry.targetUserId && entry.targetUserId !== entry.targetId ? ` (user ${entry.targetUserId})` : '';
+  let text = `• ${time} — ${entry.actorName || entry.actorId} [${entry.actorId}] ${entry.action}${target}${user}\n`;
+  
+  const keys = [...new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})])];
+  keys.forEach(key => {
+    text += `   ${key}: ${formatAuditValue(entry.before?.[key] ?? '-')} → ${formatAuditValue(entry.after?.[key] ?? '-')}\n`;
+  });
+  Object.entries(entry.details || {}).forEach(([key, value]) => {
+    text += `   ${key}: ${formatAuditValue(value)}\n`;
+  });
+  
+  return text;
+}
+
+bot.command('auditlog', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'view_audit_log'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const args = ctx.message.text.trim().split(/\s+/).slice(1);
+  const filters = parseAuditFilters(args);
+  if (!filters) {
+    await ctx.reply(AUDIT_USAGE);
+    return;
+  }
+  
+  try {
+    const { page, ...query } = filters;
+    const { entries, hasMore } = await repos.auditLog.query({
+      ...query,
+      offset: (page - 1) * AUDIT_PAGE_SIZE,
+      limit: AUDIT_PAGE_SIZE
+    });
+    
+    if (entries.length === 0) {
+      await ctx.reply(`📜 Audit Log\n\nNo matching entries.`);
+      return;
+    }
+    
+    let text = `📜 Audit Log (page ${page})\n\n`;
+    entries.forEach(entry => {
+      text += formatAuditEntry(entry);
+    });
+    if (hasMore) {
+      const nextArgs = args.filter(arg => !arg.startsWith('page:')).concat(`page:${page + 1}`);
+      text += `\nMore: /auditlog ${nextArgs.join(' ')}`;
+    }
+    
+    await ctx.reply(text);
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    await ctx.reply('❌ Could not load the audit log.');
+  }
+});
+
+// ==================== APPEALS & RESUBMISSIONS ====================
+// A rejected confession can be edited and resubmitted (a new confession linked to the
+// original) or appealed once. Appeals wait in their own admin queue; the outcome is
+// kept on the confession as `appeal.status` ('pending', 'upheld' or 'overturned').
+const APPEAL_MAX_LENGTH = 500;
+
+bot.action(/^resubmit_(.+)$/, async (ctx) => {
+  const confession = await repos.confessions.get(ctx.match[1]);
+  if (!confession || !repos.confessions.canFollowUp(confession, ctx.from.id)) {
+    await ctx.answerCbQuery(ctx.t('appeal.cannot_resubmit'), { show_alert: true });
+    return;
+  }
+  
+  await ctx.answerCbQuery();
+  const prompted = await sendConfessionCommand(ctx, confession.confessionId);
+  
+  // Only when the prompt went out (not blocked or on cooldown)
+  if (prompted && confession.text) {
+    await ctx.reply(ctx.t('appeal.original', { text: confession.text }));
+  }
+});
+
+bot.action(/^file_appeal_(.+)$/, async (ctx) => {
+  const confession = await repos.confessions.get(ctx.match[1]);
+  if (!confession || !repos.confessions.canFollowUp(confession, ctx.from.id)) {
+    await ctx.answerCbQuery(ctx.t('appeal.cannot_appeal'), { show_alert: true });
+    return;
+  }
+  
+  await enterFlow(ctx, 'appeal', { confessionId: confession.confessionId });
+  await ctx.reply(ctx.t('appeal.prompt', { reason: escapeMarkdown(confession.rejectionReason || '-'), max: APPEAL_MAX_LENGTH }), {
+    parse_mode: 'Markdown'
+  });
+  await ctx.answerCbQuery();
+});
+
+const appealFlow = createFlow('appeal', { label: 'flow.appeal' });
+appealFlow.on('text', (ctx) => handleAppeal(ctx, ctx.message.text));
+
+async function handleAppeal(ctx, text) {
+  const { confessionId } = ctx.scene.state;
+  const message = sanitizeInput(text).trim();
+  
+  if (message.length < 5 || message.length > APPEAL_MAX_LENGTH) {
+    await ctx.reply(ctx.t('appeal.length', { max: APPEAL_MAX_LENGTH }));
+    return;
+  }
+  
+  await ctx.scene.leave();
+  
+  try {
+    const confession = await repos.confessions.fileAppeal(confessionId, ctx.from.id, message);
+    if (!confession) {
+      await ctx.reply(`${ctx.t('appeal.cannot_appeal')}.`);
+      return;
+    }
+    
+    await ctx.reply(ctx.t('appeal.submitted'));
+    await notifyAppealReviewers();
+  } catch (error) {
+    console.error('Appeal error:', error);
+    await ctx.reply(ctx.t('appeal.error'));
+  }
+}
+
+// Short heads-up to everyone who can decide appeals; the details are in the queue
+async function notifyAppealReviewers() {
+  await ensureAdminsSeeded();
+  const roles = ROLE_NAMES.filter(role => roleHasPermission(role, 'approve'));
+  const admins = await repos.admins.listByRoles(roles);
+  
+  for (const admin of admins) {
+    try {
+      await bot.telegram.sendMessage(admin.userId, '⚖️ A new appeal is waiting for review.',
+        Markup.inlineKeyboard([[Markup.button.callback('⚖️ Open Appeals', 'appeal_queue')]]));
+    } catch (error) {
+      console.error(`Appeal notify error ${admin.userId}:`, error);
+    }
+  }
+}
+
+async function showAppealQueue(ctx, edit = false) {
+  const appeals = await repos.confessions.listAppeals('pending', 10);
+  
+  let text = `⚖️ Appeals (${appeals.length})\n\n`;
+  if (appeals.length === 0) text += 'No appeals waiting.\n';
+  
+  const keyboard = [];
+  appeals.forEach((confession, index) => {
+    const rejectedBy = confession.rejectedBy === 'auto_moderation' ? 'auto moderation' : confession.reviewedByName || 'an admin';
+    
+    text += `${index + 1}. "${confessionPreview(confession, 120)}"\n`;
+    text += `   Rejected by ${rejectedBy}: ${confession.rejectionReason || '-'}\n`;
+    text += `   Appeal: ${confession.appeal.message}\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`✅ Overturn ${index + 1}`, `appeal_overturn_${confession.confessionId}`),
+      Markup.button.callback(`❌ Uphold ${index + 1}`, `appeal_uphold_${confession.confessionId}`)
+    ]);
+  });
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('appeals', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  await showAppealQueue(ctx);
+});
+
+bot.action('appeal_queue', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await showAppealQueue(ctx, true);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^appeal_(overturn|uphold)_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, decision, confessionId] = ctx.match;
+  const admin = { id: ctx.from.id, name: adminDisplayName(ctx.from) };
+  
+  try {
+    // Overturning approves the confession; it then goes through the publishing queue as usual
+    const now = new Date().toISOString();
+    const result = decision === 'overturn'
+      ? await repos.confessions.decideAppeal(confessionId, 'overturned', admin, {
+        status: 'scheduled',
+        scheduledAt: now,
+        scheduledBy: ctx.from.id,
+        reviewedBy: ctx.from.id,
+        reviewedByName: admin.name,
+        reviewedAt: now
+      })
+      : await repos.confessions.decideAppeal(confessionId, 'upheld', admin);
+    
+    if (!result.ok) {
+      const decidedBy = result.confession?.appeal?.decidedByName;
+      await ctx.answerCbQuery(decidedBy ? `Already decided by ${decidedBy}` : '❌ Appeal not found', { show_alert: true });
+      await showAppealQueue(ctx, true);
+      return;
+    }
+    
+    const confession = result.confession;
+    await recordAudit(ctx, `appeal_${decision}`, {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: confession.userId,
+      before: { status: 'rejected', appeal: 'pending' },
+      after: { status: confession.status, appeal: confession.appeal.status }
+    });
+    
+    if (decision === 'overturn') {
+      await repos.publishQueue.add(confessionId, { queuedBy: ctx.from.id });
+      await notifyUser(confession.userId, 0, 'appeal_overturned');
+    } else {
+      await notifyUser(confession.userId, 0, 'appeal_upheld', confession.rejectionReason || '-');
+    }
+    
+    await ctx.answerCbQuery(decision === 'overturn' ? '✅ Overturned and queued' : '❌ Rejection upheld');
+    await showAppealQueue(ctx, true);
+    
+    if (decision === 'overturn') await drainPublishQueue();
+  } catch (error) {
+    console.error('Appeal decision error:', error);
+    await ctx.answerCbQuery('❌ Appeal update failed');
+  }
+});
+
+// ==================== USER REPORTS ====================
+// Readers can report a confession or a comment. Reports are grouped per target
+// and the target is hidden automatically once it reaches REPORT_HIDE_THRESHOLD;
+// admins then keep it hidden or dismiss the reports from the report queue.
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+// One-letter codes keep the callback data short; labels are catalog keys
+const REPORT_CATEGORIES = {
+  harassment: { code: 'h', label: 'report.category.harassment' },
+  hate: { code: 'x', label: 'report.category.hate' },
+  personal: { code: 'p', label: 'report.category.personal' },
+  spam: { code: 's', label: 'report.category.spam' },
+  other: { code: 'o', label: 'report.category.other' }
+};
+
+function reportCategoryByCode(code) {
+  return Object.keys(REPORT_CATEGORIES).find(category => REPORT_CATEGORIES[category].code === code);
+}
+
+// Report buttons carry the short confession key as well (see confessionKey)
+function reportButtonKey(key) {
+  const { confessionId, commentId } = repos.reports.parseTargetKey(key);
+  return repos.reports.targetKey(confessionKey(confessionId), commentId);
+}
+
+function reportKeyFromButton(data) {
+  const { confessionId, commentId } = repos.reports.parseTargetKey(data);
+  return repos.reports.targetKey(confessionIdFromKey(confessionId), commentId);
+}
+
+// Loads what a report key points at; null when it no longer exists
+async function getReportTarget(key) {
+  const { targetType, confessionId, commentId } = repos.reports.parseTargetKey(key);
+  
+  if (targetType === 'confession') {
+    const confession = await repos.confessions.get(confessionId);
+    return confession && confession.status === 'approved'
+      ? { targetType, confession, hidden: Boolean(confession.hidden), preview: confessionPreview(confession, 100) }
+      : null;
+  }
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  return comment
+    ? { targetType, comment, confessionId, hidden: Boolean(comment.hidden), preview: commentSnippet(comment).substring(0, 100) }
+    : null;
+}
+
+// Replaces a hidden confession's channel post with a notice, or restores it
+async function setChannelPostHidden(confession, hidden) {
+  if (!confession.channelMessageId) return;
+  
+  const channelId = process.env.CHANNEL_ID;
+  const text = hidden
+    ? `#${confession.confessionNumber}\n\n🙈 This confession was hidden after reports from readers.`
+    : channelPostText(confession.text, confession.confessionNumber, confession.media);
+  const extra = hidden ? {} : channelPostKeyboard(confession.confessionId, confession.reactions);
+  
+  try {
+    if (confession.media) {
+      await bot.telegram.editMessageCaption(channelId, confession.channelMessageId, undefined, text, extra);
+    } else {
+      await bot.telegram.editMessageText(channelId, confession.channelMessageId, undefined, text, extra);
+    }
+  } catch (error) {
+    console.error('Channel post hide error:', error);
+  }
+}
+
+async function setReportTargetHidden(key, hidden, reason) {
+  const { targetType, confessionId, commentId } = repos.reports.parseTargetKey(key);
+  const changes = hidden
+    ? { hidden: true, hiddenReason: reason, hiddenAt: new Date().toISOString() }
+    : { hidden: false, hiddenReason: null, hiddenAt: null };
+  
+  if (targetType === 'comment') {
+    await repos.comments.update(confessionId, commentId, changes);
+    return;
+  }
+  
+  const before = await repos.confessions.get(confessionId);
+  if (!before || Boolean(before.hidden) === hidden) return;
+  
+  await repos.confessions.update(confessionId, changes);
+  const confession = await repos.confessions.get(confessionId);
+  await setChannelPostHidden(confession, hidden);
+  // Hidden confessions stop counting towards hashtag rankings
+  await recordHashtagUsage(confession, hidden ? -1 : 1);
+}
+
+bot.action(/^rpt_(?!cancel$)(.+)$/, async (ctx) => {
+  const key = reportKeyFromButton(ctx.match[1]);
+  const target = await getReportTarget(key);
+  if (!target) {
+    await ctx.answerCbQuery(ctx.t('report.not_found'));
+    return;
+  }
+  if (target.hidden) {
+    await ctx.answerCbQuery(ctx.t('report.already_hidden'));
+    return;
+  }
+  
+  const keyboard = Object.values(REPORT_CATEGORIES).map(({ code, label }) =>
+    [Markup.button.callback(ctx.t(label), `rptc_${code}_${reportButtonKey(key)}`)]
+  );
+  keyboard.push([Markup.button.callback(ctx.t('button.cancel'), 'rpt_cancel')]);
+  
+  await ctx.reply(
+    ctx.t(target.targetType === 'comment' ? 'report.prompt_comment' : 'report.prompt_confession', { preview: target.preview }),
+    Markup.inlineKeyboard(keyboard)
+  );
+  await ctx.answerCbQuery();
+});
+
+bot.action('rpt_cancel', async (ctx) => {
+  await ctx.editMessageText(ctx.t('report.cancelled'));
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^rptc_([a-z])_(.+)$/, async (ctx) => {
+  const [, code, data] = ctx.match;
+  const key = reportKeyFromButton(data);
+  const category = reportCategoryByCode(code);
+  const target = category && await getReportTarget(key);
+  if (!target) {
+    await ctx.answerCbQuery(ctx.t('report.not_found'));
+    return;
+  }
+  
+  try {
+    const limit = await consumeRateLimit(ctx.from.id, 'report');
+    if (!limit.allowed) {
+      await ctx.answerCbQuery(rateLimitMessage(ctx, 'report', limit.retryAfterMs), { show_alert: true });
+      return;
     }
     
-    const userId = parseInt(ctx.message.text.trim());
-    if (isNaN(userId)) {
-      await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
+    const report = await repos.reports.submit(key, {
+      reporterId: ctx.from.id,
+      category,
+      preview: target.preview
+    });
+    if (!report) {
+      await ctx.answerCbQuery(ctx.t('report.duplicate'), { show_alert: true });
       return;
     }
     
-    try {
-      await db.collection('users').doc(userId.toString()).update({
-        isActive: false
-      });
-      await ctx.reply(`✅ User ${userId} has been blocked.`);
-    } catch (error) {
-      await ctx.reply(`❌ Error blocking user: ${error.message}`);
+    if (!report.hidden && !target.hidden && report.count >= REPORT_HIDE_THRESHOLD) {
+      await setReportTargetHidden(key, true, 'reports');
+      await repos.reports.update(key, { hidden: true, autoHiddenAt: new Date().toISOString() });
     }
     
-    ctx.session.waitingForBlockUserId = false;
+    await ctx.editMessageText(ctx.t('report.sent'));
+    await ctx.answerCbQuery(ctx.t('report.done'));
+  } catch (error) {
+    console.error('Report error:', error);
+    await ctx.answerCbQuery(ctx.t('report.error'));
+  }
+});
+
+// ==================== REPORT QUEUE ====================
+async function showReportQueue(ctx, edit = false) {
+  const reports = await repos.reports.listOpen(10);
+  
+  let text = `🚩 Reports (${reports.length})\nAuto-hide after ${REPORT_HIDE_THRESHOLD} reports\n\n`;
+  if (reports.length === 0) text += 'Nothing reported right now.\n';
+  
+  const keyboard = [];
+  for (const [index, report] of reports.entries()) {
+    const categories = Object.entries(report.categories || {})
+      .map(([category, count]) => `${category} ${count}`)
+      .join(', ');
+    const confession = await repos.confessions.get(report.confessionId);
+    const where = report.targetType === 'comment'
+      ? `💬 Comment on #${confession?.confessionNumber || '?'}`
+      : `📝 Confession #${confession?.confessionNumber || '?'}`;
+    
+    text += `${index + 1}. ${where} — ${report.count} reports (${categories})${report.hidden ? ' — 🙈 hidden' : ''}\n`;
+    text += `   "${report.preview}"\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(report.hidden ? `🙈 Keep hidden ${index + 1}` : `🙈 Hide ${index + 1}`, `rptq_h_${reportButtonKey(report.key)}`),
+      Markup.button.callback(report.hidden ? `↩️ Restore ${index + 1}` : `↩️ Dismiss ${index + 1}`, `rptq_d_${reportButtonKey(report.key)}`)
+    ]);
+  }
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('reports', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  await showReportQueue(ctx);
+});
+
+bot.action('report_queue', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await showReportQueue(ctx, true);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^rptq_([hd])_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  // Handle manual unblock
-  if (ctx.session.waitingForUnblockUserId) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForUnblockUserId = false;
+  const [, code, data] = ctx.match;
+  const key = reportKeyFromButton(data);
+  const hide = code === 'h';
+  
+  try {
+    const report = await repos.reports.get(key);
+    if (!report || report.status !== 'open') {
+      await ctx.answerCbQuery('Already handled', { show_alert: true });
+      await showReportQueue(ctx, true);
       return;
     }
     
-    const userId = parseInt(ctx.message.text.trim());
-    if (isNaN(userId)) {
-      await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
-      return;
+    if (hide !== report.hidden && await getReportTarget(key)) {
+      await setReportTargetHidden(key, hide, 'reports');
     }
+    await repos.reports.resolve(key, hide ? 'hidden' : 'dismissed', { by: ctx.from.id, byName: adminDisplayName(ctx.from) });
     
-    try {
-      await db.collection('users').doc(userId.toString()).update({
-        isActive: true
-      });
-      await ctx.reply(`✅ User ${userId} has been unblocked.`);
-    } catch (error) {
-      await ctx.reply(`❌ Error unblocking user: ${error.message}`);
-    }
+    await recordAudit(ctx, hide ? 'report_hide' : 'report_dismiss', {
+      targetType: report.targetType,
+      targetId: report.commentId ? `${report.confessionId}/${report.commentId}` : report.confessionId,
+      before: { hidden: Boolean(report.hidden) },
+      after: { hidden: hide },
+      details: { reports: report.count, categories: report.categories }
+    });
     
-    ctx.session.waitingForUnblockUserId = false;
+    await ctx.answerCbQuery(hide ? '🙈 Hidden' : '↩️ Dismissed');
+    await showReportQueue(ctx, true);
+  } catch (error) {
+    console.error('Report decision error:', error);
+    await ctx.answerCbQuery('❌ Report update failed');
+  }
+});
+
+// ==================== BROADCAST MESSAGE ====================
+bot.action('broadcast_message', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'broadcast'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await ctx.editMessageText(
+    `📢 *Broadcast Message*\n\nEnter your message to broadcast to all users:`,
+    { parse_mode: 'Markdown' }
+  );
+  await enterFlow(ctx, 'broadcast');
+  await ctx.answerCbQuery();
+});
+
+const broadcastFlow = createFlow('broadcast', { label: 'flow.broadcast' });
+broadcastFlow.on('text', async (ctx) => {
+  await ctx.scene.leave();
+  
+  if (!(await hasPermission(ctx.from.id, 'broadcast'))) {
+    await ctx.reply('❌ Access denied');
     return;
   }
+  
+  const result = await broadcastMessage(ctx.message.text);
+  await recordAudit(ctx, 'broadcast', { details: { message: ctx.message.text, ...result } });
+  await ctx.reply('✅ Broadcast message sent to all users!');
 });
 
 async function broadcastMessage(message) {
-  const usersSnapshot = await db.collection('users').get();
+  const users = await repos.users.list();
   
   let successCount = 0;
   let failCount = 0;
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
+  for (const userData of users) {
     if (userData.isActive) { // Only send to active users
       try {
-        await bot.telegram.sendMessage(userData.userId, `📢 *Broadcast Message*\n\n${message}`, {
+        await bot.telegram.sendMessage(userData.userId, t(resolveLocale(userData), 'notify.broadcast', { message }), {
           parse_mode: 'Markdown'
         });
         successCount++;
@@ -834,11 +2149,12 @@ async function broadcastMessage(message) {
   }
   
   console.log(`Broadcast sent: ${successCount} successful, ${failCount} failed`);
+  return { successCount, failCount };
 }
 
 // ==================== BLOCK/UNBLOCK USER ====================
 bot.action('block_user', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'block'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -847,12 +2163,12 @@ bot.action('block_user', async (ctx) => {
     `❌ *Block User*\n\nEnter user ID to block:`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForBlockUserId = true;
+  await enterFlow(ctx, 'block_user');
   await ctx.answerCbQuery();
 });
 
 bot.action('unblock_user', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'block'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -861,13 +2177,120 @@ bot.action('unblock_user', async (ctx) => {
     `✅ *Unblock User*\n\nEnter user ID to unblock:`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForUnblockUserId = true;
+  await enterFlow(ctx, 'unblock_user');
   await ctx.answerCbQuery();
 });
 
+// Blocks (active = false) or unblocks the user ID typed by the admin
+async function setUserActiveFromInput(ctx, text, active) {
+  if (!(await hasPermission(ctx.from.id, 'block'))) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
+  
+  const userId = parseInt(text.trim());
+  if (isNaN(userId)) {
+    await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
+    return;
+  }
+  
+  await ctx.scene.leave();
+  
+  try {
+    const user = await repos.users.get(userId);
+    await repos.users.setActive(userId, active);
+    await recordAudit(ctx, active ? 'user_unblock' : 'user_block', {
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      before: { isActive: user ? user.isActive !== false : null },
+      after: { isActive: active }
+    });
+    await ctx.reply(`✅ User ${userId} has been ${active ? 'unblocked' : 'blocked'}.`);
+  } catch (error) {
+    await ctx.reply(`❌ Error ${active ? 'unblocking' : 'blocking'} user: ${error.message}`);
+  }
+}
+
+const blockUserFlow = createFlow('block_user', { label: 'flow.block_user' });
+blockUserFlow.on('text', (ctx) => setUserActiveFromInput(ctx, ctx.message.text, false));
+
+const unblockUserFlow = createFlow('unblock_user', { label: 'flow.unblock_user' });
+unblockUserFlow.on('text', (ctx) => setUserActiveFromInput(ctx, ctx.message.text, true));
+
+// ==================== RATE LIMIT OVERRIDES ====================
+const RATE_LIMIT_USAGE = `Usage:\n/ratelimit <user id> — show a user's limits\n/ratelimit <user id> <${Object.keys(OVERRIDE_LEVELS).join('|')}|normal> [${ALL_POLICIES}|${Object.keys(RATE_LIMIT_POLICIES).join('|')}]`;
+
+async function describeRateLimits(userId) {
+  const [profile, overrides] = await Promise.all([
+    repos.users.get(userId),
+    repos.rateLimits.getOverrides(userId)
+  ]);
+  
+  let text = `⏳ Rate limits for user ${userId} (reputation ${profile?.reputation || 0})\n\n`;
+  for (const policyName of Object.keys(RATE_LIMIT_POLICIES)) {
+    const override = overrideFor(overrides, policyName);
+    const limits = effectiveLimits(policyName, { reputation: profile?.reputation, overrides });
+    const label = RATE_LIMIT_POLICIES[policyName].label;
+    
+    if (!limits) {
+      text += `• ${label}: exempt\n`;
+      continue;
+    }
+    
+    const bucket = await repos.rateLimits.getBucket(policyName, userId);
+    const left = Math.floor(availableTokens(bucket, limits, Date.now()));
+    text += `• ${label}: ${left}/${limits.capacity} left, +1 every ${formatWait(limits.refillMs)}${override ? ` (${override})` : ''}\n`;
+  }
+  return text;
+}
+
+bot.command('ratelimit', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'block'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [, userId, level, policyName = ALL_POLICIES] = ctx.message.text.trim().split(/\s+/);
+  if (!/^\d+$/.test(userId || '')) {
+    await ctx.reply(RATE_LIMIT_USAGE);
+    return;
+  }
+  
+  if (!level) {
+    await ctx.reply(await describeRateLimits(userId));
+    return;
+  }
+  
+  const validLevel = level === 'normal' || Object.prototype.hasOwnProperty.call(OVERRIDE_LEVELS, level);
+  if (!validLevel || (policyName !== ALL_POLICIES && !isPolicy(policyName))) {
+    await ctx.reply(RATE_LIMIT_USAGE);
+    return;
+  }
+  
+  try {
+    const before = await repos.rateLimits.getOverrides(userId);
+    const after = level === 'normal' ? null : level;
+    await repos.rateLimits.setOverride(userId, policyName, after, ctx.from.id);
+    await recordAudit(ctx, 'rate_limit_override', {
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      before: { [policyName]: before[policyName] || null },
+      after: { [policyName]: after }
+    });
+    
+    await ctx.reply(`✅ Updated.\n\n${await describeRateLimits(userId)}`);
+  } catch (error) {
+    console.error('Rate limit override error:', error);
+    await ctx.reply('❌ Failed to update rate limits.');
+  }
+});
+
 // ==================== BOT STATISTICS ====================
 bot.action('bot_stats', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'view_stats'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -877,11 +2300,12 @@ bot.action('bot_stats', async (ctx) => {
   const text = `📊 *Bot Statistics*\n\n`;
   const users = `**Total Users:** ${stats.totalUsers}\n`;
   const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
+  const queued = `**Queued Confessions:** ${stats.scheduledConfessions}\n`;
   const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
   const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
-  const total = `**Total Confessions:** ${stats.pendingConfessions + stats.approvedConfessions + stats.rejectedConfessions}\n`;
+  const total = `**Total Confessions:** ${stats.pendingConfessions + stats.scheduledConfessions + stats.approvedConfessions + stats.rejectedConfessions}\n`;
   
-  const fullText = text + users + confessions + approved + rejected + total;
+  const fullText = text + users + confessions + queued + approved + rejected + total;
   
   const keyboard = [
     [Markup.button.callback('👥 Manage Users', 'manage_users')],
@@ -897,31 +2321,13 @@ bot.action('bot_stats', async (ctx) => {
 
 // ==================== ADMIN MENU RETURN ====================
 bot.action('admin_menu', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await isAdmin(ctx.from.id))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const stats = await getBotStats();
-  
-  const text = `🔐 *Admin Dashboard*\n\n`;
-  const users = `**Total Users:** ${stats.totalUsers}\n`;
-  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
-  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
-  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
-  
-  const fullText = text + users + confessions + approved + rejected;
-  
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('👥 Manage Users', 'manage_users')],
-    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
-    [Markup.button.callback('📢 Broadcast Message', 'broadcast_message')],
-    [Markup.button.callback('📊 Bot Statistics', 'bot_stats')],
-    [Markup.button.callback('❌ Block User', 'block_user')],
-    [Markup.button.callback('✅ Unblock User', 'unblock_user')]
-  ]);
-
-  await ctx.editMessageText(fullText, { 
+  const { text, keyboard } = await adminDashboard(ctx.from.id);
+  await ctx.editMessageText(text, { 
     parse_mode: 'Markdown',
     reply_markup: keyboard.reply_markup 
   });
@@ -942,22 +2348,22 @@ bot.command('start', async (ctx) => {
   const profile = await getUserProfile(ctx.from.id);
   
   if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
+    await ctx.reply(ctx.t('common.blocked'));
     return;
   }
   
   // Check if user is first-time user
   if (!profile.isRegistered) {
     // Update user as registered
-    await db.collection('users').doc(ctx.from.id.toString()).update({
+    await repos.users.update(ctx.from.id, {
       isRegistered: true
     });
     
     // Send first-time welcome message with inline button
-    const welcomeText = `🤫 *Welcome to JU Confession Bot!*\n\nSend me your confession and it will be submitted anonymously for admin approval.\n\nYour identity will never be revealed!`;
+    const welcomeText = ctx.t('welcome.text');
     
     const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('Continue', 'continue_to_bot')]
+      [Markup.button.callback(ctx.t('button.continue'), 'continue_to_bot')]
     ]);
     
     await ctx.replyWithMarkdown(welcomeText, keyboard);
@@ -978,193 +2384,400 @@ bot.action('continue_to_bot', async (ctx) => {
 async function showMainMenu(ctx) {
   const profile = await getUserProfile(ctx.from.id);
   
-  const text = `🤫 *JU Confession Bot*\n\n`;
-  const stats = `👤 Profile: ${profile.username || 'Not set'}\n`;
-  const reputation = `⭐ Reputation: ${profile.reputation}\n`;
-  const streak = `🔥 Streak: ${profile.dailyStreak} days\n`;
-  const bio = profile.bio ? `📝 Bio: ${profile.bio}\n` : '';
-  
-  const fullText = text + stats + reputation + streak + bio + `\nChoose an option below:`;
+  const text = `${ctx.t('main.title')}\n\n`;
+  const stats = `${ctx.t('main.profile', { username: profile.username || ctx.t('main.not_set') })}\n`;
+  const reputation = `${ctx.t('main.reputation', { reputation: profile.reputation })}\n`;
+  const streak = `${ctx.t('main.streak', { days: profile.dailyStreak })}\n`;
+  const bio = profile.bio ? `${ctx.t('main.bio', { bio: profile.bio })}\n` : '';
   
-  // Constant navigation buttons (not inline)
-  const keyboard = Markup.keyboard([
-    ['📝 Send Confession', '👤 My Profile'],
-    ['🔥 Trending', '🎯 Daily Check-in'],
-    ['🏷️ Hashtags', '🏆 Achievements'],
-    ['⚙️ Settings', 'ℹ️ About Us'],
-    ['🔍 Browse Users', '📌 Rules']
-  ]).resize();
+  const fullText = text + stats + reputation + streak + bio + `\n${ctx.t('main.choose')}`;
   
-  await ctx.replyWithMarkdown(fullText, keyboard);
+  await ctx.replyWithMarkdown(fullText, mainMenuKeyboard(ctx.locale));
+}
+
+// Constant navigation buttons (not inline), labelled in the user's language
+const MAIN_MENU_ROWS = [
+  ['menu.send', 'menu.profile'],
+  ['menu.trending', 'menu.checkin'],
+  ['menu.hashtags', 'menu.achievements'],
+  ['menu.settings', 'menu.about'],
+  ['menu.browse', 'menu.rules'],
+  ['menu.my_confessions', 'menu.search']
+];
+
+// Button labels in every language, so a tap on any keyboard version is recognised
+const MENU_LABELS = new Set(MAIN_MENU_ROWS.flat().flatMap(key => allTranslations(key)));
+
+function mainMenuKeyboard(locale) {
+  return Markup.keyboard(MAIN_MENU_ROWS.map(row => row.map(key => t(locale, key)))).resize();
 }
 
 // ==================== COMMAND HANDLERS ====================
-bot.hears('📝 Send Confession', async (ctx) => {
+bot.hears(allTranslations('menu.send'), async (ctx) => {
   await sendConfessionCommand(ctx);
 });
 
-bot.hears('👤 My Profile', async (ctx) => {
+bot.hears(allTranslations('menu.profile'), async (ctx) => {
   await myProfileCommand(ctx);
 });
 
-bot.hears('🔥 Trending', async (ctx) => {
+bot.hears(allTranslations('menu.trending'), async (ctx) => {
   await trendingCommand(ctx);
 });
 
-bot.hears('🎯 Daily Check-in', async (ctx) => {
+bot.hears(allTranslations('menu.checkin'), async (ctx) => {
   await ctx.reply('/checkin');
 });
 
-bot.hears('🏷️ Hashtags', async (ctx) => {
+bot.hears(allTranslations('menu.hashtags'), async (ctx) => {
   await hashtagsCommand(ctx);
 });
 
-bot.hears('🏆 Achievements', async (ctx) => {
+bot.hears(allTranslations('menu.achievements'), async (ctx) => {
   await achievementsCommand(ctx);
 });
 
-bot.hears('⚙️ Settings', async (ctx) => {
+bot.hears(allTranslations('menu.settings'), async (ctx) => {
   await settingsCommand(ctx);
 });
 
-bot.hears('ℹ️ About Us', async (ctx) => {
+bot.hears(allTranslations('menu.about'), async (ctx) => {
   await aboutUsCommand(ctx);
 });
 
-bot.hears('🔍 Browse Users', async (ctx) => {
+bot.hears(allTranslations('menu.browse'), async (ctx) => {
   await browseUsersCommand(ctx);
 });
 
-bot.hears('📌 Rules', async (ctx) => {
+bot.hears(allTranslations('menu.my_confessions'), async (ctx) => {
+  await showMyConfessions(ctx);
+});
+
+bot.hears(allTranslations('menu.rules'), async (ctx) => {
   await rulesCommand(ctx);
 });
 
 // Individual command functions
-async function sendConfessionCommand(ctx) {
+async function sendConfessionCommand(ctx, resubmissionOf = null) {
   const userId = ctx.from.id;
   
   // Check if user is active
   const profile = await getUserProfile(userId);
   if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
-    return;
+    await ctx.reply(ctx.t('common.blocked'));
+    return false;
   }
   
-  // Check cooldown using persistent system
-  const canSubmit = await checkCooldown(userId, 'confession', 60000); // 1 minute cooldown
-  if (!canSubmit) {
-    const cooldownRef = await db.collection('user_cooldowns').doc(userId.toString()).get();
-    if (cooldownRef.exists) {
-      const data = cooldownRef.data();
-      const lastSubmit = data.confession || 0;
-      const waitTime = Math.ceil((60000 - (Date.now() - lastSubmit)) / 1000);
-      await ctx.reply(`Please wait ${waitTime} seconds before submitting another confession.`);
-      return;
-    }
+  // The try is only spent once the confession is actually submitted
+  const limit = await peekRateLimit(userId, 'confession');
+  if (!limit.allowed) {
+    await ctx.reply(rateLimitMessage(ctx, 'confession', limit.retryAfterMs));
+    return false;
   }
 
-  await ctx.replyWithMarkdown(
-    `✍️ *Send Your Confession*\n\nType your confession below (max 1000 characters):\n\nYou can add hashtags like #love #study #funny`
-  );
+  await ctx.replyWithMarkdown(ctx.t(resubmissionOf ? 'confession.resubmit_prompt' : 'confession.prompt'));
   
-  ctx.session.waitingForConfession = true;
+  await enterFlow(ctx, 'confession', { resubmissionOf });
+  return true;
 }
 
 async function myProfileCommand(ctx) {
   const profile = await getUserProfile(ctx.from.id);
   
-  const profileText = `👤 *Your Profile*\n\n`;
-  const username = profile.username ? `**Username:** @${profile.username}\n` : `**Username:** Not set\n`;
-  const bio = profile.bio ? `**Bio:** ${profile.bio}\n` : `**Bio:** Not set\n`;
-  const followers = `**Followers:** ${profile.followers.length}\n`;
-  const following = `**Following:** ${profile.following.length}\n`;
-  const confessions = `**Total Confessions:** ${profile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${profile.reputation}\n`;
-  const achievements = `**Achievements:** ${profile.achievementCount}\n`;
-  const streak = `**Daily Streak:** ${profile.dailyStreak} days\n`;
-  const joinDate = `**Member Since:** ${new Date(profile.joinDate).toLocaleDateString()}\n`;
+  const profileText = `${ctx.t('profile.title')}\n\n`;
+  const username = `${ctx.t('profile.username', { username: profile.username ? `@${profile.username}` : ctx.t('main.not_set') })}\n`;
+  const bio = `${ctx.t('profile.bio', { bio: profile.bio || ctx.t('main.not_set') })}\n`;
+  const followers = `${ctx.t('profile.followers', { count: profile.followers.length })}\n`;
+  const following = `${ctx.t('profile.following', { count: profile.following.length })}\n`;
+  const confessions = `${ctx.t('profile.total_confessions', { count: profile.totalConfessions })}\n`;
+  const reputation = `${ctx.t('profile.reputation', { reputation: profile.reputation })}\n`;
+  const achievements = `${ctx.t('profile.achievements', { count: profile.achievementCount })}\n`;
+  const streak = `${ctx.t('profile.streak', { days: profile.dailyStreak })}\n`;
+  const joinDate = `${ctx.t('profile.member_since', { date: new Date(profile.joinDate).toLocaleDateString() })}\n`;
   
   const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + streak + joinDate;
   
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Set Username', 'set_username')],
-    [Markup.button.callback('📝 Set Bio', 'set_bio')],
-    [Markup.button.callback('👥 Followers', 'show_followers')],
-    [Markup.button.callback('👥 Following', 'show_following')],
-    [Markup.button.callback('🏆 View Achievements', 'view_achievements')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    [Markup.button.callback(ctx.t('button.set_username'), 'set_username')],
+    [Markup.button.callback(ctx.t('button.set_bio'), 'set_bio')],
+    [Markup.button.callback(ctx.t('button.followers'), 'show_followers')],
+    [Markup.button.callback(ctx.t('button.following'), 'show_following')],
+    [Markup.button.callback(ctx.t('button.view_achievements'), 'view_achievements')],
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
 
   await ctx.replyWithMarkdown(fullText, keyboard);
 }
 
-async function trendingCommand(ctx) {
-  const trending = await getTrendingConfessions(5);
+async function trendingCommand(ctx, period = 'today', edit = false) {
+  const trending = await getTrendingConfessions(5, period);
+  
+  let trendingText = `${ctx.t('trending.title', { period: ctx.t(TRENDING_PERIODS[period].label) })}\n\n`;
   
   if (trending.length === 0) {
-    await ctx.reply('No trending confessions yet. Be the first to submit one!');
-    return;
+    trendingText += ctx.t('trending.empty');
   }
   
-  let trendingText = `🔥 *Trending Confessions*\n\n`;
-  
   trending.forEach((confession, index) => {
     trendingText += `${index + 1}. #${confession.confessionNumber}\n`;
-    trendingText += `   ${confession.text.substring(0, 100)}${confession.text.length > 100 ? '...' : ''}\n`;
-    trendingText += `   Comments: ${confession.totalComments || 0}\n\n`;
+    trendingText += `   ${confessionPreview(confession, 100)}\n`;
+    trendingText += `   ${ctx.t('trending.counts', { comments: confession.totalComments || 0, reactions: confession.totalReactions || 0 })}\n\n`;
   });
   
+  const tabs = Object.entries(TRENDING_PERIODS).map(([key, { label }]) =>
+    Markup.button.callback(key === period ? `• ${ctx.t(label)} •` : ctx.t(label), `trending_${key}`)
+  );
+  
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    tabs,
+    [Markup.button.callback(ctx.t('button.send_confession'), 'send_confession')],
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
 
-  await ctx.replyWithMarkdown(trendingText, keyboard);
+  if (edit) {
+    await ctx.editMessageText(trendingText, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  } else {
+    await ctx.replyWithMarkdown(trendingText, keyboard);
+  }
 }
 
-async function hashtagsCommand(ctx) {
-  // Get popular hashtags from recent confessions
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('status', '==', 'approved')
-    .orderBy('createdAt', 'desc')
-    .limit(50)
-    .get();
+bot.action(/^trending_(today|week|all)$/, async (ctx) => {
+  try {
+    await trendingCommand(ctx, ctx.match[1], true);
+  } catch (error) {
+    // Re-tapping the active tab leaves the message unchanged
+    if (!error.description?.includes('message is not modified')) throw error;
+  }
+  await ctx.answerCbQuery();
+});
+
+async function hashtagsCommand(ctx, period = 'all', edit = false) {
+  const { days, label } = HASHTAG_PERIODS[period];
+  const { timezoneOffset } = await getPublishingSettings();
+  const topHashtags = days === null
+    ? await repos.hashtags.topAllTime(10)
+    : await repos.hashtags.topSince(localDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000), timezoneOffset), 10);
+  
+  let hashtagsText = `${ctx.t('hashtags.title', { period: ctx.t(label) })}\n\n`;
+  
+  if (topHashtags.length === 0) {
+    hashtagsText += `${ctx.t('hashtags.empty')}\n`;
+  }
+  
+  topHashtags.forEach(({ tag, count }, index) => {
+    hashtagsText += `${index + 1}. ${ctx.t('hashtags.uses', { tag: escapeMarkdown(tag), count })}\n`;
+  });
+  hashtagsText += `\n${ctx.t('hashtags.tap')}`;
+  
+  // Two tags per row; tags too long for callback data are listed but not tappable
+  const tagButtons = topHashtags
+    .filter(({ tag }) => hashtagCallback('htag', tag, '_0'))
+    .map(({ tag }) => Markup.button.callback(tag, hashtagCallback('htag', tag, '_0')));
+  const tagRows = [];
+  for (let i = 0; i < tagButtons.length; i += 2) tagRows.push(tagButtons.slice(i, i + 2));
   
-  const hashtagCount = {};
+  const tabs = Object.entries(HASHTAG_PERIODS).map(([key, { label: tabLabel }]) =>
+    Markup.button.callback(key === period ? `• ${ctx.t(tabLabel)} •` : ctx.t(tabLabel), `hashtags_${key}`)
+  );
   
-  confessionsSnapshot.forEach(doc => {
-    const data = doc.data();
-    const hashtags = extractHashtags(data.text);
-    hashtags.forEach(tag => {
-      hashtagCount[tag] = (hashtagCount[tag] || 0) + 1;
+  const keyboard = Markup.inlineKeyboard([
+    tabs,
+    ...tagRows,
+    [Markup.button.callback(ctx.t('button.my_hashtags'), 'my_hashtags')],
+    [Markup.button.callback(ctx.t('button.send_confession'), 'send_confession')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
+  ]);
+
+  if (edit) {
+    await ctx.editMessageText(hashtagsText, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
     });
+  } else {
+    await ctx.replyWithMarkdown(hashtagsText, keyboard);
+  }
+}
+
+bot.action(/^hashtags_(today|week|month|all)$/, async (ctx) => {
+  try {
+    await hashtagsCommand(ctx, ctx.match[1], true);
+  } catch (error) {
+    // Re-tapping the active tab leaves the message unchanged
+    if (!error.description?.includes('message is not modified')) throw error;
+  }
+  await ctx.answerCbQuery();
+});
+
+// ==================== HASHTAG BROWSING ====================
+// Each tag opens a paginated list of its approved confessions. Users can
+// subscribe to tags (`hashtagSubscriptions` on the profile) and are notified
+// when a confession carrying one of them is published.
+const HASHTAG_PAGE_SIZE = 5;
+
+// Callback data for a tag without its '#', or null when it won't fit in 64 bytes
+function hashtagCallback(prefix, tag, suffix = '') {
+  const data = `${prefix}_${tag.replace(/^#/, '')}${suffix}`;
+  return Buffer.byteLength(data) <= 64 ? data : null;
+}
+
+async function showHashtag(ctx, tag, page = 0, edit = false) {
+  const { confessions, hasMore } = await repos.confessions.listApprovedByHashtag(tag, {
+    offset: page * HASHTAG_PAGE_SIZE,
+    limit: HASHTAG_PAGE_SIZE
+  });
+  const profile = await getUserProfile(ctx.from.id);
+  const subscribed = (profile.hashtagSubscriptions || []).includes(tag);
+  
+  let text = `🏷️ ${tag}${page > 0 ? ` ${ctx.t('tag.page', { page: page + 1 })}` : ''}\n\n`;
+  if (confessions.length === 0) {
+    text += `${ctx.t(page === 0 ? 'tag.empty' : 'tag.no_more')}\n`;
+  }
+  
+  const rows = [];
+  confessions.forEach(confession => {
+    text += `#${confession.confessionNumber} — ${confessionPreview(confession, 120)}\n`;
+    text += `   ${ctx.t('tag.counts', { comments: confession.totalComments || 0, reactions: confession.totalReactions || 0 })}\n\n`;
+    rows.push([Markup.button.callback(ctx.t('button.confession', { number: confession.confessionNumber }), `refresh_comments_${confessionKey(confession.confessionId)}`)]);
   });
   
-  // Sort hashtags by count
-  const sortedHashtags = Object.entries(hashtagCount)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback(ctx.t('button.newer'), hashtagCallback('htag', tag, `_${page - 1}`)));
+  if (hasMore) navigation.push(Markup.button.callback(ctx.t('button.older'), hashtagCallback('htag', tag, `_${page + 1}`)));
+  if (navigation.length > 0) rows.push(navigation);
   
-  if (sortedHashtags.length === 0) {
-    await ctx.reply('No hashtags found yet. Use #hashtags in your confessions!');
+  rows.push([Markup.button.callback(ctx.t(subscribed ? 'button.unsubscribe' : 'button.subscribe'), hashtagCallback('htsub', tag))]);
+  rows.push([Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]);
+  
+  const keyboard = Markup.inlineKeyboard(rows);
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: keyboard.reply_markup });
+  } else {
+    await ctx.reply(text, keyboard);
+  }
+}
+
+bot.command('tag', async (ctx) => {
+  const arg = ctx.message.text.split(/\s+/)[1] || '';
+  const [tag] = extractHashtags(arg.startsWith('#') ? arg : `#${arg}`);
+  if (!tag || !hashtagCallback('htag', tag, '_99')) {
+    await ctx.reply(ctx.t('tag.usage'));
     return;
   }
   
-  let hashtagsText = `🏷️ *Popular Hashtags*\n\n`;
+  await showHashtag(ctx, tag);
+});
+
+bot.action(/^htag_(.+)_(\d+)$/, async (ctx) => {
+  await showHashtag(ctx, `#${ctx.match[1]}`, parseInt(ctx.match[2]), true);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^htsub_(.+)$/, async (ctx) => {
+  const tag = `#${ctx.match[1]}`;
   
-  sortedHashtags.forEach(([tag, count], index) => {
-    hashtagsText += `${index + 1}. ${tag} (${count} uses)\n`;
-  });
+  try {
+    const profile = await getUserProfile(ctx.from.id);
+    const subscribed = (profile.hashtagSubscriptions || []).includes(tag);
+    
+    if (subscribed) {
+      await repos.users.unsubscribeHashtag(ctx.from.id, tag);
+    } else {
+      await repos.users.subscribeHashtag(ctx.from.id, tag);
+    }
+    
+    await showHashtag(ctx, tag, 0, true);
+    await ctx.answerCbQuery(ctx.t(subscribed ? 'tag.unsubscribed' : 'tag.subscribed', { tag }));
+  } catch (error) {
+    console.error('Hashtag subscription error:', error);
+    await ctx.answerCbQuery(ctx.t('tag.subscription_error'));
+  }
+});
+
+bot.action('my_hashtags', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const tags = profile.hashtagSubscriptions || [];
+  
+  let text = `${ctx.t('tag.mine_title')}\n\n`;
+  text += tags.length === 0
+    ? ctx.t('tag.mine_empty')
+    : `${ctx.t('tag.mine_about')}\n\n${tags.join('\n')}`;
   
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    ...tags.filter(tag => hashtagCallback('htag', tag, '_0')).map(tag => [
+      Markup.button.callback(tag, hashtagCallback('htag', tag, '_0'))
+    ]),
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
+  
+  await ctx.editMessageText(text, { reply_markup: keyboard.reply_markup });
+  await ctx.answerCbQuery();
+});
+
+// Subscribers are notified by the hashtags cron job rather than while publishing,
+// a page at a time, so a popular tag can't hold up the publish. Each run sends
+// at most HASHTAG_NOTIFY_PER_RUN notifications and resumes where the last one stopped.
+const HASHTAG_NOTIFY_PAGE_SIZE = 100;
+const HASHTAG_NOTIFY_PER_RUN = 500;
+
+async function sendHashtagNotifications() {
+  let budget = HASHTAG_NOTIFY_PER_RUN;
+  const pending = await repos.hashtags.listPendingNotifications();
+  
+  for (const { confessionId, tags, after } of pending) {
+    try {
+      const confession = await repos.confessions.get(confessionId);
+      // Nothing to announce once the confession is gone or hidden
+      if (!confession || confession.status !== 'approved' || confession.hidden) {
+        await repos.hashtags.finishNotification(confessionId);
+        continue;
+      }
+      
+      let cursor = after;
+      for (;;) {
+        if (budget <= 0) return;
+        
+        const subscribers = await repos.users.listHashtagSubscribers(tags, {
+          after: cursor,
+          limit: Math.min(HASHTAG_NOTIFY_PAGE_SIZE, budget)
+        });
+        if (subscribers.length === 0) break;
+        
+        await notifyHashtagSubscribers(confession, tags, subscribers);
+        budget -= subscribers.length;
+        cursor = subscribers[subscribers.length - 1].userId;
+        await repos.hashtags.advanceNotification(confessionId, cursor);
+      }
+      
+      await repos.hashtags.finishNotification(confessionId);
+    } catch (error) {
+      console.error('Hashtag notification error:', error);
+    }
+  }
+}
 
-  await ctx.replyWithMarkdown(hashtagsText, keyboard);
+// One notification per subscriber, however many of their tags the confession has
+async function notifyHashtagSubscribers(confession, tags, subscribers) {
+  for (const subscriber of subscribers) {
+    if (subscriber.userId === confession.userId) continue;
+    
+    const matching = tags.filter(tag => subscriber.hashtagSubscriptions.includes(tag));
+    const locale = resolveLocale(subscriber);
+    await dispatchNotification(
+      subscriber.userId,
+      'hashtag',
+      t(locale, 'notify.hashtag', {
+        tags: escapeMarkdown(matching.join(' ')),
+        number: confession.confessionNumber,
+        preview: escapeMarkdown(confessionPreview(confession, 150))
+      }),
+      Markup.inlineKeyboard([[Markup.button.callback(t(locale, 'button.view_comment'), `refresh_comments_${confessionKey(confession.confessionId)}`)]])
+    );
+  }
 }
 
 async function achievementsCommand(ctx) {
@@ -1173,125 +2786,204 @@ async function achievementsCommand(ctx) {
   const achievements = profile.achievements || [];
   
   if (achievements.length === 0) {
-    await ctx.reply('No achievements yet. Start using the bot to unlock achievements!');
+    await ctx.reply(ctx.t('achievement.none'));
     return;
   }
   
-  let achievementsText = `🏆 *Your Achievements*\n\n`;
-  
-  const achievementNames = {
-    'first_confession': 'First Confession',
-    'ten_confessions': 'Confession Master',
-    'fifty_followers': 'Popular User',
-    'week_streak': 'Week Streak'
-  };
+  let achievementsText = `${ctx.t('achievement.title')}\n\n`;
   
   achievements.forEach(achievement => {
-    achievementsText += `• ${achievementNames[achievement] || achievement}\n`;
+    achievementsText += `• ${ctx.t(`achievement.${achievement}`)}\n`;
   });
   
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    [Markup.button.callback(ctx.t('button.daily_checkin'), 'daily_checkin')],
+    [Markup.button.callback(ctx.t('button.send_confession'), 'send_confession')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
 
   await ctx.replyWithMarkdown(achievementsText, keyboard);
 }
 
-async function settingsCommand(ctx) {
+async function settingsCommand(ctx, edit = false) {
   const profile = await getUserProfile(ctx.from.id);
   
-  const text = `⚙️ *Settings*\n\nConfigure your bot preferences:\n\n`;
-  const notifications = `**Notifications:** ${profile.notifications.confessionApproved ? '✅' : '❌'} Confession Approved\n`;
-  const comments = `**Comments:** ${profile.notifications.newComment ? '✅' : '❌'} New Comments\n`;
-  const followers = `**Followers:** ${profile.notifications.newFollower ? '✅' : '❌'} New Followers\n`;
+  const mode = DELIVERY_MODES[deliveryMode(profile)];
+  
+  let fullText = `${ctx.t('settings.title')}\n`;
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, { label }]) => {
+    fullText += `${notificationEnabled(profile, type) ? '✅' : '❌'} ${ctx.t(label)}\n`;
+  });
+  fullText += `\n${ctx.t('settings.delivery', { mode: ctx.t(mode.label), description: ctx.t(mode.description) })}\n`;
+  fullText += `\n${ctx.t('settings.tap')}`;
   
-  const fullText = text + notifications + comments + followers;
+  const keyboard = Markup.inlineKeyboard([
+    ...Object.entries(NOTIFICATION_TYPES).map(([type, { code, label }]) =>
+      [Markup.button.callback(`${notificationEnabled(profile, type) ? '🔔' : '🔕'} ${ctx.t(label)}`, `notif_toggle_${code}`)]
+    ),
+    [Markup.button.callback(ctx.t('settings.delivery_button', { mode: ctx.t(mode.label) }), 'notif_mode')],
+    [Markup.button.callback(ctx.t('language.button'), 'choose_language')],
+    [Markup.button.callback(ctx.t('button.set_username'), 'set_username')],
+    [Markup.button.callback(ctx.t('button.set_bio'), 'set_bio')],
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
+  ]);
+
+  if (edit) {
+    await ctx.editMessageText(fullText, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  } else {
+    await ctx.replyWithMarkdown(fullText, keyboard);
+  }
+}
+
+// Cycles instant → hourly → daily → off
+bot.action('notif_mode', async (ctx) => {
+  try {
+    const profile = await getUserProfile(ctx.from.id);
+    const modes = Object.keys(DELIVERY_MODES);
+    const mode = modes[(modes.indexOf(deliveryMode(profile)) + 1) % modes.length];
+    
+    await repos.users.update(ctx.from.id, { notificationDelivery: mode });
+    // Anything already buffered follows the new schedule; instant sends it on the next run, off drops it
+    const { timezoneOffset } = await getPublishingSettings();
+    const dueAt = mode === 'hourly' || mode === 'daily' ? nextDigestTime(mode, timezoneOffset) : new Date();
+    await repos.notificationDigests.reschedule(ctx.from.id, dueAt.toISOString());
+    
+    await settingsCommand(ctx, true);
+    await ctx.answerCbQuery(`📬 ${ctx.t(DELIVERY_MODES[mode].label)}`);
+  } catch (error) {
+    console.error('Delivery mode error:', error);
+    await ctx.answerCbQuery(ctx.t('settings.error'));
+  }
+});
+
+bot.action(/^notif_toggle_([a-z])$/, async (ctx) => {
+  const type = Object.keys(NOTIFICATION_TYPES).find(key => NOTIFICATION_TYPES[key].code === ctx.match[1]);
+  if (!type) {
+    await ctx.answerCbQuery(ctx.t('settings.unknown'));
+    return;
+  }
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Set Username', 'set_username')],
-    [Markup.button.callback('📝 Set Bio', 'set_bio')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
+  try {
+    const profile = await getUserProfile(ctx.from.id);
+    const enabled = !notificationEnabled(profile, type);
+    await repos.users.setNotification(ctx.from.id, type, enabled);
+    
+    await settingsCommand(ctx, true);
+    await ctx.answerCbQuery(ctx.t(enabled ? 'settings.switched_on' : 'settings.switched_off', { type: ctx.t(NOTIFICATION_TYPES[type].label) }));
+  } catch (error) {
+    console.error('Notification toggle error:', error);
+    await ctx.answerCbQuery(ctx.t('settings.error'));
+  }
+});
 
-  await ctx.replyWithMarkdown(fullText, keyboard);
+async function aboutUsCommand(ctx) {
+  await ctx.replyWithMarkdown(ctx.t('about.text'), infoPageKeyboard(ctx));
 }
 
-async function aboutUsCommand(ctx) {
-  const text = `ℹ️ *About Us*\n\nThis is an anonymous confession platform for JU students.\n\nFeatures:\n• Anonymous confessions\n• Admin approval system\n• User profiles\n• Social features\n• Comment system\n• Reputation system\n• Achievements\n• Daily check-ins\n\n100% private and secure.`;
-  
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+// Shared by the About and Rules pages
+function infoPageKeyboard(ctx) {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback(ctx.t('button.send_confession'), 'send_confession')],
+    [Markup.button.callback(ctx.t('button.daily_checkin'), 'daily_checkin')],
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
+}
 
+async function browseUsersCommand(ctx) {
+  const { text, keyboard } = await browseUsersView(ctx);
   await ctx.replyWithMarkdown(text, keyboard);
 }
 
-async function browseUsersCommand(ctx) {
-  // Get all users except current user
-  const usersSnapshot = await db.collection('users')
-    .where('username', '!=', null) // Only users with usernames
-    .where('isActive', '==', true) // Only active users
-    .orderBy('reputation', 'desc') // Sort by reputation
-    .limit(10)
-    .get();
-  
-  if (usersSnapshot.empty) {
-    await ctx.reply(
-      `🔍 *Browse Users*\n\nNo users found.`
-    );
-    return;
-  }
+// Active users with usernames, by reputation (without the viewer)
+async function browseUsersView(ctx) {
+  const users = await repos.users.listBrowsable(10);
   
-  let usersText = `🔍 *Browse Users*\n\n`;
+  let usersText = `${ctx.t('browse.title')}\n\n`;
   const keyboard = [];
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
+  if (users.length === 0) {
+    usersText += ctx.t('browse.empty');
+  }
+  
+  for (const userData of users) {
     if (userData.userId === ctx.from.id) continue; // Skip current user
     
     const name = userData.username;
-    const bio = userData.bio || 'No bio';
+    const bio = userData.bio || ctx.t('profile.no_bio');
     const followers = userData.followers.length;
     const reputation = userData.reputation;
     
-    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
+    usersText += `${ctx.t('browse.user', { name, reputation, followers })}\n`;
     usersText += `  ${bio}\n\n`;
     
     keyboard.push([
-      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
+      Markup.button.callback(ctx.t('browse.view', { name }), `view_profile_${userData.userId}`)
     ]);
   }
   
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  keyboard.push([Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]);
   
-  await ctx.replyWithMarkdown(usersText, Markup.inlineKeyboard(keyboard));
+  return { text: usersText, keyboard: Markup.inlineKeyboard(keyboard) };
 }
 
 async function rulesCommand(ctx) {
-  const text = `📌 *Confession Rules*\n\n✅ Be respectful\n✅ No personal attacks\n✅ No spam or ads\n✅ Keep it anonymous\n✅ No hate speech\n✅ No illegal content\n✅ No harassment\n✅ Use appropriate hashtags`;
-  
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
+  await ctx.replyWithMarkdown(ctx.t('rules.text'), infoPageKeyboard(ctx));
+}
 
-  await ctx.replyWithMarkdown(text, keyboard);
+// ==================== LANGUAGE ====================
+async function languageCommand(ctx) {
+  const keyboard = Markup.inlineKeyboard(
+    Object.entries(LOCALES).map(([locale, label]) => [
+      Markup.button.callback(locale === ctx.locale ? `${label} ✓` : label, `set_lang_${locale}`)
+    ])
+  );
+  
+  await ctx.replyWithMarkdown(ctx.t('language.title'), keyboard);
 }
 
+bot.command('language', async (ctx) => {
+  await languageCommand(ctx);
+});
+
+bot.action('choose_language', async (ctx) => {
+  await languageCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^set_lang_([a-z]+)$/, async (ctx) => {
+  const locale = ctx.match[1];
+  if (!isLocale(locale)) {
+    await ctx.answerCbQuery('❌');
+    return;
+  }
+  
+  await getUserProfile(ctx.from.id);
+  await repos.users.update(ctx.from.id, { locale });
+  ctx.locale = locale;
+  
+  await ctx.editMessageText(ctx.t('language.changed'));
+  await ctx.answerCbQuery();
+  // Resend the menu so the reply keyboard switches language too
+  await showMainMenu(ctx);
+});
+
 // Back to menu action
 bot.action('back_to_menu', async (ctx) => {
   await showMainMenu(ctx);
   await ctx.answerCbQuery();
 });
 
+// Rules action
+bot.action('show_rules', async (ctx) => {
+  await rulesCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
 // Daily check-in action
 bot.action('daily_checkin', async (ctx) => {
   await ctx.reply('/checkin');
@@ -1311,24 +3003,24 @@ bot.action('show_followers', async (ctx) => {
   
   if (followerIds.length === 0) {
     await ctx.editMessageText(
-      `👥 *Your Followers*\n\nNo followers yet.`,
+      ctx.t('followers.none'),
       { parse_mode: 'Markdown' }
     );
     return;
   }
   
-  let followersText = `👥 *Your Followers (${followerIds.length})*\n\n`;
+  let followersText = `${ctx.t('followers.title', { count: followerIds.length })}\n\n`;
   
   for (const followerId of followerIds) {
     const followerProfile = await getUserProfile(followerId);
-    const name = followerProfile.username || 'Anonymous';
+    const name = followerProfile.username || ctx.t('common.anonymous');
     const reputation = followerProfile.reputation;
     followersText += `• @${name} (${reputation}⭐)\n`;
   }
   
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
   
   await ctx.editMessageText(followersText, { 
@@ -1343,24 +3035,24 @@ bot.action('show_following', async (ctx) => {
   
   if (followingIds.length === 0) {
     await ctx.editMessageText(
-      `👥 *You're Following*\n\nNot following anyone yet.`,
+      ctx.t('following.none'),
       { parse_mode: 'Markdown' }
     );
     return;
   }
   
-  let followingText = `👥 *You're Following (${followingIds.length})*\n\n`;
+  let followingText = `${ctx.t('following.title', { count: followingIds.length })}\n\n`;
   
   for (const followingId of followingIds) {
     const followingProfile = await getUserProfile(followingId);
-    const name = followingProfile.username || 'Anonymous';
+    const name = followingProfile.username || ctx.t('common.anonymous');
     const reputation = followingProfile.reputation;
     followingText += `• @${name} (${reputation}⭐)\n`;
   }
   
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    [Markup.button.callback(ctx.t('button.browse_users'), 'browse_users')],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ]);
   
   await ctx.editMessageText(followingText, { 
@@ -1371,65 +3063,32 @@ bot.action('show_following', async (ctx) => {
 
 // ==================== BROWSE USERS ====================
 bot.action('browse_users', async (ctx) => {
-  // Get all users except current user
-  const usersSnapshot = await db.collection('users')
-    .where('username', '!=', null) // Only users with usernames
-    .where('isActive', '==', true) // Only active users
-    .orderBy('reputation', 'desc') // Sort by reputation
-    .limit(10)
-    .get();
-  
-  if (usersSnapshot.empty) {
-    await ctx.editMessageText(
-      `🔍 *Browse Users*\n\nNo users found.`,
-      { parse_mode: 'Markdown' }
-    );
-    return;
-  }
-  
-  let usersText = `🔍 *Browse Users*\n\n`;
-  const keyboard = [];
-  
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
-    if (userData.userId === ctx.from.id) continue; // Skip current user
-    
-    const name = userData.username;
-    const bio = userData.bio || 'No bio';
-    const followers = userData.followers.length;
-    const reputation = userData.reputation;
-    
-    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
-    usersText += `  ${bio}\n\n`;
-    
-    keyboard.push([
-      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
-    ]);
-  }
-  
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
-  
-  await ctx.editMessageText(usersText, { 
+  const { text, keyboard } = await browseUsersView(ctx);
+  await ctx.editMessageText(text, { 
     parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
+    reply_markup: keyboard.reply_markup
   });
 });
 
 // ==================== VIEW USER PROFILE ====================
 bot.action(/view_profile_(.+)/, async (ctx) => {
-  const targetUserId = ctx.match[1];
+  await showUserProfile(ctx, ctx.match[1]);
+});
+
+// Edits the message into another user's profile with a Follow/Following button
+async function showUserProfile(ctx, targetUserId) {
   const targetProfile = await getUserProfile(targetUserId);
   const currentUserProfile = await getUserProfile(ctx.from.id);
   
-  const profileText = `👤 *Profile*\n\n`;
-  const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-  const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-  const followers = `**Followers:** ${targetProfile.followers.length}\n`;
-  const following = `**Following:** ${targetProfile.following.length}\n`;
-  const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-  const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-  const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+  const profileText = `${ctx.t('profile.other_title')}\n\n`;
+  const username = targetProfile.username ? `${ctx.t('profile.username', { username: `@${targetProfile.username}` })}\n` : '';
+  const bio = `${ctx.t('profile.bio', { bio: targetProfile.bio || ctx.t('profile.no_bio') })}\n`;
+  const followers = `${ctx.t('profile.followers', { count: targetProfile.followers.length })}\n`;
+  const following = `${ctx.t('profile.following', { count: targetProfile.following.length })}\n`;
+  const confessions = `${ctx.t('profile.confessions', { count: targetProfile.totalConfessions })}\n`;
+  const reputation = `${ctx.t('profile.reputation', { reputation: `${targetProfile.reputation}⭐` })}\n`;
+  const achievements = `${ctx.t('profile.achievements', { count: targetProfile.achievementCount })}\n`;
+  const joinDate = `${ctx.t('profile.member_since', { date: new Date(targetProfile.joinDate).toLocaleDateString() })}\n`;
   
   const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
   
@@ -1438,156 +3097,621 @@ bot.action(/view_profile_(.+)/, async (ctx) => {
   
   const keyboard = [
     [isFollowing 
-      ? Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)
-      : Markup.button.callback('➕ Follow', `follow_${targetUserId}`)
-    ]
+      ? Markup.button.callback(ctx.t('button.following_on'), `unfollow_${targetUserId}`)
+      : Markup.button.callback(ctx.t('button.follow'), `follow_${targetUserId}`)
+    ],
+    [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
   ];
   
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
-  
   await ctx.editMessageText(fullText, { 
     parse_mode: 'Markdown',
     reply_markup: Markup.inlineKeyboard(keyboard)
   });
-});
+}
 
 // ==================== FOLLOW/UNFOLLOW ====================
-bot.action(/follow_(.+)/, async (ctx) => {
+bot.action(/^follow_(\d+)$/, async (ctx) => {
   const targetUserId = parseInt(ctx.match[1]);
   
   if (targetUserId === ctx.from.id) {
-    await ctx.answerCbQuery('❌ You cannot follow yourself');
+    await ctx.answerCbQuery(ctx.t('follow.self'));
     return;
   }
   
   try {
-    // Add to current user's following
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      following: admin.firestore.FieldValue.arrayUnion(targetUserId)
-    });
+    const limit = await consumeRateLimit(ctx.from.id, 'follow');
+    if (!limit.allowed) {
+      await ctx.answerCbQuery(rateLimitMessage(ctx, 'follow', limit.retryAfterMs), { show_alert: true });
+      return;
+    }
     
-    // Add to target user's followers
-    await db.collection('users').doc(targetUserId.toString()).update({
-      followers: admin.firestore.FieldValue.arrayUnion(ctx.from.id)
-    });
+    // Add to current user's following and target user's followers
+    const isNew = await repos.users.follow(ctx.from.id, targetUserId);
     
-    await ctx.answerCbQuery('✅ Following!');
+    await ctx.answerCbQuery(ctx.t('follow.done'));
+    
+    // Repeated taps on a stale Follow button don't notify again
+    if (isNew) {
+      const followerProfile = await getUserProfile(ctx.from.id);
+      const locale = await userLocale(targetUserId);
+      await dispatchNotification(
+        targetUserId,
+        'newFollower',
+        t(locale, 'notify.follower', {
+          name: followerProfile.username ? `@${escapeMarkdown(followerProfile.username)}` : t(locale, 'notify.someone')
+        }),
+        Markup.inlineKeyboard([[Markup.button.callback(t(locale, 'button.view_profile'), `view_profile_${ctx.from.id}`)]])
+      );
+    }
     
     // Update the message
-    const targetProfile = await getUserProfile(targetUserId);
-    const profileText = `👤 *Profile*\n\n`;
-    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-    const followers = `**Followers:** ${targetProfile.followers.length + 1}\n`;
-    const following = `**Following:** ${targetProfile.following.length}\n`;
-    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
-    
-    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
-    
-    const keyboard = [
-      [Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-    ];
-    
-    await ctx.editMessageText(fullText, { 
-      parse_mode: 'Markdown',
-      reply_markup: Markup.inlineKeyboard(keyboard)
-    });
+    await showUserProfile(ctx, targetUserId);
     
   } catch (error) {
     console.error('Follow error:', error);
-    await ctx.answerCbQuery('❌ Error following user');
+    await ctx.answerCbQuery(ctx.t('follow.error'));
+  }
+});
+
+bot.action(/^unfollow_(\d+)$/, async (ctx) => {
+  const targetUserId = parseInt(ctx.match[1]);
+  
+  try {
+    // Remove from current user's following and target user's followers
+    await repos.users.unfollow(ctx.from.id, targetUserId);
+    
+    await ctx.answerCbQuery(ctx.t('follow.unfollowed'));
+    
+    // Update the message
+    await showUserProfile(ctx, targetUserId);
+    
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    await ctx.answerCbQuery(ctx.t('follow.unfollow_error'));
+  }
+});
+
+// ==================== SET USERNAME ====================
+bot.action('set_username', async (ctx) => {
+  await ctx.editMessageText(ctx.t('username.prompt'), { parse_mode: 'Markdown' });
+  await enterFlow(ctx, 'username');
+  await ctx.answerCbQuery();
+});
+
+const usernameFlow = createFlow('username', { label: 'flow.username' });
+usernameFlow.on('text', async (ctx) => {
+  const username = ctx.message.text.trim();
+  
+  // Validate username
+  if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
+    await ctx.reply(ctx.t('username.invalid'));
+    return;
+  }
+  
+  // Check if username already exists
+  const existingUser = await repos.users.findByUsername(username);
+  
+  if (existingUser && existingUser.userId !== ctx.from.id) {
+    await ctx.reply(ctx.t('username.taken'));
+    return;
+  }
+  
+  // Update profile
+  await repos.users.update(ctx.from.id, {
+    username: username
+  });
+  
+  await ctx.scene.leave();
+  await ctx.reply(ctx.t('username.updated', { username }));
+});
+
+// ==================== SET BIO ====================
+bot.action('set_bio', async (ctx) => {
+  await ctx.editMessageText(ctx.t('bio.prompt'), { parse_mode: 'Markdown' });
+  await enterFlow(ctx, 'bio');
+  await ctx.answerCbQuery();
+});
+
+const bioFlow = createFlow('bio', { label: 'flow.bio' });
+bioFlow.on('text', async (ctx) => {
+  const bio = ctx.message.text.trim();
+  
+  if (bio.length > 100) {
+    await ctx.reply(ctx.t('bio.too_long'));
+    return;
+  }
+  
+  await repos.users.update(ctx.from.id, {
+    bio: bio
+  });
+  
+  await ctx.scene.leave();
+  await ctx.reply(ctx.t('bio.updated'));
+});
+
+// ==================== SEARCH ====================
+// Keywords, #hashtags and a number range ("100-200") can be combined.
+// The last query is kept in the session so result pages can be flipped.
+const SEARCH_PAGE_SIZE = 5;
+
+async function findConfessions(query) {
+  const parsed = parseQuery(query);
+  const tokens = queryTokens(parsed);
+  
+  let candidates;
+  if (tokens.length > 0) {
+    candidates = await repos.confessions.searchApproved(tokens);
+    if (parsed.range) {
+      candidates = candidates.filter(confession =>
+        confession.confessionNumber >= parsed.range.from && confession.confessionNumber <= parsed.range.to);
+    }
+  } else if (parsed.range) {
+    candidates = await repos.confessions.listApprovedByNumber(parsed.range.from, parsed.range.to);
+  } else {
+    return null;
+  }
+  
+  return rankResults(candidates.filter(confession => !confession.hidden), parsed);
+}
+
+async function runSearch(ctx, query, page = 0, edit = false) {
+  const results = await findConfessions(query);
+  if (!results) {
+    await ctx.replyWithMarkdown(ctx.t('search.usage'));
+    return;
+  }
+  
+  ctx.session.lastSearch = query;
+  const offset = page * SEARCH_PAGE_SIZE;
+  const pageResults = results.slice(offset, offset + SEARCH_PAGE_SIZE);
+  
+  let text = `${ctx.t('search.results', { query, count: results.length })}\n\n`;
+  if (results.length === 0) text += `${ctx.t('search.empty')}\n`;
+  
+  const rows = [];
+  pageResults.forEach(confession => {
+    text += `#${confession.confessionNumber} — ${confessionPreview(confession, 120)}\n`;
+    text += `   ${ctx.t('tag.counts', { comments: confession.totalComments || 0, reactions: confession.totalReactions || 0 })}\n\n`;
+    rows.push([Markup.button.callback(ctx.t('button.confession', { number: confession.confessionNumber }), `refresh_comments_${confessionKey(confession.confessionId)}`)]);
+  });
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback(ctx.t('button.previous'), `srch_${page - 1}`));
+  if (offset + SEARCH_PAGE_SIZE < results.length) navigation.push(Markup.button.callback(ctx.t('button.next'), `srch_${page + 1}`));
+  if (navigation.length > 0) rows.push(navigation);
+  rows.push([Markup.button.callback(ctx.t('button.new_search'), 'search')]);
+  rows.push([Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]);
+  
+  const keyboard = Markup.inlineKeyboard(rows);
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: keyboard.reply_markup });
+  } else {
+    await ctx.reply(text, keyboard);
+  }
+}
+
+async function searchCommand(ctx) {
+  await enterFlow(ctx, 'search');
+  await ctx.replyWithMarkdown(ctx.t('search.usage'));
+}
+
+const searchFlow = createFlow('search', { label: 'flow.search' });
+searchFlow.on('text', async (ctx) => {
+  await ctx.scene.leave();
+  await runSearch(ctx, ctx.message.text);
+});
+
+bot.command('search', async (ctx) => {
+  const query = ctx.message.text.split(/\s+/).slice(1).join(' ');
+  if (!query) {
+    await searchCommand(ctx);
+    return;
+  }
+  
+  await runSearch(ctx, query);
+});
+
+bot.hears(allTranslations('menu.search'), async (ctx) => {
+  await searchCommand(ctx);
+});
+
+bot.action('search', async (ctx) => {
+  await searchCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^srch_(\d+)$/, async (ctx) => {
+  if (!ctx.session.lastSearch) {
+    await ctx.answerCbQuery(ctx.t('search.expired'));
+    return;
+  }
+  
+  await runSearch(ctx, ctx.session.lastSearch, parseInt(ctx.match[1]), true);
+  await ctx.answerCbQuery();
+});
+
+// Rebuilds the search index and hashtag counters, e.g. for confessions
+// published before they existed or tagged under older hashtag rules.
+// Hashtag subscriptions saved under the older rules are normalized too.
+// The work runs in batches: the command starts it and the reindex cron job
+// carries on from the saved cursor until it is done, then tells the admin.
+const REINDEX_BATCH_SIZE = 200;
+const REINDEX_TIME_BUDGET_MS = 20 * 1000;
+const REINDEX_LEASE_MS = 60 * 1000;
+
+bot.command('reindex', async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'configure'))) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  try {
+    const run = await repos.reindex.start(ctx.from.id);
+    if (!run) {
+      const current = await repos.reindex.get();
+      await ctx.reply(`⏳ A reindex is already running (${current.confessions} confessions done so far).`);
+      return;
+    }
+    
+    await recordAudit(ctx, 'search_reindex', { details: { startedAt: run.startedAt } });
+    await ctx.reply('🔄 Reindex started. You will get a message when it is done.');
+    await runReindex();
+  } catch (error) {
+    console.error('Reindex error:', error);
+    await ctx.reply('❌ Failed to start the reindex.');
+  }
+});
+
+async function runReindex() {
+  const began = Date.now();
+  
+  while (Date.now() - began < REINDEX_TIME_BUDGET_MS) {
+    const run = await repos.reindex.claim(REINDEX_LEASE_MS);
+    if (!run) return;
+    
+    await repos.reindex.advance(await reindexStep(run));
+  }
+}
+
+// Processes one batch of the current phase and returns the progress to save
+async function reindexStep(run) {
+  if (run.phase === 'confessions') {
+    // Counters start from zero; only confessions approved before the run are
+    // recounted, newer ones were already counted when they were published
+    if (run.cursor === null) await repos.hashtags.reset();
+    const until = run.cursor === null ? new Date().toISOString() : run.until;
+    
+    const confessions = await repos.confessions.listApprovedUntil(until, {
+      after: run.cursor,
+      limit: REINDEX_BATCH_SIZE
+    });
+    for (const confession of confessions) {
+      const hashtags = extractHashtags(confession.text);
+      await repos.confessions.update(confession.confessionId, {
+        hashtags,
+        searchTokens: indexTokens(confession.text, hashtags),
+        // Hashtag pages only list confessions with an explicit `hidden: false`
+        hidden: Boolean(confession.hidden),
+        // Confessions approved before scores existed are missing from the "All time" ranking
+        engagementScore: engagementScore(confession),
+        trendingScore: trendingScore(confession)
+      });
+      if (!confession.hidden) {
+        await recordHashtagUsage({ ...confession, hashtags }, 1);
+      }
+    }
+    
+    const last = confessions[confessions.length - 1];
+    if (confessions.length < REINDEX_BATCH_SIZE) {
+      return { phase: 'subscriptions', cursor: null, until, confessions: run.confessions + confessions.length };
+    }
+    return {
+      cursor: { approvedAt: last.approvedAt, confessionId: last.confessionId },
+      until,
+      confessions: run.confessions + confessions.length
+    };
+  }
+  
+  const users = await repos.users.listPage({ after: run.cursor, limit: REINDEX_BATCH_SIZE });
+  let subscribers = run.subscribers;
+  for (const profile of users) {
+    const tags = profile.hashtagSubscriptions || [];
+    const normalized = extractHashtags(tags.join(' '));
+    if (normalized.join(' ') !== tags.join(' ')) {
+      await repos.users.update(profile.userId, { hashtagSubscriptions: normalized });
+      subscribers++;
+    }
+  }
+  
+  if (users.length === REINDEX_BATCH_SIZE) {
+    return { cursor: users[users.length - 1].userId, subscribers };
+  }
+  
+  try {
+    await bot.telegram.sendMessage(
+      run.startedBy,
+      `✅ Search index, trending scores and hashtag counters rebuilt for ${run.confessions} confessions, ${subscribers} hashtag subscription lists normalized.`
+    );
+  } catch (error) {
+    console.error('Reindex notification error:', error);
+  }
+  return { cursor: null, subscribers, finishedAt: new Date().toISOString() };
+}
+
+// ==================== SEND CONFESSION ====================
+bot.action('send_confession', async (ctx) => {
+  await sendConfessionCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
+// ==================== MY CONFESSIONS ====================
+// Authors can follow their submissions and, while still pending, edit or withdraw them
+// Statuses and appeal outcomes are shown through the `status.*` and `appeal.status.*` keys
+const MY_CONFESSIONS_PAGE_SIZE = 5;
+
+async function showMyConfessions(ctx, page = 0, edit = false) {
+  const userId = ctx.from.id;
+  const confessions = await repos.confessions.listByUser(userId, MY_CONFESSIONS_PAGE_SIZE + 1, page * MY_CONFESSIONS_PAGE_SIZE);
+  const hasMore = confessions.length > MY_CONFESSIONS_PAGE_SIZE;
+  
+  let text = `${ctx.t('mine.title')}\n\n`;
+  if (confessions.length === 0) {
+    text += ctx.t(page === 0 ? 'mine.empty' : 'tag.no_more');
+  }
+  
+  const keyboard = [];
+  confessions.slice(0, MY_CONFESSIONS_PAGE_SIZE).forEach((confession, index) => {
+    const position = page * MY_CONFESSIONS_PAGE_SIZE + index + 1;
+    const number = confession.confessionNumber ? ` #${confession.confessionNumber}` : '';
+    
+    text += `${position}. ${ctx.t(`status.${confession.status}`)}${number}\n`;
+    text += `   "${confessionPreview(confession, 80)}"\n`;
+    text += `   ${ctx.t('mine.sent', { date: new Date(confession.createdAt).toLocaleDateString() })}`;
+    if (confession.status === 'approved') text += ` · ${ctx.t('mine.comments', { count: confession.totalComments || 0 })}`;
+    if (confession.editedAt) text += ` · ${ctx.t('mine.edited')}`;
+    text += `\n`;
+    if (confession.status === 'rejected' && confession.rejectionReason) {
+      text += `   ${ctx.t('mine.reason', { reason: confession.rejectionReason })}\n`;
+    }
+    if (confession.appeal) text += `   ${ctx.t('mine.appeal', { status: ctx.t(`appeal.status.${confession.appeal.status}`) })}\n`;
+    text += `\n`;
+    
+    if (confession.status === 'pending') {
+      keyboard.push([
+        Markup.button.callback(ctx.t('mine.edit_button', { position }), `myconf_edit_${confession.confessionId}`),
+        Markup.button.callback(ctx.t('mine.withdraw_button', { position }), `myconf_withdraw_${confession.confessionId}`)
+      ]);
+    } else if (confession.status === 'approved') {
+      keyboard.push([Markup.button.callback(ctx.t('mine.comments_button', { position }), `refresh_comments_${confessionKey(confession.confessionId)}`)]);
+    } else if (repos.confessions.canFollowUp(confession, userId)) {
+      keyboard.push([
+        Markup.button.callback(ctx.t('mine.resubmit_button', { position }), `resubmit_${confession.confessionId}`),
+        Markup.button.callback(ctx.t('mine.appeal_button', { position }), `file_appeal_${confession.confessionId}`)
+      ]);
+    }
+  });
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback(ctx.t('button.newer'), `my_confessions_${page - 1}`));
+  if (hasMore) navigation.push(Markup.button.callback(ctx.t('button.older'), `my_confessions_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+  keyboard.push([Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]);
+  
+  if (edit) {
+    await ctx.editMessageText(text, { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup });
+  } else {
+    await ctx.reply(text, Markup.inlineKeyboard(keyboard));
+  }
+}
+
+bot.command('myconfessions', async (ctx) => {
+  await showMyConfessions(ctx);
+});
+
+bot.action(/^my_confessions_(\d+)$/, async (ctx) => {
+  await showMyConfessions(ctx, parseInt(ctx.match[1]), true);
+  await ctx.answerCbQuery();
+});
+
+// Loads one of the caller's own confessions, answering the callback when it isn't pending
+async function getOwnPendingConfession(ctx, confessionId) {
+  const confession = await repos.confessions.get(confessionId);
+  if (!confession || confession.userId !== ctx.from.id) {
+    await ctx.answerCbQuery(ctx.t('mine.not_found'));
+    return null;
+  }
+  if (confession.status !== 'pending') {
+    await ctx.answerCbQuery(ctx.t('mine.reviewed'), { show_alert: true });
+    return null;
+  }
+  return confession;
+}
+
+bot.action(/^myconf_withdraw_(.+)$/, async (ctx) => {
+  const confessionId = ctx.match[1];
+  const confession = await getOwnPendingConfession(ctx, confessionId);
+  if (!confession) return;
+  
+  try {
+    // Same status check as approval, so a withdrawal and an approval can't both win
+    const result = await repos.confessions.transition(confessionId, ['pending'], {
+      ...CLEARED_CLAIM,
+      status: 'withdrawn',
+      withdrawnAt: new Date().toISOString()
+    }, ctx.from.id, { ignoreClaim: true });
+    
+    if (!result.ok) {
+      await ctx.answerCbQuery(ctx.t('mine.reviewed'), { show_alert: true });
+      await showMyConfessions(ctx, 0, true);
+      return;
+    }
+    
+    await syncReviewMessages(confessionId);
+    await ctx.answerCbQuery(ctx.t('mine.withdrawn'));
+    await showMyConfessions(ctx, 0, true);
+  } catch (error) {
+    console.error('Withdraw error:', error);
+    await ctx.answerCbQuery(ctx.t('mine.withdraw_error'));
+  }
+});
+
+bot.action(/^myconf_edit_(.+)$/, async (ctx) => {
+  const confessionId = ctx.match[1];
+  const confession = await getOwnPendingConfession(ctx, confessionId);
+  if (!confession) return;
+  if (confession.claimedBy && Date.parse(confession.claimExpiresAt) > Date.now()) {
+    await ctx.answerCbQuery(ctx.t('mine.claimed'), { show_alert: true });
+    return;
+  }
+  
+  await enterFlow(ctx, 'confession_edit', { confessionId });
+  await ctx.reply(ctx.t('edit.prompt', { text: confession.text || ctx.t('edit.no_caption') }));
+  await ctx.answerCbQuery();
+});
+
+const confessionEditFlow = createFlow('confession_edit', { label: 'flow.confession_edit' });
+confessionEditFlow.on('text', (ctx) => handleConfessionEdit(ctx, ctx.message.text));
+
+// Invalid text keeps the flow open for another try; it ends once the edit is saved
+// or can no longer be saved
+async function handleConfessionEdit(ctx, text) {
+  const { confessionId } = ctx.scene.state;
+  
+  if (!text || text.trim().length < 5) {
+    await ctx.reply(ctx.t('confession.too_short'));
+    return;
+  }
+  if (text.length > 1000) {
+    await ctx.reply(ctx.t('confession.too_long'));
+    return;
   }
-});
-
-bot.action(/unfollow_(.+)/, async (ctx) => {
-  const targetUserId = parseInt(ctx.match[1]);
   
   try {
-    // Remove from current user's following
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      following: admin.firestore.FieldValue.arrayRemove(targetUserId)
-    });
+    const sanitizedText = sanitizeInput(text).trim();
+    const moderation = await runModeration(sanitizedText);
+    if (moderation.verdict === 'reject') {
+      await ctx.reply(ctx.t('edit.rejected', { reason: moderation.reason }));
+      return;
+    }
     
-    // Remove from target user's followers
-    await db.collection('users').doc(targetUserId.toString()).update({
-      followers: admin.firestore.FieldValue.arrayRemove(ctx.from.id)
-    });
+    const confession = await repos.confessions.get(confessionId);
+    if (!confession || confession.userId !== ctx.from.id) {
+      await ctx.scene.leave();
+      await ctx.reply(ctx.t('edit.not_found'));
+      return;
+    }
     
-    await ctx.answerCbQuery('❌ Unfollowed');
+    // The claim is respected, so an admin never approves text they haven't seen
+    const result = await repos.confessions.transition(confessionId, ['pending'], {
+      text: sanitizedText,
+      hashtags: extractHashtags(sanitizedText),
+      moderation: moderation,
+      editedAt: new Date().toISOString()
+    }, ctx.from.id);
     
-    // Update the message
-    const targetProfile = await getUserProfile(targetUserId);
-    const profileText = `👤 *Profile*\n\n`;
-    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-    const followers = `**Followers:** ${Math.max(0, targetProfile.followers.length - 1)}\n`;
-    const following = `**Following:** ${targetProfile.following.length}\n`;
-    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
-    
-    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
-    
-    const keyboard = [
-      [Markup.button.callback('➕ Follow', `follow_${targetUserId}`)],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-    ];
-    
-    await ctx.editMessageText(fullText, { 
-      parse_mode: 'Markdown',
-      reply_markup: Markup.inlineKeyboard(keyboard)
-    });
+    await ctx.scene.leave();
+    if (result.reason === 'claimed') {
+      await ctx.reply(ctx.t('edit.claimed'));
+      return;
+    }
+    if (!result.ok) {
+      await ctx.reply(ctx.t('edit.reviewed'));
+      return;
+    }
     
+    // Admins see the new text on their review messages
+    await syncReviewMessages(confessionId);
+    await ctx.reply(ctx.t('edit.saved'),
+      Markup.inlineKeyboard([[Markup.button.callback(ctx.t('button.my_confessions'), 'my_confessions_0')]]));
   } catch (error) {
-    console.error('Unfollow error:', error);
-    await ctx.answerCbQuery('❌ Error unfollowing user');
+    console.error('Edit confession error:', error);
+    await ctx.reply(ctx.t('edit.error'));
   }
-});
+}
 
-// ==================== SET USERNAME ====================
-bot.action('set_username', async (ctx) => {
-  await ctx.editMessageText(
-    `📝 *Set Username*\n\nEnter your desired username (without @):\n\nMust be 3-20 characters, letters/numbers/underscores only.`,
-    { parse_mode: 'Markdown' }
-  );
-  ctx.session.waitingForUsername = true;
-  await ctx.answerCbQuery();
-});
+// ==================== MEDIA CONFESSIONS ====================
+const MEDIA_TYPES = {
+  photo: { label: '📷 Photo', send: 'sendPhoto' },
+  voice: { label: '🎤 Voice Note', send: 'sendVoice' },
+  video: { label: '🎬 Video', send: 'sendVideo' },
+  document: { label: '📎 Document', send: 'sendDocument' }
+};
 
-// ==================== SET BIO ====================
-bot.action('set_bio', async (ctx) => {
-  await ctx.editMessageText(
-    `📝 *Set Bio*\n\nEnter your bio (max 100 characters):`,
-    { parse_mode: 'Markdown' }
-  );
-  ctx.session.waitingForBio = true;
-  await ctx.answerCbQuery();
-});
+// Pull the Telegram file reference out of a media message
+function extractMedia(message) {
+  if (message.photo) {
+    const largest = message.photo[message.photo.length - 1]; // Sizes are sorted smallest first
+    return { type: 'photo', fileId: largest.file_id, fileUniqueId: largest.file_unique_id };
+  }
+  
+  for (const type of ['voice', 'video', 'document']) {
+    if (message[type]) {
+      return {
+        type: type,
+        fileId: message[type].file_id,
+        fileUniqueId: message[type].file_unique_id,
+        mimeType: message[type].mime_type || null,
+        fileName: message[type].file_name || null
+      };
+    }
+  }
+  
+  return null;
+}
 
-// ==================== SEND CONFESSION ====================
-bot.action('send_confession', async (ctx) => {
-  await sendConfessionCommand(ctx);
-  await ctx.answerCbQuery();
-});
+// Send a media confession using the matching sendPhoto/sendVoice/... call
+async function sendMedia(chatId, media, caption, extra = {}) {
+  const { send } = MEDIA_TYPES[media.type];
+  return bot.telegram[send](chatId, media.fileId, { caption, ...extra });
+}
+
+// Short label for lists where media can't be shown inline
+function confessionPreview(confession, length = 50) {
+  const text = confession.text || '';
+  const snippet = `${text.substring(0, length)}${text.length > length ? '...' : ''}`;
+  
+  if (!confession.media) return snippet;
+  return snippet ? `[${MEDIA_TYPES[confession.media.type].label}] ${snippet}` : `[${MEDIA_TYPES[confession.media.type].label}]`;
+}
+
+// Review messages may be text or media captions; edit whichever one the admin tapped
+async function editReviewMessage(ctx, text, extra = {}) {
+  const message = ctx.callbackQuery?.message;
+  
+  if (message && message.text === undefined && (message.caption !== undefined || extractMedia(message))) {
+    await ctx.editMessageCaption(text, extra);
+  } else {
+    await ctx.editMessageText(text, extra);
+  }
+}
+
+const confessionFlow = createFlow('confession', { label: 'flow.confession' });
+confessionFlow.on('text', (ctx) => handleConfession(ctx, ctx.message.text));
+confessionFlow.on(['photo', 'voice', 'video', 'document'], (ctx) =>
+  handleConfession(ctx, ctx.message.caption || '', extractMedia(ctx.message)));
 
-async function handleConfession(ctx, text) {
+async function handleConfession(ctx, text, media = null) {
   const userId = ctx.from.id;
+  
+  // Resubmissions are linked to the rejected original and keep its media unless new media was sent
+  const { resubmissionOf = null } = ctx.scene.state;
+  await ctx.scene.leave();
+  const original = resubmissionOf ? await repos.confessions.get(resubmissionOf) : null;
+  if (original && !media && original.media) media = original.media;
 
-  // Validate confession
-  if (!text || text.trim().length < 5) {
-    await ctx.reply('❌ Confession too short. Minimum 5 characters.');
-    ctx.session.waitingForConfession = false;
+  // Validate confession (captions are optional for media)
+  if (!media && (!text || text.trim().length < 5)) {
+    await ctx.reply(ctx.t('confession.too_short'));
+    return;
+  }
+
+  if (media && text.trim().length > 0 && text.trim().length < 5) {
+    await ctx.reply(ctx.t('confession.caption_too_short'));
     return;
   }
 
   if (text.length > 1000) {
-    await ctx.reply('❌ Confession too long. Maximum 1000 characters.');
-    ctx.session.waitingForConfession = false;
+    await ctx.reply(ctx.t(media ? 'confession.caption_too_long' : 'confession.too_long'));
     return;
   }
 
@@ -1601,79 +3725,266 @@ async function handleConfession(ctx, text) {
     // Extract hashtags
     const hashtags = extractHashtags(sanitizedText);
     
+    // Run auto-moderation before anything reaches the admins
+    const moderation = await runModeration(sanitizedText);
+    
+    // Stores the document, linking it to the original when this is a resubmission
+    const storeConfession = async (confession) => {
+      if (!original) {
+        await repos.confessions.create(confessionId, confession);
+        return true;
+      }
+      return repos.confessions.createResubmission(resubmissionOf, confessionId, {
+        ...confession,
+        previousRejectionReason: original.rejectionReason || null
+      });
+    };
+    
+    if (moderation.verdict === 'reject') {
+      // Keep a record of the auto-rejection; it spends a `rejected` try instead of a confession one
+      const limit = await consumeRateLimit(userId, 'rejected');
+      if (!limit.allowed) {
+        await ctx.reply(rateLimitMessage(ctx, 'rejected', limit.retryAfterMs));
+        return;
+      }
+      
+      const stored = await storeConfession({
+        confessionId: confessionId,
+        userId: userId,
+        text: sanitizedText.trim(),
+        status: 'rejected',
+        createdAt: new Date().toISOString(),
+        rejectedAt: new Date().toISOString(),
+        rejectionReason: moderation.reason,
+        rejectedBy: 'auto_moderation',
+        hashtags: hashtags,
+        media: media,
+        moderation: moderation,
+        totalComments: 0
+      });
+      
+      if (!stored) {
+        await ctx.reply(ctx.t('confession.already_followed_up'));
+        return;
+      }
+      
+      await ctx.replyWithMarkdown(
+        ctx.t('confession.auto_rejected', { reason: moderation.reason }),
+        Markup.inlineKeyboard([
+          [
+            Markup.button.callback(ctx.t('button.resubmit'), `resubmit_${confessionId}`),
+            Markup.button.callback(ctx.t('button.appeal'), `file_appeal_${confessionId}`)
+          ],
+          [Markup.button.callback(ctx.t('button.rules'), 'show_rules')],
+          [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
+        ])
+      );
+      return;
+    }
+    
     // Save to Firebase - FIXED: Removed confessionNumber from pending confessions
-    await db.collection('confessions').doc(confessionId).set({
+    const confession = {
       confessionId: confessionId,
       userId: userId,
       text: sanitizedText.trim(),
       status: 'pending',
       createdAt: new Date().toISOString(),
       hashtags: hashtags,
+      media: media,
+      moderation: moderation,
       totalComments: 0
-    });
+    };
+    
+    const limit = await consumeRateLimit(userId, 'confession');
+    if (!limit.allowed) {
+      await ctx.reply(rateLimitMessage(ctx, 'confession', limit.retryAfterMs));
+      return;
+    }
+    
+    if (!(await storeConfession(confession))) {
+      await ctx.reply(ctx.t('confession.already_followed_up'));
+      return;
+    }
 
     // Update user profile
-    await db.collection('users').doc(userId.toString()).update({
-      totalConfessions: admin.firestore.FieldValue.increment(1)
-    });
-
-    // Set persistent cooldown
-    await setCooldown(userId, 'confession');
+    await repos.users.incrementConfessions(userId);
 
     // Notify admin
-    await notifyAdmins(confessionId, sanitizedText);
+    await notifyAdmins(await repos.confessions.get(confessionId));
     
-    ctx.session.waitingForConfession = false;
 
     const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('📝 Send Another', 'send_confession')],
-      [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+      [Markup.button.callback(ctx.t('button.send_another'), 'send_confession')],
+      [Markup.button.callback(ctx.t('button.daily_checkin'), 'daily_checkin')],
+      [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
     ]);
 
-    await ctx.replyWithMarkdown(
-      `✅ *Confession Submitted!*\n\nYour confession is under review. You'll be notified when approved.`,
-      keyboard
-    );
+    await ctx.replyWithMarkdown(ctx.t('confession.submitted'), keyboard);
     
     // Check for achievements
     await checkAchievements(userId);
     
   } catch (error) {
     console.error('Submission error:', error);
-    await ctx.reply('❌ Error submitting confession. Please try again.');
-    ctx.session.waitingForConfession = false;
+    await ctx.reply(ctx.t('confession.error'));
   }
 }
 
 // ==================== ADMIN NOTIFICATION ====================
-async function notifyAdmins(confessionId, text) {
-  const adminIds = process.env.ADMIN_IDS?.split(',').map(id => id.trim()) || [];
+// Every admin gets their own copy of the review message. The copies are stored on the
+// confession (`adminMessages`) so they can all be updated once somebody handles it.
+const REVIEW_CLAIM_MS = (parseInt(process.env.REVIEW_CLAIM_MINUTES, 10) || 15) * 60 * 1000;
+const REVIEW_CAPTION_LIMIT = 1024;
+
+function adminDisplayName(from) {
+  return from.username ? `@${from.username}` : from.first_name || `Admin ${from.id}`;
+}
+
+function reviewMessageText(confession, status = '') {
+  let heading = formatModerationFlags(confession.moderation) +
+    (confession.media ? `🤫 *New Confession* (${MEDIA_TYPES[confession.media.type].label})` : `🤫 *New Confession*`);
+  if (confession.resubmissionOf) {
+    heading += `\n🔁 *Resubmission* — previously rejected: ${escapeMarkdown(confession.previousRejectionReason || '-')}`;
+  }
+  if (confession.editedAt) {
+    heading += `\n✏️ _Edited by the author_`;
+  }
+  const footer = status ? `\n\n${status}` : `\n\n*Actions:*`;
+  
+  // Media review messages are captions, which Telegram cuts off at 1024 characters
+  let text = confession.text;
+  const room = REVIEW_CAPTION_LIMIT - heading.length - footer.length - 2;
+  if (confession.media && text && text.length > room) {
+    text = `${text.substring(0, Math.max(0, room - 1))}…`;
+  }
   
-  const message = `🤫 *New Confession*\n\n${text}\n\n*Actions:*`;
+  const body = text ? `${heading}\n\n${text}` : heading;
+  return `${body}${footer}`;
+}
 
-  const keyboard = Markup.inlineKeyboard([
+function reviewKeyboard(confessionId, claimedByMe = false) {
+  return Markup.inlineKeyboard([
     [
       Markup.button.callback('✅ Approve', `approve_${confessionId}`),
       Markup.button.callback('❌ Reject', `reject_${confessionId}`)
+    ],
+    [
+      claimedByMe
+        ? Markup.button.callback('🔓 Release', `release_${confessionId}`)
+        : Markup.button.callback('🙋 Claim', `claim_${confessionId}`)
     ]
   ]);
+}
+
+async function notifyAdmins(confession) {
+  const { confessionId, media } = confession;
+
+  // Only roles that can act on a confession get the review message
+  await ensureAdminsSeeded();
+  const reviewerRoles = ROLE_NAMES.filter(role =>
+    roleHasPermission(role, 'approve') || roleHasPermission(role, 'reject'));
+  const adminIds = (await repos.admins.listByRoles(reviewerRoles)).map(admin => admin.userId);
+  
+  const message = reviewMessageText(confession);
+  const keyboard = reviewKeyboard(confessionId);
+  const adminMessages = [];
 
   for (const adminId of adminIds) {
     try {
-      await bot.telegram.sendMessage(adminId, message, {
-        parse_mode: 'Markdown',
-        reply_markup: keyboard.reply_markup
-      });
+      let sent;
+      if (media) {
+        sent = await sendMedia(adminId, media, message, {
+          parse_mode: 'Markdown',
+          reply_markup: keyboard.reply_markup
+        });
+      } else {
+        sent = await bot.telegram.sendMessage(adminId, message, {
+          parse_mode: 'Markdown',
+          reply_markup: keyboard.reply_markup
+        });
+      }
+      adminMessages.push({ chatId: sent.chat.id, messageId: sent.message_id });
     } catch (error) {
       console.error(`Admin notify error ${adminId}:`, error);
     }
   }
+  
+  await repos.confessions.update(confessionId, { adminMessages });
 }
 
-// ==================== ADMIN APPROVAL ====================
-bot.action(/approve_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+// Brings every admin's copy of the review message in line with the confession's state:
+// handled ones lose their buttons, claimed ones name the admin holding the claim
+async function syncReviewMessages(confessionId, { except = null } = {}) {
+  const confession = await repos.confessions.get(confessionId);
+  if (!confession?.adminMessages) return;
+  
+  const claimActive = confession.claimedBy && Date.parse(confession.claimExpiresAt) > Date.now();
+  
+  for (const entry of confession.adminMessages) {
+    if (except && entry.chatId === except.chatId && entry.messageId === except.messageId) continue;
+    
+    let text;
+    let keyboard = null;
+    if (confession.status === 'pending') {
+      const claimedByMe = claimActive && confession.claimedBy.toString() === entry.chatId.toString();
+      text = reviewMessageText(confession, claimActive
+        ? `🔒 *Claimed by ${escapeMarkdown(claimedByMe ? 'you' : confession.claimedByName)}*`
+        : '');
+      keyboard = reviewKeyboard(confessionId, claimedByMe);
+    } else if (confession.status === 'withdrawn') {
+      text = reviewMessageText(confession, `↩️ *Withdrawn by the author*`);
+    } else if (confession.status === 'rejected') {
+      text = reviewMessageText(confession,
+        `❌ *Rejected by ${escapeMarkdown(confession.reviewedByName || 'auto moderation')}*\nReason: ${escapeMarkdown(confession.rejectionReason || '-')}`);
+    } else {
+      text = reviewMessageText(confession, `✅ *Approved by ${escapeMarkdown(confession.reviewedByName || 'an admin')}*`);
+    }
+    
+    const extra = { parse_mode: 'Markdown', reply_markup: keyboard?.reply_markup };
+    try {
+      if (confession.media) {
+        await bot.telegram.editMessageCaption(entry.chatId, entry.messageId, undefined, text, extra);
+      } else {
+        await bot.telegram.editMessageText(entry.chatId, entry.messageId, undefined, text, extra);
+      }
+    } catch (error) {
+      if (!error.description?.includes('message is not modified')) {
+        console.error(`Review message sync error ${entry.chatId}:`, error);
+      }
+    }
+  }
+}
+
+// Explains why an approve/reject/claim didn't go through and refreshes the stale copies
+async function answerReviewConflict(ctx, confessionId, result) {
+  const { reason, confession } = result;
+  
+  if (reason === 'missing') {
+    await ctx.answerCbQuery('❌ Confession not found');
+    return;
+  }
+  
+  if (reason === 'claimed') {
+    await ctx.answerCbQuery(`🔒 Claimed by ${confession.claimedByName}`, { show_alert: true });
+  } else if (confession.status === 'withdrawn') {
+    await ctx.answerCbQuery('↩️ Withdrawn by the author', { show_alert: true });
+  } else {
+    const outcome = confession.status === 'rejected' ? 'rejected' : 'approved';
+    await ctx.answerCbQuery(`Already ${outcome} by ${confession.reviewedByName || 'another admin'}`, { show_alert: true });
+  }
+  await syncReviewMessages(confessionId);
+}
+
+const CLEARED_CLAIM = {
+  claimedBy: null,
+  claimedByName: null,
+  claimedAt: null,
+  claimExpiresAt: null
+};
+
+// ==================== REVIEW CLAIMS ====================
+bot.action(/^claim_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve', 'reject'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
@@ -1681,43 +3992,109 @@ bot.action(/approve_(.+)/, async (ctx) => {
   const confessionId = ctx.match[1];
   
   try {
-    const doc = await db.collection('confessions').doc(confessionId).get();
-    if (!doc.exists) {
-      await ctx.answerCbQuery('❌ Confession not found');
+    const result = await repos.confessions.claim(confessionId,
+      { id: ctx.from.id, name: adminDisplayName(ctx.from) }, REVIEW_CLAIM_MS);
+    if (!result.ok) {
+      await answerReviewConflict(ctx, confessionId, result);
       return;
     }
+    
+    await recordAudit(ctx, 'confession_claim', {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: result.confession.userId,
+      after: { claimExpiresAt: result.confession.claimExpiresAt }
+    });
+    await syncReviewMessages(confessionId);
+    await ctx.answerCbQuery(`🙋 Claimed for ${REVIEW_CLAIM_MS / 60000} minutes`);
+  } catch (error) {
+    console.error('Claim error:', error);
+    await ctx.answerCbQuery('❌ Claim failed');
+  }
+});
 
-    const confession = doc.data();
+bot.action(/^release_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve', 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const confessionId = ctx.match[1];
+  
+  try {
+    const result = await repos.confessions.releaseClaim(confessionId, ctx.from.id);
+    if (!result.ok) {
+      await answerReviewConflict(ctx, confessionId, result);
+      return;
+    }
     
-    // FIXED: Get next confession number from Firestore (only during approval)
-    const nextNumber = await getNextConfessionNumber();
+    if (ctx.scene.session.current === 'rejection' && ctx.scene.state.confessionId === confessionId) {
+      await ctx.scene.leave();
+    }
     
-    // Update confession with assigned number
-    await db.collection('confessions').doc(confessionId).update({
-      status: 'approved',
-      confessionNumber: nextNumber, // FIXED: Assign number during approval only
-      approvedAt: new Date().toISOString()
+    await recordAudit(ctx, 'confession_release', {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: result.confession.userId
     });
+    await syncReviewMessages(confessionId);
+    await ctx.answerCbQuery('🔓 Released');
+  } catch (error) {
+    console.error('Release error:', error);
+    await ctx.answerCbQuery('❌ Release failed');
+  }
+});
 
-    // Post to channel WITH PROPER COMMENT BUTTONS
-    await postToChannel(confession.text, nextNumber, confessionId);
-
-    // Update reputation (10 points for approved confession)
-    await updateReputation(confession.userId, 10);
-
-    // Notify user
-    await notifyUser(confession.userId, nextNumber, 'approved');
+// ==================== ADMIN APPROVAL ====================
+bot.action(/approve_(.+)/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'approve'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const confessionId = ctx.match[1];
+  
+  try {
+    // Approved confessions wait in the publishing queue; the number is assigned when posted.
+    // The status check and the update happen in one transaction so only one admin wins.
+    const now = new Date().toISOString();
+    const result = await repos.confessions.transition(confessionId, ['pending'], {
+      ...CLEARED_CLAIM,
+      status: 'scheduled',
+      scheduledAt: now,
+      scheduledBy: ctx.from.id,
+      reviewedBy: ctx.from.id,
+      reviewedByName: adminDisplayName(ctx.from),
+      reviewedAt: now
+    }, ctx.from.id);
+    
+    if (!result.ok) {
+      await answerReviewConflict(ctx, confessionId, result);
+      return;
+    }
+    
+    await repos.publishQueue.add(confessionId, { queuedBy: ctx.from.id });
+    await recordAudit(ctx, 'confession_approve', {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: result.confession.userId,
+      before: { status: 'pending' },
+      after: { status: 'scheduled' }
+    });
 
     // Update admin message
-    await ctx.editMessageText(
-      `✅ *Confession #${nextNumber} Approved!*\n\nPosted to channel successfully.`,
+    await editReviewMessage(ctx,
+      `✅ *Confession Approved!*\n\nAdded to the publishing queue. Use /queue to manage it.`,
       { parse_mode: 'Markdown' }
     );
     
     await ctx.answerCbQuery('Approved!');
+    
+    const message = ctx.callbackQuery.message;
+    await syncReviewMessages(confessionId, { except: { chatId: message.chat.id, messageId: message.message_id } });
 
-    // Check for achievements
-    await checkAchievements(confession.userId);
+    // Publish straight away if a time slot is free
+    await drainPublishQueue();
 
   } catch (error) {
     console.error('Approval error:', error);
@@ -1725,235 +4102,1005 @@ bot.action(/approve_(.+)/, async (ctx) => {
   }
 });
 
+// Assign the next number, post to the channel and reward the author
+// Callers take the confession off the queue first, so only one of them publishes it.
+// Throws when the channel post fails; the confession then stays scheduled.
+async function publishConfession(confessionId) {
+  const confession = await repos.confessions.get(confessionId);
+  if (!confession || confession.status !== 'scheduled') return null;
+  
+  // A number taken by an earlier failed attempt is reused, so a retry leaves no gap
+  const nextNumber = confession.confessionNumber || await getNextConfessionNumber();
+  if (!confession.confessionNumber) {
+    await repos.confessions.update(confessionId, { confessionNumber: nextNumber });
+  }
+
+  // Post to channel WITH PROPER COMMENT BUTTONS
+  const channelMessageId = await postToChannel(confession.text, nextNumber, confessionId, confession.media);
+  
+  // Only a posted confession becomes approved; it is indexed for /search at the same time
+  const approvedAt = new Date().toISOString();
+  const result = await repos.confessions.transition(confessionId, ['scheduled'], {
+    status: 'approved',
+    approvedAt,
+    hidden: false,
+    channelMessageId,
+    searchTokens: indexTokens(confession.text, confession.hashtags),
+    // Scored straight away so it shows up in the "All time" ranking
+    engagementScore: engagementScore(confession),
+    trendingScore: trendingScore({ ...confession, approvedAt })
+  });
+  if (!result.ok) {
+    console.error(`Confession ${confessionId} was posted but is no longer scheduled (${result.reason})`);
+    return null;
+  }
+  await recordHashtagUsage({ ...confession, approvedAt }, 1);
+  
+  await createCommentSection(confessionId, nextNumber, confession.text);
+
+  // Update reputation (10 points for approved confession)
+  await updateReputation(confession.userId, 10);
+
+  // Notify user
+  await notifyUser(confession.userId, nextNumber, 'approved');
+  const tags = [...new Set(confession.hashtags || [])];
+  if (tags.length > 0) await repos.hashtags.queueNotification(confessionId, tags);
+
+  // Check for achievements
+  await checkAchievements(confession.userId);
+  
+  return nextNumber;
+}
+
 // ==================== ADMIN REJECTION ====================
 bot.action(/reject_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
   const confessionId = ctx.match[1];
   
-  await ctx.editMessageText(
+  // Claim it while the reason is being typed so nobody approves it meanwhile
+  const claim = await repos.confessions.claim(confessionId,
+    { id: ctx.from.id, name: adminDisplayName(ctx.from) }, REVIEW_CLAIM_MS);
+  if (!claim.ok) {
+    await answerReviewConflict(ctx, confessionId, claim);
+    return;
+  }
+  
+  const message = ctx.callbackQuery.message;
+  await syncReviewMessages(confessionId, { except: { chatId: message.chat.id, messageId: message.message_id } });
+  
+  await editReviewMessage(ctx,
     `❌ *Rejecting Confession*\n\nPlease provide rejection reason:`,
-    { parse_mode: 'Markdown' }
+    { parse_mode: 'Markdown', ...Markup.inlineKeyboard([[Markup.button.callback('🔓 Release', `release_${confessionId}`)]]) }
   );
-  ctx.session.rejectingConfession = confessionId;
+  await enterFlow(ctx, 'rejection', { confessionId });
   await ctx.answerCbQuery();
 });
 
-async function handleRejection(ctx, reason) {
-  const confessionId = ctx.session.rejectingConfession;
-  
-  try {
-    const doc = await db.collection('confessions').doc(confessionId).get();
-    if (doc.exists) {
-      const confession = doc.data();
-      
-      await db.collection('confessions').doc(confessionId).update({
-        status: 'rejected',
-        rejectionReason: reason,
-        rejectedAt: new Date().toISOString()
-      });
+// Lasts as long as the claim; an abandoned rejection releases it for the other admins
+const rejectionFlow = createFlow('rejection', {
+  label: 'flow.rejection',
+  ttl: REVIEW_CLAIM_MS / 1000,
+  cleanup: async (ctx, { confessionId }) => {
+    const result = await repos.confessions.releaseClaim(confessionId, ctx.from.id);
+    if (!result.ok) return;
+    
+    await recordAudit(ctx, 'confession_release', {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: result.confession.userId
+    });
+    await syncReviewMessages(confessionId);
+  }
+});
+rejectionFlow.on('text', (ctx) => handleRejection(ctx, ctx.message.text));
+
+async function handleRejection(ctx, reason) {
+  const { confessionId } = ctx.scene.state;
+  await ctx.scene.leave();
+  
+  try {
+    const now = new Date().toISOString();
+    const result = await repos.confessions.transition(confessionId, ['pending'], {
+      ...CLEARED_CLAIM,
+      status: 'rejected',
+      rejectionReason: reason,
+      rejectedAt: now,
+      rejectedBy: ctx.from.id,
+      reviewedBy: ctx.from.id,
+      reviewedByName: adminDisplayName(ctx.from),
+      reviewedAt: now
+    }, ctx.from.id);
+    
+    if (!result.ok) {
+      const handledBy = result.confession?.status === 'withdrawn'
+        ? 'the author (withdrawn)'
+        : result.confession?.reviewedByName || result.confession?.claimedByName || 'another admin';
+      await ctx.reply(result.reason === 'missing'
+        ? '❌ Confession not found.'
+        : `⚠️ Not rejected: this confession was already handled by ${handledBy}.`);
+      return;
+    }
+
+    await recordAudit(ctx, 'confession_reject', {
+      targetType: 'confession',
+      targetId: confessionId,
+      targetUserId: result.confession.userId,
+      before: { status: 'pending' },
+      after: { status: 'rejected', rejectionReason: reason }
+    });
+
+    // Notify user
+    await notifyUser(result.confession.userId, 0, 'rejected', reason, confessionId);
+    await syncReviewMessages(confessionId);
+
+    await ctx.reply(`✅ Confession rejected.`);
+  } catch (error) {
+    console.error('Rejection error:', error);
+    await ctx.reply('❌ Rejection failed');
+  }
+}
+
+// ==================== CHANNEL POSTING WITH COMMENT SYSTEM ====================
+const REACTIONS = {
+  love: '❤️',
+  haha: '😂',
+  wow: '😮',
+  sad: '😢'
+};
+
+// Reaction buttons (with live counts) plus the comment link shown under every channel post
+function channelPostKeyboard(confessionId, reactions = {}) {
+  return Markup.inlineKeyboard([
+    Object.entries(REACTIONS).map(([key, emoji]) =>
+      Markup.button.callback(reactions[key] ? `${emoji} ${reactions[key]}` : emoji, `react_${confessionId}_${key}`)
+    ),
+    [Markup.button.url('👁️‍🗨️ View/Add Comments', `https://t.me/${bot.botInfo.username}?start=comments_${confessionId}`)]
+  ]);
+}
+
+// Final text of a channel post; text posts carry the comments hint below the confession
+function channelPostText(text, number, media = null) {
+  const message = text ? `#${number}\n\n${text}` : `#${number}`;
+  return media ? message : `${message}\n\n[ 👁️‍🗨️ View/Add Comments (0) ]`;
+}
+
+// Returns the channel message ID; throws when nothing could be posted
+async function postToChannel(text, number, confessionId, media = null) {
+  const channelId = process.env.CHANNEL_ID;
+  
+  const message = text ? `#${number}\n\n${text}` : `#${number}`;
+
+  if (media) {
+    // Media posts carry the buttons from the start (captions can't be edited into text)
+    const channelMessage = await sendMedia(channelId, media, message, channelPostKeyboard(confessionId));
+    return channelMessage.message_id;
+  }
+
+  // Send the confession to channel
+  const channelMessage = await bot.telegram.sendMessage(channelId, message);
+  
+  // Edit the message to add reaction and comment buttons; the post is already live either way
+  try {
+    await bot.telegram.editMessageText(
+      channelId,
+      channelMessage.message_id,
+      undefined,
+      channelPostText(text, number), // The comments hint is just text, not a button
+      channelPostKeyboard(confessionId)
+    );
+  } catch (error) {
+    console.error('Channel post buttons error:', error);
+  }
+
+  return channelMessage.message_id;
+}
+
+// ==================== CHANNEL REACTIONS ====================
+bot.action(/^react_(.+)_(love|haha|wow|sad)$/, async (ctx) => {
+  const [, confessionId, reaction] = ctx.match;
+  
+  try {
+    const result = await repos.reactions.react(confessionId, ctx.from.id, reaction);
+    if (!result) {
+      await ctx.answerCbQuery(ctx.t('mine.not_found'));
+      return;
+    }
+    await refreshTrendingScore(confessionId);
+    
+    try {
+      await ctx.editMessageReplyMarkup(channelPostKeyboard(confessionId, result.totals).reply_markup);
+    } catch (error) {
+      // Two taps that cancel out leave the markup unchanged, which Telegram reports as an error
+      if (!error.description?.includes('message is not modified')) throw error;
+    }
+    
+    await ctx.answerCbQuery(result.reaction ? ctx.t('reaction.added', { reaction: REACTIONS[result.reaction] }) : ctx.t('reaction.removed'));
+  } catch (error) {
+    console.error('Reaction error:', error);
+    await ctx.answerCbQuery(ctx.t('reaction.error'));
+  }
+});
+
+// ==================== COMMENT SYSTEM ====================
+async function createCommentSection(confessionId, number, confessionText) {
+  // Create a document to store comments
+  await repos.comments.createSection(confessionId, {
+    confessionNumber: number,
+    confessionText: confessionText
+  });
+}
+
+const COMMENTS_PAGE_SIZE = 10;
+const COMMENT_PREVIEW_LENGTH = 200;
+const COMMENT_MAX_LENGTH = 500;
+
+// Sort modes are encoded as one letter in callback data (64-byte limit)
+const COMMENT_SORTS = { n: 'newest', t: 'top' };
+const COMMENT_SORT_CODES = { newest: 'n', top: 't' };
+
+// Comment buttons carry a short form of the confession ID to stay under the same
+// limit: `confess_<userId>_<ms>` becomes `<userId>.<ms>` in base 36. Buttons sent
+// with the full ID before keep working.
+function confessionKey(confessionId) {
+  const match = confessionId.match(/^confess_(\d+)_(\d+)$/);
+  return match ? `${Number(match[1]).toString(36)}.${Number(match[2]).toString(36)}` : confessionId;
+}
+
+function confessionIdFromKey(key) {
+  const match = key.match(/^([0-9a-z]+)\.([0-9a-z]+)$/);
+  return match ? `confess_${parseInt(match[1], 36)}_${parseInt(match[2], 36)}` : key;
+}
+
+// Placeholder shown instead of a hidden comment; moderators also see why it was hidden
+function hiddenCommentText(ctx, comment, canModerate = false) {
+  const text = ctx.t(comment.hiddenReason === 'reports' ? 'comments.hidden_reports' : 'comments.hidden_moderator');
+  return canModerate && comment.hiddenReason !== 'reports' ? `${text} (${comment.hiddenReason})` : text;
+}
 
-      // Notify user
-      await notifyUser(confession.userId, 0, 'rejected', reason);
+function commentSnippet(comment) {
+  return comment.text.length > COMMENT_PREVIEW_LENGTH
+    ? `${comment.text.substring(0, COMMENT_PREVIEW_LENGTH)}...`
+    : comment.text;
+}
 
-      await ctx.reply(`✅ Confession rejected.`);
-    }
-  } catch (error) {
-    console.error('Rejection error:', error);
-    await ctx.reply('❌ Rejection failed');
+// Send a new comments message, or edit the current one when paging through
+async function sendCommentView(ctx, text, keyboard, edit) {
+  if (edit) {
+    await ctx.editMessageText(text, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard.reply_markup
+    });
+  } else {
+    await ctx.replyWithMarkdown(text, keyboard);
   }
-  
-  ctx.session.rejectingConfession = null;
 }
 
-// ==================== CHANNEL POSTING WITH COMMENT SYSTEM ====================
-async function postToChannel(text, number, confessionId) {
-  const channelId = process.env.CHANNEL_ID;
-  
-  const message = `#${number}\n\n${text}`;
+// Row of vote buttons for one comment; `view` is the sort code, or 'r' inside a thread
+function commentVoteButtons(confessionId, comment, page, view, label = '') {
+  return [
+    Markup.button.callback(`${label}👍 ${comment.upvotes || 0}`, `cvote_u_${confessionKey(confessionId)}_${comment.id}_${page}_${view}`),
+    Markup.button.callback(`👎 ${comment.downvotes || 0}`, `cvote_d_${confessionKey(confessionId)}_${comment.id}_${page}_${view}`)
+  ];
+}
 
+// Show comments for a confession, one page at a time (newest or top scored first)
+async function showComments(ctx, confessionId, page = 0, edit = false, sort = 'newest') {
   try {
-    // Send the confession to channel
-    const channelMessage = await bot.telegram.sendMessage(channelId, message);
+    const data = await repos.comments.getSection(confessionId);
+    if (!data) {
+      await ctx.reply(ctx.t('edit.not_found'));
+      return;
+    }
     
-    // Create a comment button that redirects to bot
-    const commentButton = Markup.inlineKeyboard([
-      [Markup.button.url('👁️‍🗨️ View/Add Comments', `https://t.me/${bot.botInfo.username}?start=comments_${confessionId}`)]
-    ]);
+    const confession = await repos.confessions.get(confessionId);
+    if (confession?.hidden) {
+      await ctx.reply(ctx.t('comments.confession_hidden'));
+      return;
+    }
 
-    // Edit the message to add comment button
-    await bot.telegram.editMessageText(
-      channelId,
-      channelMessage.message_id,
-      undefined,
-      `${message}\n\n[ 👁️‍🗨️ View/Add Comments (0) ]`, // This is just text, not a button
-      commentButton
-    );
+    // Each reader's first visit counts as a view; reopening, paging and re-sorting don't
+    if (!edit && await repos.confessions.recordCommentView(confessionId, ctx.from.id)) {
+      await refreshTrendingScore(confessionId);
+    }
 
-    // Create a separate comment section in bot
-    await createCommentSection(confessionId, number, text);
+    const offset = page * COMMENTS_PAGE_SIZE;
+    const { comments, hasMore } = await repos.comments.listTopLevel(confessionId, {
+      offset,
+      limit: COMMENTS_PAGE_SIZE,
+      sort
+    });
+    const sortCode = COMMENT_SORT_CODES[sort];
+    const canModerate = await hasPermission(ctx.from.id, 'reject');
     
+    let commentText = `${ctx.t('comments.title', { number: data.confessionNumber })}\n\n`;
+    if (data.locked) commentText += `${ctx.t('comments.locked')}\n\n`;
+    const rows = [];
+    
+    if (comments.length === 0 && page === 0) {
+      commentText += `${ctx.t('comments.empty')}\n\n`;
+    } else {
+      commentText += `${ctx.t(sort === 'top' ? 'comments.total_top' : 'comments.total_newest', { count: data.totalComments || 0 })}\n\n`;
+      comments.forEach((comment, index) => {
+        const number = offset + index + 1;
+        const replies = comment.replyCount ? ` · ↩️ ${ctx.t(comment.replyCount === 1 ? 'comments.reply' : 'comments.replies', { count: comment.replyCount })}` : '';
+        
+        // Moderators get a tools button where readers get the report button
+        const flagButton = canModerate
+          ? Markup.button.callback('🛠', `cmod_${confessionKey(confessionId)}_${comment.id}`)
+          : Markup.button.callback('🚩', `rpt_${reportButtonKey(repos.reports.targetKey(confessionId, comment.id))}`);
+        
+        if (comment.hidden) {
+          commentText += `${number}. ${hiddenCommentText(ctx, comment, canModerate)}\n\n`;
+          if (canModerate) rows.push([Markup.button.callback(`#${number} 🛠`, `cmod_${confessionKey(confessionId)}_${comment.id}`)]);
+          return;
+        }
+        
+        commentText += `${number}. ${commentSnippet(comment)}\n`;
+        commentText += `   - ${commentAuthorLabel(comment)} · ${comment.timestamp} · ⭐ ${comment.score || 0}${replies}\n\n`;
+        
+        rows.push([
+          ...commentVoteButtons(confessionId, comment, page, sortCode, `#${number} `),
+          Markup.button.callback(`🧵 ${comment.replyCount || 0}`, `cthread_${confessionKey(confessionId)}_${comment.id}_0`),
+          ...(data.locked ? [] : [Markup.button.callback(ctx.t('button.reply'), `creply_${confessionKey(confessionId)}_${comment.id}`)]),
+          flagButton
+        ]);
+      });
+    }
+
+    const navigation = [];
+    if (page > 0) navigation.push(Markup.button.callback(ctx.t(sort === 'top' ? 'button.previous' : 'button.newer'), `comments_page_${confessionKey(confessionId)}_${page - 1}_${sortCode}`));
+    if (hasMore) navigation.push(Markup.button.callback(ctx.t(sort === 'top' ? 'button.next' : 'button.older'), `comments_page_${confessionKey(confessionId)}_${page + 1}_${sortCode}`));
+    if (navigation.length > 0) rows.push(navigation);
+
+    const newest = ctx.t('button.sort_newest');
+    const top = ctx.t('button.sort_top');
+    const keyboard = Markup.inlineKeyboard([
+      ...rows,
+      [
+        Markup.button.callback(sort === 'newest' ? `${newest} ✓` : newest, `comments_page_${confessionKey(confessionId)}_0_n`),
+        Markup.button.callback(sort === 'top' ? `${top} ✓` : top, `comments_page_${confessionKey(confessionId)}_0_t`)
+      ],
+      ...(data.locked ? [] : [[Markup.button.callback(ctx.t('button.add_comment'), `add_comment_${confessionKey(confessionId)}`)]]),
+      [Markup.button.callback(ctx.t('button.refresh'), `refresh_comments_${confessionKey(confessionId)}`)],
+      canModerate
+        ? [Markup.button.callback(data.locked ? '🔓 Unlock Comments' : '🔒 Lock Comments', `cmlock_${confessionId}`)]
+        : [Markup.button.callback(ctx.t('button.report_confession'), `rpt_${reportButtonKey(repos.reports.targetKey(confessionId))}`)],
+      [Markup.button.callback(ctx.t('button.daily_checkin'), 'daily_checkin')],
+      [Markup.button.callback(ctx.t('button.back_to_menu'), 'back_to_menu')]
+    ]);
+
+    await sendCommentView(ctx, commentText, keyboard, edit);
   } catch (error) {
-    console.error('Channel post error:', error);
+    console.error('Show comments error:', error);
+    await ctx.reply(ctx.t('comments.error'));
   }
 }
 
-// ==================== COMMENT SYSTEM ====================
-async function createCommentSection(confessionId, number, confessionText) {
-  // Create a document to store comments
-  await db.collection('comments').doc(confessionId).set({
-    confessionId: confessionId,
-    confessionNumber: number,
-    confessionText: confessionText,
-    comments: [],
-    totalComments: 0
-  });
-}
-
-// Show comments for a confession
-async function showComments(ctx, confessionId) {
+// Show one comment with its replies (oldest first)
+async function showCommentThread(ctx, confessionId, commentId, page = 0, edit = false) {
   try {
-    const commentDoc = await db.collection('comments').doc(confessionId).get();
-    if (!commentDoc.exists) {
-      await ctx.reply('❌ Confession not found.');
+    const parent = await repos.comments.get(confessionId, commentId);
+    if (!parent) {
+      await ctx.reply(ctx.t('comments.not_found'));
       return;
     }
 
-    const data = commentDoc.data();
-    const comments = data.comments || [];
+    const offset = page * COMMENTS_PAGE_SIZE;
+    const { comments: replies, hasMore } = await repos.comments.listReplies(confessionId, commentId, {
+      offset,
+      limit: COMMENTS_PAGE_SIZE
+    });
+
+    const section = await repos.comments.getSection(confessionId);
+    const canModerate = await hasPermission(ctx.from.id, 'reject');
+    const flagButton = (comment) => canModerate
+      ? Markup.button.callback('🛠', `cmod_${confessionKey(confessionId)}_${comment.id}`)
+      : Markup.button.callback('🚩', `rpt_${reportButtonKey(repos.reports.targetKey(confessionId, comment.id))}`);
     
-    let commentText = `💬 Comments for Confession #${data.confessionNumber}\n\n`;
+    let threadText = parent.hidden
+      ? `${ctx.t('comments.thread')}\n\n${hiddenCommentText(ctx, parent, canModerate)}\n\n`
+      : `${ctx.t('comments.thread')}\n\n${parent.text}\n   - ${commentAuthorLabel(parent)} · ${parent.timestamp} · ⭐ ${parent.score || 0}\n\n`;
+    if (section?.locked) threadText += `${ctx.t('comments.locked')}\n\n`;
+    
+    const rows = [];
+    if (!parent.hidden) {
+      rows.push([...commentVoteButtons(confessionId, parent, page, 'r'), flagButton(parent)]);
+    } else if (canModerate) {
+      rows.push([flagButton(parent)]);
+    }
     
-    if (comments.length === 0) {
-      commentText += 'No comments yet. Be the first to comment!\n\n';
+    if (replies.length === 0 && page === 0) {
+      threadText += `${ctx.t('comments.no_replies')}\n`;
     } else {
-      commentText += `Total Comments: ${comments.length}\n\n`;
-      comments.forEach((comment, index) => {
-        commentText += `${index + 1}. ${comment.text}\n`;
-        commentText += `   - ${comment.timestamp}\n\n`;
+      threadText += `${ctx.t('comments.reply_count', { count: parent.replyCount || 0 })}\n\n`;
+      replies.forEach((reply, index) => {
+        const number = offset + index + 1;
+        if (reply.hidden) {
+          threadText += `  ↳ ${number}. ${hiddenCommentText(ctx, reply, canModerate)}\n\n`;
+          if (canModerate) rows.push([Markup.button.callback(`↳ ${number} 🛠`, `cmod_${confessionKey(confessionId)}_${reply.id}`)]);
+          return;
+        }
+        
+        threadText += `  ↳ ${number}. ${commentSnippet(reply)}\n`;
+        threadText += `     - ${commentAuthorLabel(reply)} · ${reply.timestamp} · ⭐ ${reply.score || 0}\n\n`;
+        rows.push([
+          ...commentVoteButtons(confessionId, reply, page, 'r', `↳ ${number} `),
+          flagButton(reply)
+        ]);
       });
     }
 
+    const navigation = [];
+    if (page > 0) navigation.push(Markup.button.callback(ctx.t('button.earlier'), `cthread_${confessionKey(confessionId)}_${commentId}_${page - 1}`));
+    if (hasMore) navigation.push(Markup.button.callback(ctx.t('button.later'), `cthread_${confessionKey(confessionId)}_${commentId}_${page + 1}`));
+
     const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('📝 Add Comment', `add_comment_${confessionId}`)],
-      [Markup.button.callback('🔄 Refresh', `refresh_comments_${confessionId}`)],
-      [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+      ...rows,
+      ...(navigation.length > 0 ? [navigation] : []),
+      ...(section?.locked ? [] : [[Markup.button.callback(ctx.t('button.reply'), `creply_${confessionKey(confessionId)}_${commentId}`)]]),
+      [Markup.button.callback(ctx.t('button.back_to_comments'), `comments_page_${confessionKey(confessionId)}_0_n`)]
     ]);
 
-    await ctx.replyWithMarkdown(commentText, keyboard);
+    await sendCommentView(ctx, threadText, keyboard, edit);
   } catch (error) {
-    console.error('Show comments error:', error);
-    await ctx.reply('❌ Error loading comments.');
+    console.error('Show thread error:', error);
+    await ctx.reply(ctx.t('comments.replies_error'));
   }
 }
 
 // Handle comment actions
 bot.action(/^add_comment_(.+)$/, async (ctx) => {
-  const confessionId = ctx.match[1];
+  const confessionId = confessionIdFromKey(ctx.match[1]);
   
-  await ctx.editMessageText(
-    `📝 *Add Comment*\n\nType your comment for this confession:`,
-    { parse_mode: 'Markdown' }
-  );
+  const blocked = await commentingBlockedReason(ctx, confessionId);
+  if (blocked) {
+    await ctx.answerCbQuery(blocked, { show_alert: true });
+    return;
+  }
   
-  ctx.session.waitingForComment = confessionId;
+  await ctx.editMessageText(ctx.t('comments.prompt'), { parse_mode: 'Markdown' });
+  
+  await enterFlow(ctx, 'comment', { confessionId, replyTo: null });
   await ctx.answerCbQuery();
 });
 
 bot.action(/^refresh_comments_(.+)$/, async (ctx) => {
-  const confessionId = ctx.match[1];
+  const confessionId = confessionIdFromKey(ctx.match[1]);
   await showComments(ctx, confessionId);
   await ctx.answerCbQuery();
 });
 
+bot.action(/^comments_page_(.+)_(\d+)_([nt])$/, async (ctx) => {
+  const confessionId = confessionIdFromKey(ctx.match[1]);
+  const page = parseInt(ctx.match[2]);
+  await showComments(ctx, confessionId, page, true, COMMENT_SORTS[ctx.match[3]]);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^cthread_(.+)_([0-9a-z]+)_(\d+)$/, async (ctx) => {
+  const [, key, commentId, page] = ctx.match;
+  await showCommentThread(ctx, confessionIdFromKey(key), commentId, parseInt(page), true);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^creply_(.+)_([0-9a-z]+)$/, async (ctx) => {
+  const [, key, commentId] = ctx.match;
+  const confessionId = confessionIdFromKey(key);
+  
+  const blocked = await commentingBlockedReason(ctx, confessionId);
+  if (blocked) {
+    await ctx.answerCbQuery(blocked, { show_alert: true });
+    return;
+  }
+  
+  await ctx.editMessageText(ctx.t('comments.reply_prompt'), { parse_mode: 'Markdown' });
+  
+  await enterFlow(ctx, 'comment', { confessionId, replyTo: commentId });
+  await ctx.answerCbQuery();
+});
+
+const commentFlow = createFlow('comment', { label: 'flow.comment' });
+commentFlow.on('text', (ctx) => addComment(ctx, ctx.message.text));
+
 async function addComment(ctx, commentText) {
   const userId = ctx.from.id;
-  const confessionId = ctx.session.waitingForComment;
+  const { confessionId, replyTo } = ctx.scene.state;
   
   if (!commentText || commentText.trim().length < 3) {
-    await ctx.reply('❌ Comment too short. Minimum 3 characters.');
+    await ctx.reply(ctx.t('comments.too_short'));
+    return;
+  }
+
+  if (commentText.length > COMMENT_MAX_LENGTH) {
+    await ctx.reply(ctx.t('comments.too_long', { max: COMMENT_MAX_LENGTH }));
     return;
   }
 
   try {
-    // FIXED: Add comment rate limiting
-    const canComment = await checkCommentRateLimit(userId);
-    if (!canComment) {
-      await ctx.reply('❌ Too many comments. Please wait before adding another comment.');
+    const section = await repos.comments.getSection(confessionId);
+    if (!section) {
+      await ctx.scene.leave();
+      await ctx.reply(ctx.t('edit.not_found'));
+      return;
+    }
+    
+    const confession = await repos.confessions.get(confessionId);
+    if (confession?.hidden) {
+      await ctx.scene.leave();
+      await ctx.reply(ctx.t('comments.hidden_closed'));
+      return;
+    }
+    
+    // Locks and mutes may have changed since the comment prompt was shown
+    const blocked = await commentingBlockedReason(ctx, confessionId);
+    if (blocked) {
+      await ctx.scene.leave();
+      await ctx.reply(blocked);
       return;
     }
 
-    const commentDoc = await db.collection('comments').doc(confessionId).get();
-    if (!commentDoc.exists) {
-      await ctx.reply('❌ Confession not found.');
+    // Replies always hang off a top-level comment so threads stay one level deep
+    let parentId = null;
+    if (replyTo) {
+      const parent = await repos.comments.get(confessionId, replyTo);
+      if (!parent) {
+        await ctx.reply(ctx.t('comments.parent_gone'));
+        await ctx.scene.leave();
+        return;
+      }
+      parentId = parent.parentId || parent.id;
+    }
+
+    const limit = await consumeRateLimit(userId, 'comment');
+    if (!limit.allowed) {
+      await ctx.reply(rateLimitMessage(ctx, 'comment', limit.retryAfterMs));
       return;
     }
 
     // Sanitize comment text
     const sanitizedComment = sanitizeInput(commentText);
 
+    // Commenters only ever appear under their per-confession pseudonym
+    const aliasIndex = await repos.comments.getAliasIndex(confessionId, userId);
+
     const commentData = {
-      id: `comment_${Date.now()}_${userId}`,
+      id: repos.comments.generateId(userId),
       text: sanitizedComment.trim(),
       userId: userId,
-      userName: ctx.from.first_name,
+      pseudonym: pseudonymFor(confessionId, aliasIndex),
+      isOP: confession?.userId === userId,
+      parentId: parentId,
       timestamp: new Date().toLocaleString(),
       createdAt: new Date().toISOString()
     };
 
-    // Use transaction to ensure both updates happen together
-    await db.runTransaction(async (transaction) => {
-      const commentRef = db.collection('comments').doc(confessionId);
-      const confessionRef = db.collection('confessions').doc(confessionId);
-      
-      transaction.update(commentRef, {
-        comments: admin.firestore.FieldValue.arrayUnion(commentData),
-        totalComments: admin.firestore.FieldValue.increment(1)
-      });
-      
-      transaction.update(confessionRef, {
-        totalComments: admin.firestore.FieldValue.increment(1)
-      });
-    });
-
-    // FIXED: Record comment for rate limiting
-    await recordComment(userId);
+    // Updates the comment, section and confession counters together
+    await repos.comments.add(confessionId, commentData);
+    await refreshTrendingScore(confessionId);
 
     // Update reputation for commenting (5 points)
     await updateReputation(userId, 5);
-
-    await ctx.reply('✅ Comment added successfully!');
     
-    // Show updated comments
-    await showComments(ctx, confessionId);
+    if (confession) await notifyCommentRecipients(confession, commentData);
+
+    await ctx.scene.leave();
+
+    await ctx.reply(ctx.t(parentId ? 'comments.reply_added' : 'comments.added'));
     
-    // Clear session
-    ctx.session.waitingForComment = null;
+    // Show updated comments (or the thread the reply went into)
+    if (parentId) {
+      await showCommentThread(ctx, confessionId, parentId);
+    } else {
+      await showComments(ctx, confessionId);
+    }
     
     // Check for achievements
     await checkAchievements(userId);
     
   } catch (error) {
     console.error('Add comment error:', error);
-    await ctx.reply('❌ Error adding comment.');
+    await ctx.reply(ctx.t('comments.add_error'));
+  }
+}
+
+// ==================== COMMENT MODERATION ====================
+// Moderators (reject permission) can hide or delete comments with a reason and
+// lock a confession's comments; those who can block users can also mute a
+// commenter for a while. Mutes live on the user doc as `commentMute`.
+const COMMENT_MUTE_DURATIONS = {
+  1: { label: '1h', ms: 60 * 60 * 1000 },
+  2: { label: '24h', ms: 24 * 60 * 60 * 1000 },
+  3: { label: '7d', ms: 7 * 24 * 60 * 60 * 1000 }
+};
+
+// The user's mute while it is still running, otherwise null
+async function getCommentMute(userId) {
+  const user = await repos.users.get(userId);
+  const mute = user?.commentMute;
+  return mute && Date.parse(mute.until) > Date.now() ? mute : null;
+}
+
+// Why the user can't comment on this confession right now, or null
+async function commentingBlockedReason(ctx, confessionId) {
+  const section = await repos.comments.getSection(confessionId);
+  if (section?.locked) {
+    return ctx.t('comments.locked_here');
+  }
+  
+  const mute = await getCommentMute(ctx.from.id);
+  if (mute) {
+    return ctx.t('comments.muted', { until: new Date(mute.until).toLocaleString() });
+  }
+  return null;
+}
+
+// Closes any open report about comments that were just hidden, restored or deleted.
+// Restoring also dismisses a report that was already resolved as hidden, so its
+// reporters and count start over and the comment can be reported again.
+async function resolveCommentReports(ctx, confessionId, commentIds, status) {
+  for (const commentId of commentIds) {
+    const key = repos.reports.targetKey(confessionId, commentId);
+    const report = await repos.reports.get(key);
+    if (report && (report.status === 'open' || (status === 'dismissed' && report.hidden))) {
+      await repos.reports.resolve(key, status, { by: ctx.from.id, byName: adminDisplayName(ctx.from) });
+    }
+  }
+}
+
+async function showCommentModeration(ctx, confessionId, commentId, edit = true) {
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment) {
+    await ctx.editMessageText('❌ Comment not found — it may have been deleted.', {
+      reply_markup: Markup.inlineKeyboard([[Markup.button.callback('🔙 Back to Comments', `comments_page_${confessionKey(confessionId)}_0_n`)]]).reply_markup
+    });
+    return;
+  }
+  
+  const canSeeAuthor = await hasPermission(ctx.from.id, 'view_identity');
+  const canMute = await hasPermission(ctx.from.id, 'block');
+  const mute = await getCommentMute(comment.userId);
+  
+  let text = `🛠 Comment Moderation\n\n"${comment.text}"\n\n`;
+  text += `Author: ${commentAuthorLabel(comment)}${canSeeAuthor ? ` — user ${comment.userId}` : ''}\n`;
+  text += `Posted: ${comment.timestamp}\n`;
+  if (!comment.parentId) text += `Replies: ${comment.replyCount || 0}\n`;
+  text += `Status: ${comment.hidden ? `🙈 hidden (${comment.hiddenReason || '-'})` : '✅ visible'}\n`;
+  if (mute) text += `Author muted until ${new Date(mute.until).toLocaleString()}\n`;
+  
+  const suffix = `${confessionKey(confessionId)}_${commentId}`;
+  const keyboard = [[
+    comment.hidden
+      ? Markup.button.callback('👁 Unhide', `cmoda_s_${suffix}`)
+      : Markup.button.callback('🙈 Hide', `cmoda_h_${suffix}`),
+    Markup.button.callback('🗑 Delete', `cmoda_d_${suffix}`)
+  ]];
+  if (canMute) {
+    keyboard.push(mute
+      ? [Markup.button.callback('🔊 Unmute author', `cmoda_u_${suffix}`)]
+      : Object.entries(COMMENT_MUTE_DURATIONS).map(([code, { label }]) =>
+        Markup.button.callback(`🔇 Mute ${label}`, `cmoda_m${code}_${suffix}`)
+      ));
+  }
+  keyboard.push([Markup.button.callback('🔙 Back to Comments', comment.parentId
+    ? `cthread_${confessionKey(confessionId)}_${comment.parentId}_0`
+    : `comments_page_${confessionKey(confessionId)}_0_n`)]);
+  
+  const extra = { reply_markup: Markup.inlineKeyboard(keyboard).reply_markup };
+  if (edit) {
+    await ctx.editMessageText(text, extra);
+  } else {
+    await ctx.reply(text, extra);
+  }
+}
+
+bot.action(/^cmod_(.+)_([0-9a-z]+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, key, commentId] = ctx.match;
+  await showCommentModeration(ctx, confessionIdFromKey(key), commentId);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^cmoda_(h|s|d|m[123]|u)_(.+)_([0-9a-z]+)$/, async (ctx) => {
+  const [, op, key, commentId] = ctx.match;
+  const confessionId = confessionIdFromKey(key);
+  const muting = op.startsWith('m') || op === 'u';
+  
+  if (!(await hasPermission(ctx.from.id, muting ? 'block' : 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  try {
+    const comment = await repos.comments.get(confessionId, commentId);
+    if (!comment) {
+      await ctx.answerCbQuery('❌ Comment not found');
+      return;
+    }
+    
+    // Hiding and deleting ask for a reason first; see handleCommentModeration
+    if (op === 'h' || op === 'd') {
+      await enterFlow(ctx, 'comment_moderation', { confessionId, commentId, op });
+      await ctx.reply(op === 'h'
+        ? '🙈 Why are you hiding this comment? Type the reason:'
+        : `🗑 Why are you deleting this comment${comment.replyCount ? ` and its ${comment.replyCount} replies` : ''}? Type the reason:`);
+      await ctx.answerCbQuery();
+      return;
+    }
+    
+    if (op === 's') {
+      await repos.comments.update(confessionId, commentId, { hidden: false, hiddenReason: null, hiddenAt: null, hiddenBy: null });
+      await resolveCommentReports(ctx, confessionId, [commentId], 'dismissed');
+      await recordAudit(ctx, 'comment_unhide', {
+        targetType: 'comment',
+        targetId: `${confessionId}/${commentId}`,
+        targetUserId: comment.userId,
+        before: { hidden: true, hiddenReason: comment.hiddenReason || null },
+        after: { hidden: false }
+      });
+      await ctx.answerCbQuery('👁 Comment visible again');
+    } else if (op === 'u') {
+      const mute = await getCommentMute(comment.userId);
+      await repos.users.setCommentMute(comment.userId, null);
+      await recordAudit(ctx, 'user_unmute', {
+        targetType: 'user',
+        targetId: comment.userId,
+        targetUserId: comment.userId,
+        before: { mutedUntil: mute?.until || null },
+        after: { mutedUntil: null }
+      });
+      await ctx.answerCbQuery('🔊 Author unmuted');
+    } else {
+      const duration = COMMENT_MUTE_DURATIONS[op[1]];
+      const until = new Date(Date.now() + duration.ms).toISOString();
+      await repos.users.setCommentMute(comment.userId, {
+        until,
+        by: ctx.from.id,
+        byName: adminDisplayName(ctx.from),
+        reason: `comment ${confessionId}/${commentId}`
+      });
+      await recordAudit(ctx, 'user_mute', {
+        targetType: 'user',
+        targetId: comment.userId,
+        targetUserId: comment.userId,
+        after: { mutedUntil: until },
+        details: { duration: duration.label, confessionId, commentId }
+      });
+      
+      try {
+        const locale = await userLocale(comment.userId);
+        await bot.telegram.sendMessage(
+          comment.userId,
+          t(locale, 'notify.muted', { duration: duration.label, until: new Date(until).toLocaleString() })
+        );
+      } catch (error) {
+        console.error('Mute notice error:', error);
+      }
+      await ctx.answerCbQuery(`🔇 Author muted for ${duration.label}`);
+    }
+    
+    await showCommentModeration(ctx, confessionId, commentId);
+  } catch (error) {
+    console.error('Comment moderation error:', error);
+    await ctx.answerCbQuery('❌ Moderation failed');
+  }
+});
+
+const commentModerationFlow = createFlow('comment_moderation', { label: 'flow.comment_moderation' });
+commentModerationFlow.on('text', (ctx) => handleCommentModeration(ctx, ctx.message.text));
+
+async function handleCommentModeration(ctx, reasonText) {
+  const { confessionId, commentId, op } = ctx.scene.state;
+  await ctx.scene.leave();
+  const reason = sanitizeInput(reasonText).trim() || 'No reason given';
+  
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.reply('❌ Access denied.');
+    return;
+  }
+  
+  try {
+    const comment = await repos.comments.get(confessionId, commentId);
+    if (!comment) {
+      await ctx.reply('❌ Comment not found — it may already have been deleted.');
+      return;
+    }
+    
+    const target = {
+      targetType: 'comment',
+      targetId: `${confessionId}/${commentId}`,
+      targetUserId: comment.userId
+    };
+    
+    if (op === 'h') {
+      await repos.comments.update(confessionId, commentId, {
+        hidden: true,
+        hiddenReason: reason,
+        hiddenBy: ctx.from.id,
+        hiddenAt: new Date().toISOString()
+      });
+      await resolveCommentReports(ctx, confessionId, [commentId], 'hidden');
+      await recordAudit(ctx, 'comment_hide', {
+        ...target,
+        before: { hidden: Boolean(comment.hidden) },
+        after: { hidden: true },
+        details: { reason }
+      });
+      await ctx.reply('🙈 Comment hidden.');
+    } else {
+      // Counters on the section and the confession drop with the removed comments
+      const removed = await repos.comments.remove(confessionId, commentId) || [];
+      await resolveCommentReports(ctx, confessionId, removed.map(item => item.id), 'removed');
+      await refreshTrendingScore(confessionId);
+      await recordAudit(ctx, 'comment_delete', {
+        ...target,
+        before: { text: comment.text, replyCount: comment.replyCount || 0 },
+        details: { reason, removed: removed.length }
+      });
+      await ctx.reply(`🗑 Deleted ${removed.length} comment${removed.length === 1 ? '' : 's'}.`);
+    }
+    
+    if (comment.parentId) {
+      await showCommentThread(ctx, confessionId, comment.parentId);
+    } else {
+      await showComments(ctx, confessionId);
+    }
+  } catch (error) {
+    console.error('Comment moderation error:', error);
+    await ctx.reply('❌ Moderation failed.');
+  }
+}
+
+bot.action(/^cmlock_(.+)$/, async (ctx) => {
+  if (!(await hasPermission(ctx.from.id, 'reject'))) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const confessionId = ctx.match[1];
+  
+  try {
+    const section = await repos.comments.getSection(confessionId);
+    if (!section) {
+      await ctx.answerCbQuery('❌ Confession not found');
+      return;
+    }
+    
+    const locked = !section.locked;
+    await repos.comments.setLocked(confessionId, locked, ctx.from.id);
+    await recordAudit(ctx, locked ? 'comments_lock' : 'comments_unlock', {
+      targetType: 'confession',
+      targetId: confessionId,
+      before: { locked: Boolean(section.locked) },
+      after: { locked }
+    });
+    
+    await showComments(ctx, confessionId, 0, true);
+    await ctx.answerCbQuery(locked ? '🔒 Comments locked' : '🔓 Comments unlocked');
+  } catch (error) {
+    console.error('Comment lock error:', error);
+    await ctx.answerCbQuery('❌ Lock failed');
+  }
+});
+
+// ==================== COMMENT NOTIFICATIONS ====================
+// A reply notifies the author of the comment it answers; any comment notifies
+// the confession's author. Nobody is notified about their own comment or twice.
+async function notifyCommentRecipients(confession, comment) {
+  const notified = new Set([comment.userId]);
+  const params = {
+    name: escapeMarkdown(commentAuthorLabel(comment)),
+    number: confession.confessionNumber,
+    preview: escapeMarkdown(commentSnippet(comment))
+  };
+  const keyboard = (locale, commentId) => Markup.inlineKeyboard([[
+    Markup.button.callback(t(locale, 'button.view'), commentId
+      ? `cthread_${confessionKey(confession.confessionId)}_${commentId}_0`
+      : `refresh_comments_${confessionKey(confession.confessionId)}`)
+  ]]);
+  
+  if (comment.parentId) {
+    const parent = await repos.comments.get(confession.confessionId, comment.parentId);
+    if (parent && !notified.has(parent.userId)) {
+      notified.add(parent.userId);
+      const locale = await userLocale(parent.userId);
+      await dispatchNotification(
+        parent.userId,
+        'commentReply',
+        t(locale, 'notify.reply', params),
+        keyboard(locale, comment.parentId)
+      );
+    }
+  }
+  
+  if (!notified.has(confession.userId)) {
+    const locale = await userLocale(confession.userId);
+    await dispatchNotification(
+      confession.userId,
+      'newComment',
+      t(locale, 'notify.comment', params),
+      keyboard(locale, comment.parentId)
+    );
   }
 }
 
+// ==================== COMMENT VOTING ====================
+bot.action(/^cvote_([ud])_(.+)_([0-9a-z]+)_(\d+)_([ntr])$/, async (ctx) => {
+  const [, direction, key, commentId, page, view] = ctx.match;
+  const confessionId = confessionIdFromKey(key);
+  const userId = ctx.from.id;
+  
+  try {
+    const comment = await repos.comments.get(confessionId, commentId);
+    if (!comment) {
+      await ctx.answerCbQuery(ctx.t('vote.not_found'));
+      return;
+    }
+    
+    if (comment.userId === userId) {
+      await ctx.answerCbQuery(ctx.t('vote.own'));
+      return;
+    }
+    
+    const result = await repos.comments.vote(confessionId, commentId, userId, direction === 'u' ? 1 : -1);
+    // Deleted between the read above and the vote
+    if (!result) {
+      await ctx.answerCbQuery(ctx.t('vote.not_found'));
+      return;
+    }
+
+    // Comment authors earn (or lose) 1 reputation point per vote
+    if (result.delta !== 0) {
+      await updateReputation(comment.userId, result.delta);
+    }
+    
+    if (view === 'r') {
+      await showCommentThread(ctx, confessionId, comment.parentId || comment.id, parseInt(page), true);
+    } else {
+      await showComments(ctx, confessionId, parseInt(page), true, COMMENT_SORTS[view]);
+    }
+    
+    const feedback = { 1: 'vote.up', '-1': 'vote.down', 0: 'vote.removed' };
+    await ctx.answerCbQuery(ctx.t(feedback[result.value]));
+  } catch (error) {
+    console.error('Comment vote error:', error);
+    await ctx.answerCbQuery(ctx.t('vote.error'));
+  }
+});
+
 // ==================== USER NOTIFICATION ====================
-async function notifyUser(userId, number, status, reason = '') {
+async function notifyUser(userId, number, status, reason = '', confessionId = null) {
   try {
+    const locale = await userLocale(userId);
     let message = '';
+    let keyboard = {};
     if (status === 'approved') {
-      message = `🎉 *Your Confession #${number} was approved!*\n\nIt has been posted to the channel.\n\n⭐ +10 reputation points`;
+      // The only optional one; rejections and appeal outcomes always reach the author
+      message = t(locale, 'notify.approved', { number });
+      await dispatchNotification(userId, 'confessionApproved', message);
+      return;
+    } else if (status === 'appeal_overturned') {
+      message = t(locale, 'notify.appeal_overturned');
+    } else if (status === 'appeal_upheld') {
+      message = t(locale, 'notify.appeal_upheld', { reason });
     } else {
-      message = `❌ *Confession Not Approved*\n\nReason: ${reason}\n\nYou can submit a new one.`;
+      message = t(locale, 'notify.rejected', { reason });
+      if (confessionId) {
+        keyboard = Markup.inlineKeyboard([[
+          Markup.button.callback(t(locale, 'notify.edit_resubmit'), `resubmit_${confessionId}`),
+          Markup.button.callback(t(locale, 'notify.appeal'), `file_appeal_${confessionId}`)
+        ]]);
+      }
     }
 
-    await bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown' });
+    await bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown', ...keyboard });
   } catch (error) {
     console.error('User notify error:', error);
   }
@@ -1961,36 +5108,73 @@ async function notifyUser(userId, number, status, reason = '') {
 
 // ==================== ADMIN MESSAGING ====================
 bot.action(/message_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!(await hasPermission(ctx.from.id, 'view_identity'))) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
   const userId = ctx.match[1];
   await ctx.editMessageText(`📩 Messaging user ID: ${userId}\n\nType your message:`);
-  ctx.session.messagingUser = userId;
+  await enterFlow(ctx, 'admin_message', { userId });
   await ctx.answerCbQuery();
 });
 
+const adminMessageFlow = createFlow('admin_message', { label: 'flow.admin_message' });
+adminMessageFlow.on('text', (ctx) => handleAdminMessage(ctx, ctx.message.text));
+
 async function handleAdminMessage(ctx, text) {
-  const userId = ctx.session.messagingUser;
+  const { userId } = ctx.scene.state;
+  await ctx.scene.leave();
 
   try {
-    await bot.telegram.sendMessage(userId, `📩 *Admin Message*\n\n${text}`, { parse_mode: 'Markdown' });
+    const locale = await userLocale(userId);
+    await bot.telegram.sendMessage(userId, t(locale, 'notify.admin_message', { text }), { parse_mode: 'Markdown' });
+    await recordAudit(ctx, 'user_message', {
+      targetType: 'user',
+      targetId: userId,
+      targetUserId: userId,
+      details: { message: text }
+    });
     await ctx.reply(`✅ Message sent to user ID: ${userId}`);
   } catch (error) {
     await ctx.reply(`❌ Failed to send message to user ID: ${userId}. User may have blocked bot.`);
   }
-  
-  ctx.session.messagingUser = null;
 }
 
 // ==================== ERROR HANDLING ====================
 bot.catch((err, ctx) => {
   console.error(`Bot error:`, err);
-  ctx.reply('❌ An error occurred. Please try again.');
+  // The error may come from before the language middleware ran
+  ctx.reply(t(ctx.locale, 'common.error'));
 });
 
+// ==================== SCHEDULED JOBS ====================
+// Triggered by Vercel Cron through /api/cron/<job> (see vercel.json)
+const SCHEDULED_JOBS = {
+  publish: drainPublishQueue,
+  digest: sendNotificationDigests,
+  hashtags: sendHashtagNotifications,
+  reindex: runReindex,
+  sessions: purgeExpiredSessions
+};
+
+async function runScheduledJob(req, res) {
+  // Vercel sends `Authorization: Bearer <CRON_SECRET>`; without a secret nobody can run jobs
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    res.status(401).send('Unauthorized');
+    return;
+  }
+  
+  const job = SCHEDULED_JOBS[req.query.job];
+  if (!job) {
+    res.status(404).send('Unknown job');
+    return;
+  }
+  
+  await job();
+  res.status(200).send('OK');
+}
+
 // ==================== VERCEL HANDLER ====================
 module.exports = async (req, res) => {
   try {
@@ -1999,6 +5183,11 @@ module.exports = async (req, res) => {
       await initializeCounter();
     }
     
+    if (req.query?.job) {
+      await runScheduledJob(req, res);
+      return;
+    }
+    
     await bot.handleUpdate(req.body);
     res.status(200).send('OK');
   } catch (error) {
@@ -2007,12 +5196,21 @@ module.exports = async (req, res) => {
   }
 };
 
+// Exposed so the bot can be driven locally against the in-memory backend
+module.exports.bot = bot;
+module.exports.repos = repos;
+
 // ==================== LOCAL DEVELOPMENT ====================
 if (process.env.NODE_ENV === 'development') {
   initializeCounter().then(() => {
     bot.launch().then(() => {
       console.log('🤫 JU Confession Bot running locally');
     });
+    
+    // No Vercel Cron locally, so run the scheduled jobs on a timer
+    setInterval(() => {
+      Object.values(SCHEDULED_JOBS).forEach(job => job().catch(error => console.error('Scheduled job error:', error)));
+    }, 60 * 1000);
   });
   
   process.once('SIGINT', () => bot.stop('SIGINT'));
@@ -0,0 +1,27 @@
+// ==================== HASHTAGS ====================
+// Hashtags may use any script (Latin, Ethiopic, ...). They are stored normalized:
+// NFC, lower-case, '#' followed by letters, marks, digits or underscores, with at
+// least one letter so "#12" (a confession number) is never a tag.
+
+const HASHTAG_REGEX = /#[\p{L}\p{M}\p{N}_]+/gu;
+const MAX_HASHTAG_LENGTH = 24; // Characters after the '#'
+
+function normalizeHashtag(tag) {
+  return `#${tag.replace(/^#+/, '').normalize('NFC').toLowerCase()}`;
+}
+
+function isValidHashtag(tag) {
+  const body = tag.slice(1);
+  return /\p{L}/u.test(body) && [...body].length <= MAX_HASHTAG_LENGTH;
+}
+
+// Unique normalized tags in order of first use
+function extractHashtags(text) {
+  const tags = (text || '').normalize('NFC').match(HASHTAG_REGEX) || [];
+  return [...new Set(tags.map(normalizeHashtag))].filter(isValidHashtag);
+}
+
+module.exports = {
+  normalizeHashtag,
+  extractHashtags
+};
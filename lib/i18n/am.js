@@ -0,0 +1,347 @@
+// Amharic catalog; missing keys fall back to English
+module.exports = {
+  // Reply keyboard
+  'menu.send': '📝 ኑዛዜ ላክ',
+  'menu.profile': '👤 የእኔ መገለጫ',
+  'menu.trending': '🔥 ተወዳጆች',
+  'menu.checkin': '🎯 የዕለት ተመዝገብ',
+  'menu.hashtags': '🏷️ ሃሽታጎች',
+  'menu.achievements': '🏆 ስኬቶች',
+  'menu.settings': '⚙️ ቅንብሮች',
+  'menu.about': 'ℹ️ ስለ እኛ',
+  'menu.browse': '🔍 ተጠቃሚዎችን ፈልግ',
+  'menu.rules': '📌 ደንቦች',
+  'menu.my_confessions': '📂 የእኔ ኑዛዜዎች',
+  'menu.search': '🔎 ፍለጋ',
+
+  // Shared inline buttons
+  'button.send_confession': '📝 ኑዛዜ ላክ',
+  'button.daily_checkin': '🎯 የዕለት ተመዝገብ',
+  'button.browse_users': '🔍 ተጠቃሚዎችን ፈልግ',
+  'button.back_to_menu': '🔙 ወደ ዋና ማውጫ',
+  'button.continue': 'ቀጥል',
+  'button.set_username': '📝 የተጠቃሚ ስም አዘጋጅ',
+  'button.set_bio': '📝 የራስ መግለጫ አዘጋጅ',
+  'button.followers': '👥 ተከታዮች',
+  'button.following': '👥 የምከተላቸው',
+  'button.view_achievements': '🏆 ስኬቶችን እይ',
+  'button.my_hashtags': '⭐ የእኔ ሃሽታጎች',
+  'button.follow': '➕ ተከተል',
+  'button.following_on': '✅ እየተከተሉ ነው',
+  'button.view_profile': '👤 መገለጫ እይ',
+  'button.confession': '💬 ኑዛዜ #{number}',
+  'button.newer': '⬅️ አዲሶቹ',
+  'button.older': 'የቆዩት ➡️',
+  'button.subscribe': '🔔 ተመዝገብ',
+  'button.unsubscribe': '🔕 ምዝገባ ሰርዝ',
+  'button.view_comment': '💬 እይ እና አስተያየት ስጥ',
+  'button.previous': '⬅️ ቀዳሚ',
+  'button.next': 'ቀጣይ ➡️',
+  'button.new_search': '🔎 አዲስ ፍለጋ',
+  'button.send_another': '📝 ሌላ ላክ',
+  'button.resubmit': '✏️ አስተካክል እና ላክ',
+  'button.appeal': '⚖️ ይግባኝ',
+  'button.rules': '📌 ደንቦች',
+  'button.my_confessions': '📂 የእኔ ኑዛዜዎች',
+  'button.cancel': '✖️ ሰርዝ',
+  'button.view': '💬 እይ',
+
+  // Main menu
+  'main.title': '🤫 *JU የኑዛዜ ቦት*',
+  'main.profile': '👤 መገለጫ: {username}',
+  'main.not_set': 'አልተዘጋጀም',
+  'main.reputation': '⭐ ዝና: {reputation}',
+  'main.streak': '🔥 ተከታታይ ቀናት: {days}',
+  'main.bio': '📝 ስለ እኔ: {bio}',
+  'main.choose': 'ከታች አንዱን ይምረጡ:',
+
+  'welcome.text': '🤫 *ወደ JU የኑዛዜ ቦት እንኳን ደህና መጡ!*\n\nኑዛዜዎን ይላኩልኝ፤ ማንነትዎ ሳይገለጽ ለአስተዳዳሪዎች ይቀርባል።\n\nማንነትዎ በፍጹም አይገለጽም!',
+
+  'rules.text': '📌 *የኑዛዜ ደንቦች*\n\n✅ ሌሎችን ያክብሩ\n✅ ግላዊ ጥቃት የለም\n✅ ማስታወቂያ ወይም አይፈለጌ መልዕክት የለም\n✅ ማንነትን አይግለጹ\n✅ የጥላቻ ንግግር የለም\n✅ ሕገ ወጥ ይዘት የለም\n✅ ትንኮሳ የለም\n✅ ተገቢ ሃሽታጎችን ይጠቀሙ',
+
+  'about.text': 'ℹ️ *ስለ እኛ*\n\nይህ ለJU ተማሪዎች ማንነት ሳይገለጽ የሚናዘዙበት መድረክ ነው።\n\nአገልግሎቶች:\n• ማንነት የማይገለጽ ኑዛዜ\n• በአስተዳዳሪ የሚጸድቅ\n• የተጠቃሚ መገለጫ\n• ማህበራዊ አገልግሎቶች\n• አስተያየቶች\n• የዝና ነጥብ\n• ስኬቶች\n• የዕለት ተመዝገብ\n\n100% ግላዊ እና ደህንነቱ የተጠበቀ።',
+
+  // Confession outcome notices
+  'notify.approved': '🎉 *ኑዛዜ #{number} ጸድቋል!*\n\nበቻናሉ ላይ ተለጥፏል።\n\n⭐ +10 የዝና ነጥብ',
+  'notify.appeal_overturned': '⚖️ *ይግባኝዎ ተቀባይነት አግኝቷል*\n\nኑዛዜዎ በድጋሚ ታይቶ ጸድቋል፤ ለመለጠፍ ተራ ይጠብቃል።',
+  'notify.appeal_upheld': '⚖️ *ይግባኝዎ ውድቅ ሆኗል*\n\nውሳኔው ጸንቷል። ምክንያት: {reason}',
+  'notify.rejected': '❌ *ኑዛዜዎ አልጸደቀም*\n\nምክንያት: {reason}\n\nአስተካክለው እንደገና መላክ ወይም ስህተት ነው ብለው ካሰቡ ይግባኝ ማለት ይችላሉ።',
+  'notify.edit_resubmit': '✏️ አስተካክል እና ላክ',
+  'notify.appeal': '⚖️ ይግባኝ',
+
+  // Language picker
+  'language.title': '🌐 *ቋንቋ*\n\nለማውጫዎች እና መልዕክቶች ቋንቋ ይምረጡ:',
+  'language.button': '🌐 ቋንቋ',
+  'language.changed': '✅ ቋንቋ ወደ አማርኛ ተቀይሯል።',
+
+  // Shared replies, flows and rate limits
+  'common.blocked': '❌ መለያዎ በአስተዳዳሪ ታግዷል።',
+  'flow.timed_out': '⌛ {flow} ጊዜው አልፏል። ዝግጁ ሲሆኑ እንደገና ይጀምሩ።',
+  'flow.nothing_to_cancel': 'የሚሰረዝ ነገር የለም።',
+  'flow.cancelled': '✖️ {flow} ተሰርዟል።',
+  'flow.appeal': 'ይግባኝ',
+  'flow.broadcast': 'ማስታወቂያ',
+  'flow.block_user': 'ማገድ',
+  'flow.unblock_user': 'እገዳ ማንሳት',
+  'flow.username': 'የተጠቃሚ ስም ለውጥ',
+  'flow.bio': 'የራስ መግለጫ ለውጥ',
+  'flow.search': 'ፍለጋ',
+  'flow.confession_edit': 'ማስተካከያ',
+  'flow.confession': 'ኑዛዜ',
+  'flow.rejection': 'ውድቅ ማድረግ',
+  'flow.comment': 'አስተያየት',
+  'flow.comment_moderation': 'የአስተያየት ቁጥጥር',
+  'flow.admin_message': 'መልዕክት',
+  'ratelimit.wait': '⏳ በጣም ብዙ {actions}። እባክዎ {wait} ይጠብቁና እንደገና ይሞክሩ።',
+  'ratelimit.confession': 'ኑዛዜዎች',
+  'ratelimit.rejected': 'ውድቅ የሆኑ ኑዛዜዎች',
+  'ratelimit.comment': 'አስተያየቶች',
+  'ratelimit.follow': 'መከተሎች',
+  'ratelimit.checkin': 'የዕለት ተመዝገቦች',
+  'ratelimit.report': 'ሪፖርቶች',
+  'time.second': '{count} ሰከንድ',
+  'time.seconds': '{count} ሰከንድ',
+  'time.minute': '{count} ደቂቃ',
+  'time.minutes': '{count} ደቂቃ',
+  'common.anonymous': 'ስም የለሽ',
+  'common.error': '❌ ስህተት ተፈጥሯል። እባክዎ እንደገና ይሞክሩ።',
+
+  // Achievements and check-in
+  'achievement.title': '🏆 *የእርስዎ ስኬቶች*',
+  'achievement.none': 'እስካሁን ምንም ስኬት የለም። ስኬቶችን ለመክፈት ቦቱን መጠቀም ይጀምሩ!',
+  'achievement.unlocked': '🎉 አዲስ ስኬት ተከፍቷል!\n\n{name}!',
+  'achievement.first_confession': 'የመጀመሪያ ኑዛዜ',
+  'achievement.ten_confessions': 'የኑዛዜ ባለሙያ (10)',
+  'achievement.fifty_followers': 'ተወዳጅ ተጠቃሚ (50 ተከታዮች)',
+  'achievement.week_streak': 'የሳምንት ተከታታይነት',
+  'checkin.already': '✅ ዛሬ አስቀድመው ተመዝግበዋል!\n\nአሁን ያሉ ተከታታይ ቀናት: {days}',
+  'checkin.done': '🎉 የዕለት ተመዝገብ!\n\n✅ +2 የዝና ነጥብ\nአሁን ያሉ ተከታታይ ቀናት: {days}',
+
+  // Profiles, following and browsing users
+  'profile.title': '👤 *የእርስዎ መገለጫ*',
+  'profile.other_title': '👤 *መገለጫ*',
+  'profile.username': '**የተጠቃሚ ስም:** {username}',
+  'profile.bio': '**ስለ እኔ:** {bio}',
+  'profile.no_bio': 'መግለጫ የለም',
+  'profile.followers': '**ተከታዮች:** {count}',
+  'profile.following': '**የሚከተላቸው:** {count}',
+  'profile.total_confessions': '**ጠቅላላ ኑዛዜዎች:** {count}',
+  'profile.confessions': '**ኑዛዜዎች:** {count}',
+  'profile.reputation': '**ዝና:** {reputation}',
+  'profile.achievements': '**ስኬቶች:** {count}',
+  'profile.streak': '**ተከታታይ ቀናት:** {days}',
+  'profile.member_since': '**አባል ከሆኑ:** {date}',
+  'followers.none': '👥 *የእርስዎ ተከታዮች*\n\nእስካሁን ተከታይ የለዎትም።',
+  'followers.title': '👥 *የእርስዎ ተከታዮች ({count})*',
+  'following.none': '👥 *የሚከተሏቸው*\n\nእስካሁን ማንንም አይከተሉም።',
+  'following.title': '👥 *የሚከተሏቸው ({count})*',
+  'browse.title': '🔍 *ተጠቃሚዎችን ፈልግ*',
+  'browse.empty': 'ምንም ተጠቃሚ አልተገኘም።',
+  'browse.user': '• @{name} ({reputation}⭐, {followers} ተከታዮች)',
+  'browse.view': '👤 @{name}ን እይ',
+  'follow.self': '❌ ራስዎን መከተል አይችሉም',
+  'follow.done': '✅ እየተከተሉ ነው!',
+  'follow.error': '❌ ተጠቃሚውን መከተል አልተቻለም',
+  'follow.unfollowed': '❌ መከተል አቁመዋል',
+  'follow.unfollow_error': '❌ መከተል ማቆም አልተቻለም',
+  'notify.follower': '👥 {name} እርስዎን መከተል ጀምሯል።',
+  'notify.someone': 'አንድ ሰው',
+  'username.prompt': '📝 *የተጠቃሚ ስም አዘጋጅ*\n\nየሚፈልጉትን የተጠቃሚ ስም ያስገቡ (ያለ @):\n\nከ3-20 ፊደላት፣ ፊደላት/ቁጥሮች/የስር ሰረዝ ብቻ።',
+  'username.invalid': '❌ ትክክል ያልሆነ የተጠቃሚ ስም። ከ3-20 ፊደላት ይጠቀሙ (ፊደላት፣ ቁጥሮች እና የስር ሰረዝ ብቻ)።',
+  'username.taken': '❌ ይህ የተጠቃሚ ስም ተይዟል። ሌላ ይምረጡ።',
+  'username.updated': '✅ የተጠቃሚ ስም ወደ @{username} ተቀይሯል',
+  'bio.prompt': '📝 *የራስ መግለጫ አዘጋጅ*\n\nመግለጫዎን ያስገቡ (ቢበዛ 100 ፊደላት):',
+  'bio.too_long': '❌ መግለጫው በጣም ረጅም ነው። ቢበዛ 100 ፊደላት።',
+  'bio.updated': '✅ መግለጫዎ በተሳካ ሁኔታ ተቀይሯል!',
+
+  // Trending and hashtags
+  'period.today': 'ዛሬ',
+  'period.week': 'በዚህ ሳምንት',
+  'period.month': 'በዚህ ወር',
+  'period.all': 'የምንጊዜም',
+  'trending.title': '🔥 *ተወዳጅ ኑዛዜዎች — {period}*',
+  'trending.empty': 'እስካሁን ተወዳጅ ኑዛዜ የለም። መጀመሪያ እርስዎ ይላኩ!',
+  'trending.counts': 'አስተያየቶች: {comments} · ግብረ መልሶች: {reactions}',
+  'hashtags.title': '🏷️ *ተወዳጅ ሃሽታጎች — {period}*',
+  'hashtags.empty': 'በዚህ ጊዜ ውስጥ እስካሁን ሃሽታግ የለም። በኑዛዜዎችዎ ውስጥ #ሃሽታጎችን ይጠቀሙ!',
+  'hashtags.uses': '{tag} ({count} ጊዜ)',
+  'hashtags.tap': 'ኑዛዜዎቹን ለማየት ሃሽታግ ይንኩ።',
+
+  // Settings
+  'settings.title': '⚙️ *ቅንብሮች*\n\nየቦቱን ምርጫዎችዎን ያስተካክሉ:\n\n*ማሳወቂያዎች*',
+  'settings.type.approved': 'ኑዛዜ ሲጸድቅ',
+  'settings.type.comment': 'በኑዛዜዎቼ ላይ አዲስ አስተያየቶች',
+  'settings.type.reply': 'ለአስተያየቶቼ ምላሾች',
+  'settings.type.follower': 'አዲስ ተከታዮች',
+  'settings.type.hashtag': 'በሃሽታጎቼ ውስጥ አዲስ ልጥፎች',
+  'settings.type.achievement': 'ስኬቶች',
+  'settings.mode.instant': 'ወዲያውኑ',
+  'settings.mode.instant_about': 'እያንዳንዱ ማሳወቂያ ወዲያውኑ',
+  'settings.mode.hourly': 'የሰዓት ማጠቃለያ',
+  'settings.mode.hourly_about': 'በሰዓት አንድ ማጠቃለያ',
+  'settings.mode.daily': 'የዕለት ማጠቃለያ',
+  'settings.mode.daily_about': 'በቀን አንድ ማጠቃለያ',
+  'settings.mode.off': 'ጠፍቷል',
+  'settings.mode.off_about': 'ምንም ማሳወቂያ የለም',
+  'settings.delivery': '*አደራረስ:* {mode} — {description}',
+  'settings.delivery_button': '📬 አደራረስ: {mode}',
+  'settings.tap': 'ለማብራት ወይም ለማጥፋት ከታች ያለውን ማሳወቂያ ይንኩ።',
+  'settings.switched_on': '🔔 {type} በርቷል',
+  'settings.switched_off': '🔕 {type} ጠፍቷል',
+  'settings.error': '❌ ቅንብሮችን መቀየር አልተቻለም',
+  'settings.unknown': '❌ ያልታወቀ ቅንብር',
+
+  // Notification digests
+  'digest.title': '📬 የማሳወቂያዎችዎ ማጠቃለያ ({count})',
+  'digest.more': '…እና ሌሎች {count}።',
+
+  // Hashtag pages and subscriptions
+  'tag.page': '(ገጽ {page})',
+  'tag.empty': 'በዚህ ሃሽታግ እስካሁን የተለጠፈ ኑዛዜ የለም።',
+  'tag.no_more': 'ተጨማሪ ኑዛዜ የለም።',
+  'tag.counts': '💬 {comments} · {reactions} ግብረ መልሶች',
+  'tag.usage': 'አጠቃቀም: /tag #ሃሽታግ',
+  'tag.subscribed': '🔔 ለ{tag} ተመዝግበዋል',
+  'tag.unsubscribed': '🔕 ከ{tag} ምዝገባ ወጥተዋል',
+  'tag.subscription_error': '❌ ምዝገባውን መቀየር አልተቻለም',
+  'tag.mine_title': '⭐ የእኔ ሃሽታጎች',
+  'tag.mine_empty': 'እስካሁን ለምንም ሃሽታግ አልተመዘገቡም። ሃሽታግ ከፍተው ተመዝገብን ይንኩ።',
+  'tag.mine_about': 'ከእነዚህ ሃሽታጎች አንዱን የያዘ አዲስ ኑዛዜ ሲለጠፍ ማሳወቂያ ይደርስዎታል:',
+  'notify.hashtag': '🏷️ በ{tags} ውስጥ አዲስ ኑዛዜ:\n\n#{number} — {preview}',
+
+  // Search
+  'search.usage': '🔎 *ኑዛዜዎችን ፈልግ*\n\nቁልፍ ቃላትን፣ #ሃሽታጎችን ወይም የቁጥር ክልል ይጻፉ፤ ለምሳሌ:\n`exam stress #study`\n`100-200`',
+  'search.results': '🔎 የ"{query}" ውጤቶች ({count})',
+  'search.empty': 'ምንም አልተገኘም። ሌሎች ቃላትን ወይም ሰፋ ያለ የቁጥር ክልል ይሞክሩ።',
+  'search.expired': 'ፍለጋው ጊዜው አልፏል — እባክዎ እንደገና ይፈልጉ',
+
+  // Sending and editing confessions
+  'confession.prompt': '✍️ *ኑዛዜዎን ይላኩ*\n\nኑዛዜዎን ከታች ይጻፉ (ቢበዛ 1000 ፊደላት)፣ ወይም ፎቶ፣ የድምፅ መልዕክት፣ ቪዲዮ ወይም ሰነድ ከአማራጭ መግለጫ ጋር ይላኩ:\n\nእንደ #love #study #funny ያሉ ሃሽታጎችን ማከል ይችላሉ\n\nለማቆም /cancel ይላኩ።',
+  'confession.resubmit_prompt': '✏️ *አስተካክለው ይላኩ*\n\nየተስተካከለውን ኑዛዜ ይላኩ (ቢበዛ 1000 ፊደላት)። ዋናው ሚዲያ ከነበረው፣ ጽሑፍ ብቻ ቢልኩ ሚዲያው ከአዲሱ መግለጫ ጋር ይቆያል።\n\nለማቆም /cancel ይላኩ።',
+  'confession.too_short': '❌ ኑዛዜው በጣም አጭር ነው። ቢያንስ 5 ፊደላት።',
+  'confession.too_long': '❌ ኑዛዜው በጣም ረጅም ነው። ቢበዛ 1000 ፊደላት።',
+  'confession.caption_too_short': '❌ መግለጫው በጣም አጭር ነው። ቢያንስ 5 ፊደላት፣ ወይም ሚዲያውን ያለ መግለጫ ይላኩ።',
+  'confession.caption_too_long': '❌ መግለጫው በጣም ረጅም ነው። ቢበዛ 1000 ፊደላት።',
+  'confession.already_followed_up': '❌ ይህ ኑዛዜ አስቀድሞ በድጋሚ ተልኳል ወይም ይግባኝ ተብሎበታል።',
+  'confession.auto_rejected': '❌ *ኑዛዜው አልተላከም*\n\n{reason}\n\nእባክዎ አስተካክለው እንደገና ይሞክሩ።',
+  'confession.submitted': '✅ *ኑዛዜው ተልኳል!*\n\nኑዛዜዎ እየታየ ነው። ሲጸድቅ ይነገርዎታል።',
+  'confession.error': '❌ ኑዛዜውን መላክ አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+  'edit.prompt': '✏️ ኑዛዜ አስተካክል\n\nአሁን ያለው ጽሑፍ:\n\n{text}\n\nአዲሱን ጽሑፍ ይላኩ (ቢበዛ 1000 ፊደላት):',
+  'edit.no_caption': '(መግለጫ የለም)',
+  'edit.rejected': '❌ ማስተካከያው አልተቀመጠም። {reason}',
+  'edit.not_found': '❌ ኑዛዜው አልተገኘም።',
+  'edit.claimed': '❌ ማስተካከያው አልተቀመጠም: አንድ አስተዳዳሪ አሁን ኑዛዜውን እያየ ነው። እባክዎ ከጥቂት ደቂቃዎች በኋላ እንደገና ይሞክሩ።',
+  'edit.reviewed': '❌ ማስተካከያው አልተቀመጠም: ይህ ኑዛዜ አስቀድሞ ታይቷል።',
+  'edit.saved': '✅ ኑዛዜው ተስተካክሏል። አሁንም እስኪታይ ይጠብቃል።',
+  'edit.error': '❌ ኑዛዜውን ማስተካከል አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+
+  // My Confessions
+  'mine.title': '📂 የእኔ ኑዛዜዎች',
+  'mine.empty': 'እስካሁን ምንም ኑዛዜ አልላኩም።',
+  'status.pending': '⏳ እየታየ ነው',
+  'status.scheduled': '🗓 ጸድቋል፣ ለመለጠፍ ይጠብቃል',
+  'status.approved': '✅ ተለጥፏል',
+  'status.rejected': '❌ ውድቅ ሆኗል',
+  'status.withdrawn': '↩️ ተመልሷል',
+  'appeal.status.pending': 'በመታየት ላይ',
+  'appeal.status.upheld': 'ውሳኔው ጸንቷል',
+  'appeal.status.overturned': 'ተቀባይነት አግኝቷል',
+  'mine.sent': 'የተላከበት: {date}',
+  'mine.comments': '💬 {count} አስተያየቶች',
+  'mine.edited': 'ተስተካክሏል',
+  'mine.reason': 'ምክንያት: {reason}',
+  'mine.appeal': 'ይግባኝ: {status}',
+  'mine.edit_button': '✏️ አስተካክል {position}',
+  'mine.withdraw_button': '↩️ መልስ {position}',
+  'mine.comments_button': '💬 አስተያየቶች {position}',
+  'mine.resubmit_button': '✏️ በድጋሚ ላክ {position}',
+  'mine.appeal_button': '⚖️ ይግባኝ {position}',
+  'mine.not_found': '❌ ኑዛዜው አልተገኘም',
+  'mine.reviewed': 'ይህ ኑዛዜ አስቀድሞ ታይቷል',
+  'mine.withdrawn': '↩️ ኑዛዜው ተመልሷል',
+  'mine.withdraw_error': '❌ መመለስ አልተቻለም',
+  'mine.claimed': 'አንድ አስተዳዳሪ አሁን ይህን ኑዛዜ እያየ ስለሆነ ማስተካከል አይቻልም',
+
+  // Resubmissions and appeals
+  'appeal.cannot_resubmit': '❌ ይህን ኑዛዜ ከእንግዲህ በድጋሚ መላክ አይቻልም',
+  'appeal.cannot_appeal': '❌ በዚህ ኑዛዜ ላይ ከእንግዲህ ይግባኝ ማለት አይቻልም',
+  'appeal.original': 'ዋናው ኑዛዜዎ — ገልብጠው ያስተካክሉ:\n\n{text}',
+  'appeal.prompt': '⚖️ *የውድቅ ውሳኔ ይግባኝ*\n\nውድቅ የሆነበት ምክንያት: {reason}\n\nለምን በድጋሚ መታየት እንዳለበት ለአስተዳዳሪዎች ይንገሩ (ቢበዛ {max} ፊደላት):',
+  'appeal.length': '❌ እባክዎ ይግባኝዎን ከ5-{max} ፊደላት ውስጥ ያብራሩ።',
+  'appeal.submitted': '✅ ይግባኝዎ ተልኳል። አንድ አስተዳዳሪ ያየዋል፤ ውጤቱም ይነገርዎታል።',
+  'appeal.error': '❌ ይግባኙን መላክ አልተቻለም። እባክዎ እንደገና ይሞክሩ።',
+
+  // Reporting confessions and comments
+  'report.category.harassment': '😡 ትንኮሳ ወይም ማስፈራራት',
+  'report.category.hate': '🚫 የጥላቻ ንግግር',
+  'report.category.personal': '🔐 ግላዊ መረጃ',
+  'report.category.spam': '📢 አይፈለጌ መልዕክት',
+  'report.category.other': '❓ ሌላ ነገር',
+  'report.not_found': '❌ ይዘቱ አልተገኘም',
+  'report.already_hidden': 'ይህ አስቀድሞ ተደብቋል',
+  'report.prompt_confession': '🚩 ኑዛዜን ሪፖርት አድርግ\n\n"{preview}"\n\nለምን ሪፖርት ያደርጋሉ?',
+  'report.prompt_comment': '🚩 አስተያየትን ሪፖርት አድርግ\n\n"{preview}"\n\nለምን ሪፖርት ያደርጋሉ?',
+  'report.cancelled': 'ሪፖርቱ ተሰርዟል።',
+  'report.duplicate': 'ይህን አስቀድመው ሪፖርት አድርገዋል',
+  'report.sent': '✅ እናመሰግናለን — ሪፖርትዎ ለተቆጣጣሪዎች ተልኳል።',
+  'report.done': '🚩 ሪፖርት ተደርጓል',
+  'report.error': '❌ ሪፖርት ማድረግ አልተቻለም',
+
+  // Comments
+  'comments.title': '💬 የኑዛዜ #{number} አስተያየቶች',
+  'comments.locked': '🔒 አስተያየቶች ተቆልፈዋል።',
+  'comments.locked_here': '🔒 በዚህ ኑዛዜ ላይ አስተያየቶች ተቆልፈዋል።',
+  'comments.muted': '🔇 እስከ {until} ድረስ አስተያየት እንዳይሰጡ ተከልክለዋል።',
+  'comments.empty': 'እስካሁን አስተያየት የለም። መጀመሪያ እርስዎ አስተያየት ይስጡ!',
+  'comments.total_newest': 'ጠቅላላ አስተያየቶች: {count} · በአዲስነት የተደረደሩ',
+  'comments.total_top': 'ጠቅላላ አስተያየቶች: {count} · በነጥብ የተደረደሩ',
+  'comments.reply': '{count} ምላሽ',
+  'comments.replies': '{count} ምላሾች',
+  'comments.hidden_reports': '🙈 ይህ አስተያየት ከሪፖርቶች በኋላ ተደብቋል።',
+  'comments.hidden_moderator': '🙈 ይህ አስተያየት በተቆጣጣሪ ተደብቋል።',
+  'comments.confession_hidden': '🙈 ይህ ኑዛዜ ከአንባቢዎች ሪፖርት በኋላ ተደብቋል።',
+  'comments.hidden_closed': '🙈 ይህ ኑዛዜ ከሪፖርቶች በኋላ ስለተደበቀ አስተያየት አይቀበልም።',
+  'comments.error': '❌ አስተያየቶችን መጫን አልተቻለም።',
+  'comments.not_found': '❌ አስተያየቱ አልተገኘም።',
+  'comments.thread': '🧵 *ውይይት*',
+  'comments.no_replies': 'እስካሁን ምላሽ የለም። መጀመሪያ እርስዎ ይመልሱ!',
+  'comments.reply_count': 'ምላሾች: {count}',
+  'comments.replies_error': '❌ ምላሾችን መጫን አልተቻለም።',
+  'comments.prompt': '📝 *አስተያየት ስጥ*\n\nለዚህ ኑዛዜ አስተያየትዎን ይጻፉ:\n\nለማቆም /cancel ይላኩ።',
+  'comments.reply_prompt': '↩️ *ለአስተያየት ምላሽ*\n\nምላሽዎን ይጻፉ:\n\nለማቆም /cancel ይላኩ።',
+  'comments.too_short': '❌ አስተያየቱ በጣም አጭር ነው። ቢያንስ 3 ፊደላት።',
+  'comments.too_long': '❌ አስተያየቱ በጣም ረጅም ነው። ቢበዛ {max} ፊደላት።',
+  'comments.parent_gone': '❌ የሚመልሱለት አስተያየት ከእንግዲህ የለም።',
+  'comments.added': '✅ አስተያየትዎ በተሳካ ሁኔታ ተጨምሯል!',
+  'comments.reply_added': '✅ ምላሽዎ በተሳካ ሁኔታ ተጨምሯል!',
+  'comments.add_error': '❌ አስተያየቱን መጨመር አልተቻለም።',
+  'button.reply': '↩️ መልስ',
+  'button.sort_newest': '🆕 አዲሶቹ',
+  'button.sort_top': '🔝 ምርጦቹ',
+  'button.add_comment': '📝 አስተያየት ስጥ',
+  'button.refresh': '🔄 አድስ',
+  'button.report_confession': '🚩 ኑዛዜውን ሪፖርት አድርግ',
+  'button.earlier': '⬅️ ቀደም ያሉት',
+  'button.later': 'ኋላ ያሉት ➡️',
+  'button.back_to_comments': '🔙 ወደ አስተያየቶች',
+
+  // Comment notifications and votes
+  'notify.reply': '↩️ {name} በኑዛዜ #{number} ላይ ለሰጡት አስተያየት መልሷል:\n\n"{preview}"',
+  'notify.comment': '💬 {name} በኑዛዜዎ #{number} ላይ አስተያየት ሰጥቷል:\n\n"{preview}"',
+  'vote.not_found': '❌ አስተያየቱ አልተገኘም',
+  'vote.own': '❌ በራስዎ አስተያየት ላይ ድምፅ መስጠት አይችሉም',
+  'vote.up': '👍 ወደዱት',
+  'vote.down': '👎 አልወደዱትም',
+  'vote.removed': 'ድምፅዎ ተነስቷል',
+  'vote.error': '❌ ድምፅ መስጠት አልተቻለም',
+
+  // Notices from admins
+  'notify.muted': '🔇 አንድ ተቆጣጣሪ ለ{duration} አስተያየት እንዳይሰጡ ከልክሏል (እስከ {until})።',
+  'notify.admin_message': '📩 *የአስተዳዳሪ መልዕክት*\n\n{text}',
+  'notify.broadcast': '📢 *ማስታወቂያ*\n\n{message}',
+
+  // Reactions
+  'reaction.added': '{reaction} ብለዋል',
+  'reaction.removed': 'ግብረ መልስዎ ተነስቷል',
+  'reaction.error': '❌ ግብረ መልስ መስጠት አልተቻለም'
+};
@@ -0,0 +1,348 @@
+// English catalog; every key used by the bot must exist here. Admin-only screens
+// are not translated and stay in English.
+module.exports = {
+  // Reply keyboard
+  'menu.send': '📝 Send Confession',
+  'menu.profile': '👤 My Profile',
+  'menu.trending': '🔥 Trending',
+  'menu.checkin': '🎯 Daily Check-in',
+  'menu.hashtags': '🏷️ Hashtags',
+  'menu.achievements': '🏆 Achievements',
+  'menu.settings': '⚙️ Settings',
+  'menu.about': 'ℹ️ About Us',
+  'menu.browse': '🔍 Browse Users',
+  'menu.rules': '📌 Rules',
+  'menu.my_confessions': '📂 My Confessions',
+  'menu.search': '🔎 Search',
+
+  // Shared inline buttons
+  'button.send_confession': '📝 Send Confession',
+  'button.daily_checkin': '🎯 Daily Check-in',
+  'button.browse_users': '🔍 Browse Users',
+  'button.back_to_menu': '🔙 Back to Menu',
+  'button.continue': 'Continue',
+  'button.set_username': '📝 Set Username',
+  'button.set_bio': '📝 Set Bio',
+  'button.followers': '👥 Followers',
+  'button.following': '👥 Following',
+  'button.view_achievements': '🏆 View Achievements',
+  'button.my_hashtags': '⭐ My Hashtags',
+  'button.follow': '➕ Follow',
+  'button.following_on': '✅ Following',
+  'button.view_profile': '👤 View Profile',
+  'button.confession': '💬 Confession #{number}',
+  'button.newer': '⬅️ Newer',
+  'button.older': 'Older ➡️',
+  'button.subscribe': '🔔 Subscribe',
+  'button.unsubscribe': '🔕 Unsubscribe',
+  'button.view_comment': '💬 View & Comment',
+  'button.previous': '⬅️ Previous',
+  'button.next': 'Next ➡️',
+  'button.new_search': '🔎 New Search',
+  'button.send_another': '📝 Send Another',
+  'button.resubmit': '✏️ Edit & Resubmit',
+  'button.appeal': '⚖️ Appeal',
+  'button.rules': '📌 Rules',
+  'button.my_confessions': '📂 My Confessions',
+  'button.cancel': '✖️ Cancel',
+  'button.view': '💬 View',
+
+  // Main menu
+  'main.title': '🤫 *JU Confession Bot*',
+  'main.profile': '👤 Profile: {username}',
+  'main.not_set': 'Not set',
+  'main.reputation': '⭐ Reputation: {reputation}',
+  'main.streak': '🔥 Streak: {days} days',
+  'main.bio': '📝 Bio: {bio}',
+  'main.choose': 'Choose an option below:',
+
+  'welcome.text': '🤫 *Welcome to JU Confession Bot!*\n\nSend me your confession and it will be submitted anonymously for admin approval.\n\nYour identity will never be revealed!',
+
+  'rules.text': '📌 *Confession Rules*\n\n✅ Be respectful\n✅ No personal attacks\n✅ No spam or ads\n✅ Keep it anonymous\n✅ No hate speech\n✅ No illegal content\n✅ No harassment\n✅ Use appropriate hashtags',
+
+  'about.text': 'ℹ️ *About Us*\n\nThis is an anonymous confession platform for JU students.\n\nFeatures:\n• Anonymous confessions\n• Admin approval system\n• User profiles\n• Social features\n• Comment system\n• Reputation system\n• Achievements\n• Daily check-ins\n\n100% private and secure.',
+
+  // Confession outcome notices
+  'notify.approved': '🎉 *Your Confession #{number} was approved!*\n\nIt has been posted to the channel.\n\n⭐ +10 reputation points',
+  'notify.appeal_overturned': '⚖️ *Appeal Accepted*\n\nYour confession was approved after review and is queued for publishing.',
+  'notify.appeal_upheld': '⚖️ *Appeal Declined*\n\nThe rejection was upheld. Reason: {reason}',
+  'notify.rejected': '❌ *Confession Not Approved*\n\nReason: {reason}\n\nYou can edit and resubmit it, or appeal if you think this was a mistake.',
+  'notify.edit_resubmit': '✏️ Edit & Resubmit',
+  'notify.appeal': '⚖️ Appeal',
+
+  // Language picker
+  'language.title': '🌐 *Language*\n\nChoose the language for menus and messages:',
+  'language.button': '🌐 Language',
+  'language.changed': '✅ Language set to English.',
+
+  // Shared replies, flows and rate limits
+  'common.blocked': '❌ Your account has been blocked by admin.',
+  'flow.timed_out': '⌛ {flow} timed out. Start again whenever you\'re ready.',
+  'flow.nothing_to_cancel': 'Nothing to cancel.',
+  'flow.cancelled': '✖️ {flow} cancelled.',
+  'flow.appeal': 'Appeal',
+  'flow.broadcast': 'Broadcast',
+  'flow.block_user': 'Block',
+  'flow.unblock_user': 'Unblock',
+  'flow.username': 'Username change',
+  'flow.bio': 'Bio change',
+  'flow.search': 'Search',
+  'flow.confession_edit': 'Edit',
+  'flow.confession': 'Confession',
+  'flow.rejection': 'Rejection',
+  'flow.comment': 'Comment',
+  'flow.comment_moderation': 'Comment moderation',
+  'flow.admin_message': 'Message',
+  'ratelimit.wait': '⏳ Too many {actions}. Please wait {wait} and try again.',
+  'ratelimit.confession': 'confessions',
+  'ratelimit.rejected': 'rejected confessions',
+  'ratelimit.comment': 'comments',
+  'ratelimit.follow': 'follows',
+  'ratelimit.checkin': 'check-ins',
+  'ratelimit.report': 'reports',
+  'time.second': '{count} second',
+  'time.seconds': '{count} seconds',
+  'time.minute': '{count} minute',
+  'time.minutes': '{count} minutes',
+
+  // Achievements and check-in
+  'achievement.title': '🏆 *Your Achievements*',
+  'achievement.none': 'No achievements yet. Start using the bot to unlock achievements!',
+  'achievement.unlocked': '🎉 Achievement Unlocked!\n\n{name}!',
+  'achievement.first_confession': 'First Confession',
+  'achievement.ten_confessions': 'Confession Master (10)',
+  'achievement.fifty_followers': 'Popular User (50 followers)',
+  'achievement.week_streak': 'Week Streak',
+  'checkin.already': '✅ You already checked in today!\n\nCurrent streak: {days} days',
+  'checkin.done': '🎉 Daily Check-in!\n\n✅ +2 reputation points\nCurrent streak: {days} days',
+
+  // Profiles, following and browsing users
+  'profile.title': '👤 *Your Profile*',
+  'profile.other_title': '👤 *Profile*',
+  'profile.username': '**Username:** {username}',
+  'profile.bio': '**Bio:** {bio}',
+  'profile.no_bio': 'No bio',
+  'profile.followers': '**Followers:** {count}',
+  'profile.following': '**Following:** {count}',
+  'profile.total_confessions': '**Total Confessions:** {count}',
+  'profile.confessions': '**Confessions:** {count}',
+  'profile.reputation': '**Reputation:** {reputation}',
+  'profile.achievements': '**Achievements:** {count}',
+  'profile.streak': '**Daily Streak:** {days} days',
+  'profile.member_since': '**Member Since:** {date}',
+  'common.anonymous': 'Anonymous',
+  'followers.none': '👥 *Your Followers*\n\nNo followers yet.',
+  'followers.title': '👥 *Your Followers ({count})*',
+  'following.none': '👥 *You\'re Following*\n\nNot following anyone yet.',
+  'following.title': '👥 *You\'re Following ({count})*',
+  'browse.title': '🔍 *Browse Users*',
+  'browse.empty': 'No users found.',
+  'browse.user': '• @{name} ({reputation}⭐, {followers} followers)',
+  'browse.view': '👤 View @{name}',
+  'follow.self': '❌ You cannot follow yourself',
+  'follow.done': '✅ Following!',
+  'follow.error': '❌ Error following user',
+  'follow.unfollowed': '❌ Unfollowed',
+  'follow.unfollow_error': '❌ Error unfollowing user',
+  'notify.follower': '👥 {name} started following you.',
+  'notify.someone': 'Someone',
+  'username.prompt': '📝 *Set Username*\n\nEnter your desired username (without @):\n\nMust be 3-20 characters, letters/numbers/underscores only.',
+  'username.invalid': '❌ Invalid username. Use 3-20 characters (letters, numbers, underscores only).',
+  'username.taken': '❌ Username already taken. Choose another one.',
+  'username.updated': '✅ Username updated to @{username}',
+  'bio.prompt': '📝 *Set Bio*\n\nEnter your bio (max 100 characters):',
+  'bio.too_long': '❌ Bio too long. Maximum 100 characters.',
+  'bio.updated': '✅ Bio updated successfully!',
+
+  // Trending and hashtags
+  'period.today': 'Today',
+  'period.week': 'This Week',
+  'period.month': 'This Month',
+  'period.all': 'All Time',
+  'trending.title': '🔥 *Trending Confessions — {period}*',
+  'trending.empty': 'No trending confessions yet. Be the first to submit one!',
+  'trending.counts': 'Comments: {comments} · Reactions: {reactions}',
+  'hashtags.title': '🏷️ *Popular Hashtags — {period}*',
+  'hashtags.empty': 'No hashtags in this period yet. Use #hashtags in your confessions!',
+  'hashtags.uses': '{tag} ({count} uses)',
+  'hashtags.tap': 'Tap a tag to browse its confessions.',
+
+  // Settings
+  'settings.title': '⚙️ *Settings*\n\nConfigure your bot preferences:\n\n*Notifications*',
+  'settings.type.approved': 'Confession approved',
+  'settings.type.comment': 'New comments on my confessions',
+  'settings.type.reply': 'Replies to my comments',
+  'settings.type.follower': 'New followers',
+  'settings.type.hashtag': 'New posts in my hashtags',
+  'settings.type.achievement': 'Achievements',
+  'settings.mode.instant': 'Instant',
+  'settings.mode.instant_about': 'each notification right away',
+  'settings.mode.hourly': 'Hourly digest',
+  'settings.mode.hourly_about': 'one summary per hour',
+  'settings.mode.daily': 'Daily digest',
+  'settings.mode.daily_about': 'one summary per day',
+  'settings.mode.off': 'Off',
+  'settings.mode.off_about': 'no notifications',
+  'settings.delivery': '*Delivery:* {mode} — {description}',
+  'settings.delivery_button': '📬 Delivery: {mode}',
+  'settings.tap': 'Tap a notification below to switch it on or off.',
+  'settings.switched_on': '🔔 {type} on',
+  'settings.switched_off': '🔕 {type} off',
+  'settings.error': '❌ Could not update settings',
+  'settings.unknown': '❌ Unknown setting',
+
+  // Notification digests
+  'digest.title': '📬 Your notification digest ({count})',
+  'digest.more': '…and {count} more.',
+
+  // Hashtag pages and subscriptions
+  'tag.page': '(page {page})',
+  'tag.empty': 'No published confessions with this tag yet.',
+  'tag.no_more': 'No more confessions.',
+  'tag.counts': '💬 {comments} · {reactions} reactions',
+  'tag.usage': 'Usage: /tag #hashtag',
+  'tag.subscribed': '🔔 Subscribed to {tag}',
+  'tag.unsubscribed': '🔕 Unsubscribed from {tag}',
+  'tag.subscription_error': '❌ Could not update subscription',
+  'tag.mine_title': '⭐ My Hashtags',
+  'tag.mine_empty': 'You are not subscribed to any hashtags yet. Open a tag and tap Subscribe.',
+  'tag.mine_about': 'You get a notification when a new confession with one of these tags is published:',
+  'notify.hashtag': '🏷️ New confession in {tags}:\n\n#{number} — {preview}',
+
+  // Search
+  'search.usage': '🔎 *Search Confessions*\n\nType keywords, #hashtags or a number range, for example:\n`exam stress #study`\n`100-200`',
+  'search.results': '🔎 Results for "{query}" ({count})',
+  'search.empty': 'Nothing found. Try other words or a wider number range.',
+  'search.expired': 'Search expired — please search again',
+
+  // Sending and editing confessions
+  'confession.prompt': '✍️ *Send Your Confession*\n\nType your confession below (max 1000 characters), or send a photo, voice note, video or document with an optional caption:\n\nYou can add hashtags like #love #study #funny\n\nSend /cancel to stop.',
+  'confession.resubmit_prompt': '✏️ *Edit & Resubmit*\n\nSend the edited version of your confession (max 1000 characters). If the original had media, sending only text keeps it with your new caption.\n\nSend /cancel to stop.',
+  'confession.too_short': '❌ Confession too short. Minimum 5 characters.',
+  'confession.too_long': '❌ Confession too long. Maximum 1000 characters.',
+  'confession.caption_too_short': '❌ Caption too short. Minimum 5 characters, or send the media without a caption.',
+  'confession.caption_too_long': '❌ Caption too long. Maximum 1000 characters.',
+  'confession.already_followed_up': '❌ That confession was already resubmitted or appealed.',
+  'confession.auto_rejected': '❌ *Confession Not Submitted*\n\n{reason}\n\nPlease edit it and try again.',
+  'confession.submitted': '✅ *Confession Submitted!*\n\nYour confession is under review. You\'ll be notified when approved.',
+  'confession.error': '❌ Error submitting confession. Please try again.',
+  'edit.prompt': '✏️ Edit Confession\n\nCurrent text:\n\n{text}\n\nSend the new text (max 1000 characters):',
+  'edit.no_caption': '(no caption)',
+  'edit.rejected': '❌ Edit not saved. {reason}',
+  'edit.not_found': '❌ Confession not found.',
+  'edit.claimed': '❌ Edit not saved: an admin is reviewing this confession right now. Please try again in a few minutes.',
+  'edit.reviewed': '❌ Edit not saved: this confession has already been reviewed.',
+  'edit.saved': '✅ Confession updated. It is still waiting for review.',
+  'edit.error': '❌ Error updating confession. Please try again.',
+
+  // My Confessions
+  'mine.title': '📂 My Confessions',
+  'mine.empty': 'You haven\'t sent any confessions yet.',
+  'status.pending': '⏳ Pending review',
+  'status.scheduled': '🗓 Approved, waiting to be posted',
+  'status.approved': '✅ Published',
+  'status.rejected': '❌ Rejected',
+  'status.withdrawn': '↩️ Withdrawn',
+  'appeal.status.pending': 'pending',
+  'appeal.status.upheld': 'upheld',
+  'appeal.status.overturned': 'overturned',
+  'mine.sent': 'Sent: {date}',
+  'mine.comments': '💬 {count} comments',
+  'mine.edited': 'edited',
+  'mine.reason': 'Reason: {reason}',
+  'mine.appeal': 'Appeal: {status}',
+  'mine.edit_button': '✏️ Edit {position}',
+  'mine.withdraw_button': '↩️ Withdraw {position}',
+  'mine.comments_button': '💬 Comments {position}',
+  'mine.resubmit_button': '✏️ Resubmit {position}',
+  'mine.appeal_button': '⚖️ Appeal {position}',
+  'mine.not_found': '❌ Confession not found',
+  'mine.reviewed': 'This confession has already been reviewed',
+  'mine.withdrawn': '↩️ Confession withdrawn',
+  'mine.withdraw_error': '❌ Withdraw failed',
+  'mine.claimed': 'An admin is reviewing this confession right now, so it can\'t be edited',
+
+  // Resubmissions and appeals
+  'appeal.cannot_resubmit': '❌ This confession can no longer be resubmitted',
+  'appeal.cannot_appeal': '❌ This confession can no longer be appealed',
+  'appeal.original': 'Your original confession — copy it and edit:\n\n{text}',
+  'appeal.prompt': '⚖️ *Appeal Rejection*\n\nRejection reason: {reason}\n\nTell the admins why this should be reconsidered (max {max} characters):',
+  'appeal.length': '❌ Please explain your appeal in 5-{max} characters.',
+  'appeal.submitted': '✅ Appeal submitted. An admin will review it and you will be notified of the outcome.',
+  'appeal.error': '❌ Error submitting appeal. Please try again.',
+
+  // Reporting confessions and comments
+  'report.category.harassment': '😡 Harassment or bullying',
+  'report.category.hate': '🚫 Hate speech',
+  'report.category.personal': '🔐 Personal information',
+  'report.category.spam': '📢 Spam',
+  'report.category.other': '❓ Something else',
+  'report.not_found': '❌ Content not found',
+  'report.already_hidden': 'This has already been hidden',
+  'report.prompt_confession': '🚩 Report confession\n\n"{preview}"\n\nWhy are you reporting it?',
+  'report.prompt_comment': '🚩 Report comment\n\n"{preview}"\n\nWhy are you reporting it?',
+  'report.cancelled': 'Report cancelled.',
+  'report.duplicate': 'You have already reported this',
+  'report.sent': '✅ Thanks — your report was sent to the moderators.',
+  'report.done': '🚩 Reported',
+  'report.error': '❌ Report failed',
+
+  // Comments
+  'comments.title': '💬 Comments for Confession #{number}',
+  'comments.locked': '🔒 Comments are locked.',
+  'comments.locked_here': '🔒 Comments on this confession are locked.',
+  'comments.muted': '🔇 You are muted from commenting until {until}.',
+  'comments.empty': 'No comments yet. Be the first to comment!',
+  'comments.total_newest': 'Total Comments: {count} · Sorted by newest',
+  'comments.total_top': 'Total Comments: {count} · Sorted by top',
+  'comments.reply': '{count} reply',
+  'comments.replies': '{count} replies',
+  'comments.hidden_reports': '🙈 This comment was hidden after reports.',
+  'comments.hidden_moderator': '🙈 This comment was hidden by a moderator.',
+  'comments.confession_hidden': '🙈 This confession was hidden after reports from readers.',
+  'comments.hidden_closed': '🙈 This confession was hidden after reports, so it no longer takes comments.',
+  'comments.error': '❌ Error loading comments.',
+  'comments.not_found': '❌ Comment not found.',
+  'comments.thread': '🧵 *Thread*',
+  'comments.no_replies': 'No replies yet. Be the first to reply!',
+  'comments.reply_count': 'Replies: {count}',
+  'comments.replies_error': '❌ Error loading replies.',
+  'comments.prompt': '📝 *Add Comment*\n\nType your comment for this confession:\n\nSend /cancel to stop.',
+  'comments.reply_prompt': '↩️ *Reply to Comment*\n\nType your reply:\n\nSend /cancel to stop.',
+  'comments.too_short': '❌ Comment too short. Minimum 3 characters.',
+  'comments.too_long': '❌ Comment too long. Maximum {max} characters.',
+  'comments.parent_gone': '❌ The comment you are replying to no longer exists.',
+  'comments.added': '✅ Comment added successfully!',
+  'comments.reply_added': '✅ Reply added successfully!',
+  'comments.add_error': '❌ Error adding comment.',
+  'button.reply': '↩️ Reply',
+  'button.sort_newest': '🆕 Newest',
+  'button.sort_top': '🔝 Top',
+  'button.add_comment': '📝 Add Comment',
+  'button.refresh': '🔄 Refresh',
+  'button.report_confession': '🚩 Report Confession',
+  'button.earlier': '⬅️ Earlier',
+  'button.later': 'Later ➡️',
+  'button.back_to_comments': '🔙 Back to Comments',
+
+  // Comment notifications and votes
+  'notify.reply': '↩️ {name} replied to your comment on Confession #{number}:\n\n"{preview}"',
+  'notify.comment': '💬 {name} commented on your Confession #{number}:\n\n"{preview}"',
+  'vote.not_found': '❌ Comment not found',
+  'vote.own': '❌ You cannot vote on your own comment',
+  'vote.up': '👍 Upvoted',
+  'vote.down': '👎 Downvoted',
+  'vote.removed': 'Vote removed',
+  'vote.error': '❌ Vote failed',
+
+  // Notices from admins
+  'notify.muted': '🔇 A moderator muted you from commenting for {duration} (until {until}).',
+  'notify.admin_message': '📩 *Admin Message*\n\n{text}',
+  'notify.broadcast': '📢 *Broadcast Message*\n\n{message}',
+
+  // Reactions and errors
+  'reaction.added': 'You reacted {reaction}',
+  'reaction.removed': 'Reaction removed',
+  'reaction.error': '❌ Reaction failed',
+  'common.error': '❌ An error occurred. Please try again.'
+};
@@ -0,0 +1,49 @@
+// ==================== INTERFACE LANGUAGES ====================
+// Message catalogs keyed by dotted names ("menu.send"). Catalogs may leave keys
+// out; a missing key falls back to English, and to the key itself as a last resort.
+// Parameters are filled in from `{name}` placeholders.
+
+const CATALOGS = {
+  en: require('./en'),
+  am: require('./am'),
+  om: require('./om')
+};
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALES = {
+  en: '🇬🇧 English',
+  am: '🇪🇹 አማርኛ',
+  om: '🇪🇹 Afaan Oromoo'
+};
+
+function isLocale(locale) {
+  return Object.prototype.hasOwnProperty.call(CATALOGS, locale);
+}
+
+// The profile's choice, else the Telegram app language when we support it
+function resolveLocale(profile, languageCode) {
+  if (isLocale(profile?.locale)) return profile.locale;
+  return isLocale(languageCode) ? languageCode : DEFAULT_LOCALE;
+}
+
+function t(locale, key, params = {}) {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  const template = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Every language's version of a key, so reply-keyboard buttons match whatever
+// language the keyboard was sent in
+function allTranslations(key) {
+  return [...new Set(Object.keys(CATALOGS).map(locale => t(locale, key)))];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  isLocale,
+  resolveLocale,
+  t,
+  allTranslations
+};
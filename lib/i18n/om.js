@@ -0,0 +1,347 @@
+// Afaan Oromo catalog; missing keys fall back to English
+module.exports = {
+  // Reply keyboard
+  'menu.send': '📝 Icciitii Ergi',
+  'menu.profile': '👤 Piroofaayilii Koo',
+  'menu.trending': '🔥 Kan Beekaman',
+  'menu.checkin': '🎯 Galmee Guyyaa',
+  'menu.hashtags': '🏷️ Haashtaagota',
+  'menu.achievements': '🏆 Milkaa\'ina',
+  'menu.settings': '⚙️ Qindaa\'ina',
+  'menu.about': 'ℹ️ Waa\'ee Keenya',
+  'menu.browse': '🔍 Fayyadamtoota Ilaali',
+  'menu.rules': '📌 Seerota',
+  'menu.my_confessions': '📂 Icciitii Koo',
+  'menu.search': '🔎 Barbaadi',
+
+  // Shared inline buttons
+  'button.send_confession': '📝 Icciitii Ergi',
+  'button.daily_checkin': '🎯 Galmee Guyyaa',
+  'button.browse_users': '🔍 Fayyadamtoota Ilaali',
+  'button.back_to_menu': '🔙 Gara Baafataatti',
+  'button.continue': 'Itti Fufi',
+  'button.set_username': '📝 Maqaa Fayyadamaa Qindeessi',
+  'button.set_bio': '📝 Waa\'ee Koo Qindeessi',
+  'button.followers': '👥 Hordoftoota',
+  'button.following': '👥 Kanneen Ani Hordofu',
+  'button.view_achievements': '🏆 Milkaa\'ina Ilaali',
+  'button.my_hashtags': '⭐ Haashtaagota Koo',
+  'button.follow': '➕ Hordofi',
+  'button.following_on': '✅ Hordofaa jirta',
+  'button.view_profile': '👤 Piroofaayilii Ilaali',
+  'button.confession': '💬 Icciitii #{number}',
+  'button.newer': '⬅️ Haaraa',
+  'button.older': 'Durii ➡️',
+  'button.subscribe': '🔔 Galmaa\'i',
+  'button.unsubscribe': '🔕 Galmee Haqi',
+  'button.view_comment': '💬 Ilaali & Yaada Kenni',
+  'button.previous': '⬅️ Duraa',
+  'button.next': 'Itti Aanu ➡️',
+  'button.new_search': '🔎 Barbaacha Haaraa',
+  'button.send_another': '📝 Kan Biraa Ergi',
+  'button.resubmit': '✏️ Sirreessi & Ergi',
+  'button.appeal': '⚖️ Iyyadhu',
+  'button.rules': '📌 Seerota',
+  'button.my_confessions': '📂 Icciitii Koo',
+  'button.cancel': '✖️ Haqi',
+  'button.view': '💬 Ilaali',
+
+  // Main menu
+  'main.title': '🤫 *JU Confession Bot*',
+  'main.profile': '👤 Piroofaayilii: {username}',
+  'main.not_set': 'Hin qindoofne',
+  'main.reputation': '⭐ Beekamtii: {reputation}',
+  'main.streak': '🔥 Walitti aansaa: guyyaa {days}',
+  'main.bio': '📝 Waa\'ee koo: {bio}',
+  'main.choose': 'Armaan gadii keessaa tokko filadhu:',
+
+  'welcome.text': '🤫 *Baga gara JU Confession Bot dhuftan!*\n\nIcciitii kee natti ergi; maqaa kee osoo hin beeksisin bulchitootaaf dhiyaata.\n\nEenyummaan kee gonkumaa hin mul\'atu!',
+
+  'rules.text': '📌 *Seerota Icciitii*\n\n✅ Kabaja qabaadhu\n✅ Namatti haleeluun hin jiru\n✅ Beeksisni fi ergaan gatii hin qabne hin jiru\n✅ Eenyummaa hin ibsin\n✅ Haasaan jibbaa hin jiru\n✅ Qabiyyeen seeraan ala hin jiru\n✅ Dararaan hin jiru\n✅ Haashtaagota sirrii fayyadami',
+
+  'about.text': 'ℹ️ *Waa\'ee Keenya*\n\nKun waltajjii barattoota JU itti icciitii isaanii maqaa malee qoodanii dha.\n\nTajaajiloota:\n• Icciitii maqaa malee\n• Mirkaneessa bulchitootaa\n• Piroofaayilii fayyadamaa\n• Tajaajila hawaasaa\n• Yaada kennuu\n• Qabxii beekamtii\n• Milkaa\'ina\n• Galmee guyyaa\n\n%100 dhuunfaa fi nageenya qabu.',
+
+  // Confession outcome notices
+  'notify.approved': '🎉 *Icciitiin kee #{number} mirkanaa\'eera!*\n\nChaanaalicha irratti maxxanfameera.\n\n⭐ +10 qabxii beekamtii',
+  'notify.appeal_overturned': '⚖️ *Iyyannoon kee fudhatameera*\n\nIcciitiin kee irra deebi\'amee ilaalamee mirkanaa\'eera; maxxansuuf eeggachaa jira.',
+  'notify.appeal_upheld': '⚖️ *Iyyannoon kee hin fudhatamne*\n\nMurteen jiraachaa jira. Sababa: {reason}',
+  'notify.rejected': '❌ *Icciitiin kee hin mirkanoofne*\n\nSababa: {reason}\n\nSirreessitee irra deebitee erguu, yookaan dogoggora jettee yoo yaadde iyyachuu dandeessa.',
+  'notify.edit_resubmit': '✏️ Sirreessi & Ergi',
+  'notify.appeal': '⚖️ Iyyadhu',
+
+  // Language picker
+  'language.title': '🌐 *Afaan*\n\nAfaan baafataa fi ergaaleef filadhu:',
+  'language.button': '🌐 Afaan',
+  'language.changed': '✅ Afaan gara Afaan Oromootti jijjiirameera.',
+
+  // Shared replies, flows and rate limits
+  'common.blocked': '❌ Herregni kee bulchaan dhorkameera.',
+  'flow.timed_out': '⌛ Yeroon {flow} darbeera. Yeroo qophoofte irra deebi\'ii jalqabi.',
+  'flow.nothing_to_cancel': 'Wanti haqamu hin jiru.',
+  'flow.cancelled': '✖️ {flow} haqameera.',
+  'flow.appeal': 'Iyyannoo',
+  'flow.broadcast': 'Beeksisa',
+  'flow.block_user': 'Dhorkuu',
+  'flow.unblock_user': 'Dhorkaa kaasuu',
+  'flow.username': 'Jijjiirama maqaa fayyadamaa',
+  'flow.bio': 'Jijjiirama waa\'ee koo',
+  'flow.search': 'Barbaacha',
+  'flow.confession_edit': 'Sirreessa',
+  'flow.confession': 'Icciitii',
+  'flow.rejection': 'Diduu',
+  'flow.comment': 'Yaada',
+  'flow.comment_moderation': 'To\'annoo yaadaa',
+  'flow.admin_message': 'Ergaa',
+  'ratelimit.wait': '⏳ {actions} baay\'ee heddu. Maaloo {wait} eegiitii irra deebi\'ii yaali.',
+  'ratelimit.confession': 'Icciitiiwwan',
+  'ratelimit.rejected': 'Icciitiiwwan didaman',
+  'ratelimit.comment': 'Yaadota',
+  'ratelimit.follow': 'Hordoffiiwwan',
+  'ratelimit.checkin': 'Galmeewwan guyyaa',
+  'ratelimit.report': 'Gabaasota',
+  'time.second': 'sekondii {count}',
+  'time.seconds': 'sekondii {count}',
+  'time.minute': 'daqiiqaa {count}',
+  'time.minutes': 'daqiiqaa {count}',
+  'common.anonymous': 'Maqaa malee',
+  'common.error': '❌ Dogoggorri uumameera. Maaloo irra deebi\'ii yaali.',
+
+  // Achievements and check-in
+  'achievement.title': '🏆 *Milkaa\'ina Kee*',
+  'achievement.none': 'Hanga ammaatti milkaa\'inni hin jiru. Milkaa\'ina banuuf bot kana fayyadamuu jalqabi!',
+  'achievement.unlocked': '🎉 Milkaa\'inni Haaraan Baname!\n\n{name}!',
+  'achievement.first_confession': 'Icciitii Jalqabaa',
+  'achievement.ten_confessions': 'Ogeessa Icciitii (10)',
+  'achievement.fifty_followers': 'Fayyadamaa Beekamaa (hordoftoota 50)',
+  'achievement.week_streak': 'Torban Walitti Aansuu',
+  'checkin.already': '✅ Har\'a duraan galmooftee jirta!\n\nWalitti aansaa amma: guyyaa {days}',
+  'checkin.done': '🎉 Galmee Guyyaa!\n\n✅ +2 qabxii beekamtii\nWalitti aansaa amma: guyyaa {days}',
+
+  // Profiles, following and browsing users
+  'profile.title': '👤 *Piroofaayilii Kee*',
+  'profile.other_title': '👤 *Piroofaayilii*',
+  'profile.username': '**Maqaa fayyadamaa:** {username}',
+  'profile.bio': '**Waa\'ee koo:** {bio}',
+  'profile.no_bio': 'Ibsi hin jiru',
+  'profile.followers': '**Hordoftoota:** {count}',
+  'profile.following': '**Kan hordofu:** {count}',
+  'profile.total_confessions': '**Icciitii waliigalaa:** {count}',
+  'profile.confessions': '**Icciitiiwwan:** {count}',
+  'profile.reputation': '**Beekamtii:** {reputation}',
+  'profile.achievements': '**Milkaa\'ina:** {count}',
+  'profile.streak': '**Walitti aansaa:** guyyaa {days}',
+  'profile.member_since': '**Miseensa ta\'ee kaasee:** {date}',
+  'followers.none': '👥 *Hordoftoota Kee*\n\nHanga ammaatti hordoftoonni hin jiran.',
+  'followers.title': '👥 *Hordoftoota Kee ({count})*',
+  'following.none': '👥 *Kanneen Ati Hordoftu*\n\nHanga ammaatti nama tokkollee hin hordoftu.',
+  'following.title': '👥 *Kanneen Ati Hordoftu ({count})*',
+  'browse.title': '🔍 *Fayyadamtoota Ilaali*',
+  'browse.empty': 'Fayyadamaan tokkollee hin argamne.',
+  'browse.user': '• @{name} ({reputation}⭐, hordoftoota {followers})',
+  'browse.view': '👤 @{name} Ilaali',
+  'follow.self': '❌ Of hordofuu hin dandeessu',
+  'follow.done': '✅ Hordofaa jirta!',
+  'follow.error': '❌ Fayyadamaa hordofuun hin danda\'amne',
+  'follow.unfollowed': '❌ Hordofuu dhiifteetta',
+  'follow.unfollow_error': '❌ Hordofuu dhiisuun hin danda\'amne',
+  'notify.follower': '👥 {name} si hordofuu jalqabeera.',
+  'notify.someone': 'Namni tokko',
+  'username.prompt': '📝 *Maqaa Fayyadamaa Qindeessi*\n\nMaqaa fayyadamaa barbaaddu galchi (@ malee):\n\nQubee 3-20, qubee/lakkoofsa/sarara jalaa qofa.',
+  'username.invalid': '❌ Maqaan fayyadamaa sirrii miti. Qubee 3-20 fayyadami (qubee, lakkoofsa fi sarara jalaa qofa).',
+  'username.taken': '❌ Maqaan kun qabameera. Kan biraa filadhu.',
+  'username.updated': '✅ Maqaan fayyadamaa gara @{username} jijjiirameera',
+  'bio.prompt': '📝 *Waa\'ee Koo Qindeessi*\n\nWaa\'ee kee galchi (yoo baay\'ate qubee 100):',
+  'bio.too_long': '❌ Ibsichi baay\'ee dheeraa dha. Yoo baay\'ate qubee 100.',
+  'bio.updated': '✅ Waa\'een kee milkaa\'inaan jijjiirameera!',
+
+  // Trending and hashtags
+  'period.today': 'Har\'a',
+  'period.week': 'Torban Kana',
+  'period.month': 'Ji\'a Kana',
+  'period.all': 'Yeroo Hunda',
+  'trending.title': '🔥 *Icciitiiwwan Beekaman — {period}*',
+  'trending.empty': 'Hanga ammaatti icciitiin beekame hin jiru. Jalqaba ati ergi!',
+  'trending.counts': 'Yaadota: {comments} · Deebii: {reactions}',
+  'hashtags.title': '🏷️ *Haashtaagota Beekaman — {period}*',
+  'hashtags.empty': 'Yeroo kana keessatti haashtaagni hin jiru. Icciitii kee keessatti #haashtaagota fayyadami!',
+  'hashtags.uses': '{tag} (yeroo {count})',
+  'hashtags.tap': 'Icciitiiwwan isaa ilaaluuf haashtaaga tuqi.',
+
+  // Settings
+  'settings.title': '⚙️ *Qindaa\'ina*\n\nFilannoo bot kee qindeessi:\n\n*Beeksisota*',
+  'settings.type.approved': 'Icciitiin mirkanaa\'uu',
+  'settings.type.comment': 'Yaadota haaraa icciitii koo irratti',
+  'settings.type.reply': 'Deebii yaadota kootiif',
+  'settings.type.follower': 'Hordoftoota haaraa',
+  'settings.type.hashtag': 'Maxxansa haaraa haashtaagota koo keessatti',
+  'settings.type.achievement': 'Milkaa\'ina',
+  'settings.mode.instant': 'Battaluma',
+  'settings.mode.instant_about': 'beeksisa hunda battaluma',
+  'settings.mode.hourly': 'Cuunfaa sa\'aatii',
+  'settings.mode.hourly_about': 'sa\'aatiitti cuunfaa tokko',
+  'settings.mode.daily': 'Cuunfaa guyyaa',
+  'settings.mode.daily_about': 'guyyaatti cuunfaa tokko',
+  'settings.mode.off': 'Cufaa',
+  'settings.mode.off_about': 'beeksisni hin jiru',
+  'settings.delivery': '*Akkaataa geessuu:* {mode} — {description}',
+  'settings.delivery_button': '📬 Akkaataa geessuu: {mode}',
+  'settings.tap': 'Banuu ykn cufuuf beeksisa armaan gadii tuqi.',
+  'settings.switched_on': '🔔 {type} banameera',
+  'settings.switched_off': '🔕 {type} cufameera',
+  'settings.error': '❌ Qindaa\'ina jijjiiruun hin danda\'amne',
+  'settings.unknown': '❌ Qindaa\'ina hin beekamne',
+
+  // Notification digests
+  'digest.title': '📬 Cuunfaa beeksisota kee ({count})',
+  'digest.more': '…fi kan biraa {count}.',
+
+  // Hashtag pages and subscriptions
+  'tag.page': '(fuula {page})',
+  'tag.empty': 'Haashtaaga kanaan hanga ammaatti icciitiin maxxanfame hin jiru.',
+  'tag.no_more': 'Icciitiin biraa hin jiru.',
+  'tag.counts': '💬 {comments} · deebii {reactions}',
+  'tag.usage': 'Itti fayyadama: /tag #haashtaaga',
+  'tag.subscribed': '🔔 {tag}f galmoofteetta',
+  'tag.unsubscribed': '🔕 Galmee {tag} haqxeetta',
+  'tag.subscription_error': '❌ Galmee jijjiiruun hin danda\'amne',
+  'tag.mine_title': '⭐ Haashtaagota Koo',
+  'tag.mine_empty': 'Hanga ammaatti haashtaaga tokkoofillee hin galmoofne. Haashtaaga bantee Galmaa\'i tuqi.',
+  'tag.mine_about': 'Icciitiin haaraan haashtaagota kana keessaa tokko qabu yeroo maxxanfamu beeksisni siif dhufa:',
+  'notify.hashtag': '🏷️ Icciitii haaraa {tags} keessatti:\n\n#{number} — {preview}',
+
+  // Search
+  'search.usage': '🔎 *Icciitii Barbaadi*\n\nJecha ijoo, #haashtaagota ykn hangii lakkoofsaa barreessi, fakkeenyaaf:\n`exam stress #study`\n`100-200`',
+  'search.results': '🔎 Bu\'aa "{query}" ({count})',
+  'search.empty': 'Homtuu hin argamne. Jecha biraa ykn hangii lakkoofsaa bal\'aa yaali.',
+  'search.expired': 'Yeroon barbaachaa darbeera — maaloo irra deebi\'ii barbaadi',
+
+  // Sending and editing confessions
+  'confession.prompt': '✍️ *Icciitii Kee Ergi*\n\nIcciitii kee armaan gaditti barreessi (yoo baay\'ate qubee 1000), ykn suuraa, sagalee, viidiyoo ykn sanada ibsa filannoo wajjin ergi:\n\nHaashtaagota akka #love #study #funny dabaluu dandeessa\n\nDhaabuuf /cancel ergi.',
+  'confession.resubmit_prompt': '✏️ *Sirreessi & Ergi*\n\nIcciitii kee isa sirreeffame ergi (yoo baay\'ate qubee 1000). Kan jalqabaa miidiyaa yoo qabaate, barreeffama qofa erguun miidiyaa sana ibsa haaraa wajjin tursa.\n\nDhaabuuf /cancel ergi.',
+  'confession.too_short': '❌ Icciitiin baay\'ee gabaabaa dha. Yoo xiqqaate qubee 5.',
+  'confession.too_long': '❌ Icciitiin baay\'ee dheeraa dha. Yoo baay\'ate qubee 1000.',
+  'confession.caption_too_short': '❌ Ibsichi baay\'ee gabaabaa dha. Yoo xiqqaate qubee 5, ykn miidiyaa ibsa malee ergi.',
+  'confession.caption_too_long': '❌ Ibsichi baay\'ee dheeraa dha. Yoo baay\'ate qubee 1000.',
+  'confession.already_followed_up': '❌ Icciitiin kun duraan irra deebiin ergameera ykn iyyatameera.',
+  'confession.auto_rejected': '❌ *Icciitiin Hin Ergamne*\n\n{reason}\n\nMaaloo sirreessiitii irra deebi\'ii yaali.',
+  'confession.submitted': '✅ *Icciitiin Ergameera!*\n\nIcciitiin kee ilaalamaa jira. Yeroo mirkanaa\'u siif beeksifama.',
+  'confession.error': '❌ Icciitii erguun hin danda\'amne. Maaloo irra deebi\'ii yaali.',
+  'edit.prompt': '✏️ Icciitii Sirreessi\n\nBarreeffama amma jiru:\n\n{text}\n\nBarreeffama haaraa ergi (yoo baay\'ate qubee 1000):',
+  'edit.no_caption': '(ibsi hin jiru)',
+  'edit.rejected': '❌ Sirreessi hin olkaa\'amne. {reason}',
+  'edit.not_found': '❌ Icciitiin hin argamne.',
+  'edit.claimed': '❌ Sirreessi hin olkaa\'amne: bulchaan tokko amma icciitii kana ilaalaa jira. Maaloo daqiiqaa muraasa booda irra deebi\'ii yaali.',
+  'edit.reviewed': '❌ Sirreessi hin olkaa\'amne: icciitiin kun duraan ilaalameera.',
+  'edit.saved': '✅ Icciitiin sirreeffameera. Ammas ilaalamuuf eeggachaa jira.',
+  'edit.error': '❌ Icciitii sirreessuun hin danda\'amne. Maaloo irra deebi\'ii yaali.',
+
+  // My Confessions
+  'mine.title': '📂 Icciitii Koo',
+  'mine.empty': 'Hanga ammaatti icciitii tokkollee hin ergine.',
+  'status.pending': '⏳ Ilaalamaa jira',
+  'status.scheduled': '🗓 Mirkanaa\'eera, maxxansuuf eeggachaa jira',
+  'status.approved': '✅ Maxxanfameera',
+  'status.rejected': '❌ Didameera',
+  'status.withdrawn': '↩️ Deebi\'eera',
+  'appeal.status.pending': 'ilaalamaa jira',
+  'appeal.status.upheld': 'murteen jiraateera',
+  'appeal.status.overturned': 'fudhatameera',
+  'mine.sent': 'Kan ergame: {date}',
+  'mine.comments': '💬 yaadota {count}',
+  'mine.edited': 'sirreeffameera',
+  'mine.reason': 'Sababa: {reason}',
+  'mine.appeal': 'Iyyannoo: {status}',
+  'mine.edit_button': '✏️ Sirreessi {position}',
+  'mine.withdraw_button': '↩️ Deebisi {position}',
+  'mine.comments_button': '💬 Yaadota {position}',
+  'mine.resubmit_button': '✏️ Irra Deebi\'ii Ergi {position}',
+  'mine.appeal_button': '⚖️ Iyyadhu {position}',
+  'mine.not_found': '❌ Icciitiin hin argamne',
+  'mine.reviewed': 'Icciitiin kun duraan ilaalameera',
+  'mine.withdrawn': '↩️ Icciitiin deebi\'eera',
+  'mine.withdraw_error': '❌ Deebisuun hin danda\'amne',
+  'mine.claimed': 'Bulchaan tokko amma icciitii kana ilaalaa waan jiruuf sirreessuun hin danda\'amu',
+
+  // Resubmissions and appeals
+  'appeal.cannot_resubmit': '❌ Icciitii kana kana booda irra deebi\'anii erguun hin danda\'amu',
+  'appeal.cannot_appeal': '❌ Icciitii kana irratti kana booda iyyachuun hin danda\'amu',
+  'appeal.original': 'Icciitii kee isa jalqabaa — garagalchiitii sirreessi:\n\n{text}',
+  'appeal.prompt': '⚖️ *Murtee Didaa Iyyachuu*\n\nSababa didameef: {reason}\n\nMaaliif irra deebi\'amee ilaalamuu akka qabu bulchitootatti himi (yoo baay\'ate qubee {max}):',
+  'appeal.length': '❌ Maaloo iyyannoo kee qubee 5-{max} keessatti ibsi.',
+  'appeal.submitted': '✅ Iyyannoon kee ergameera. Bulchaan tokko ni ilaala, bu\'aan isaas siif beeksifama.',
+  'appeal.error': '❌ Iyyannoo erguun hin danda\'amne. Maaloo irra deebi\'ii yaali.',
+
+  // Reporting confessions and comments
+  'report.category.harassment': '😡 Dararaa ykn doorsisa',
+  'report.category.hate': '🚫 Haasaa jibbaa',
+  'report.category.personal': '🔐 Odeeffannoo dhuunfaa',
+  'report.category.spam': '📢 Ergaa gatii hin qabne',
+  'report.category.other': '❓ Wanta biraa',
+  'report.not_found': '❌ Qabiyyeen hin argamne',
+  'report.already_hidden': 'Kun duraan dhokfameera',
+  'report.prompt_confession': '🚩 Icciitii gabaasi\n\n"{preview}"\n\nMaaliif gabaasta?',
+  'report.prompt_comment': '🚩 Yaada gabaasi\n\n"{preview}"\n\nMaaliif gabaasta?',
+  'report.cancelled': 'Gabaasni haqameera.',
+  'report.duplicate': 'Kana duraan gabaaftee jirta',
+  'report.sent': '✅ Galatoomi — gabaasni kee to\'attootaaf ergameera.',
+  'report.done': '🚩 Gabaafameera',
+  'report.error': '❌ Gabaasuun hin danda\'amne',
+
+  // Comments
+  'comments.title': '💬 Yaadota Icciitii #{number}',
+  'comments.locked': '🔒 Yaadonni cufamaniiru.',
+  'comments.locked_here': '🔒 Icciitii kana irratti yaadonni cufamaniiru.',
+  'comments.muted': '🔇 Hanga {until}tti yaada kennuu irraa dhorkamteetta.',
+  'comments.empty': 'Hanga ammaatti yaadni hin jiru. Jalqaba ati yaada kenni!',
+  'comments.total_newest': 'Yaadota waliigalaa: {count} · Haaraa dursee',
+  'comments.total_top': 'Yaadota waliigalaa: {count} · Filatamaa dursee',
+  'comments.reply': 'deebii {count}',
+  'comments.replies': 'deebii {count}',
+  'comments.hidden_reports': '🙈 Yaadni kun gabaasa booda dhokfameera.',
+  'comments.hidden_moderator': '🙈 Yaadni kun to\'ataan dhokfameera.',
+  'comments.confession_hidden': '🙈 Icciitiin kun gabaasa dubbistootaa booda dhokfameera.',
+  'comments.hidden_closed': '🙈 Icciitiin kun gabaasa booda waan dhokfameef yaada hin fudhatu.',
+  'comments.error': '❌ Yaadota fe\'uun hin danda\'amne.',
+  'comments.not_found': '❌ Yaadni hin argamne.',
+  'comments.thread': '🧵 *Marii*',
+  'comments.no_replies': 'Hanga ammaatti deebiin hin jiru. Jalqaba ati deebisi!',
+  'comments.reply_count': 'Deebii: {count}',
+  'comments.replies_error': '❌ Deebii fe\'uun hin danda\'amne.',
+  'comments.prompt': '📝 *Yaada Kenni*\n\nIcciitii kanaaf yaada kee barreessi:\n\nDhaabuuf /cancel ergi.',
+  'comments.reply_prompt': '↩️ *Yaadaaf Deebisi*\n\nDeebii kee barreessi:\n\nDhaabuuf /cancel ergi.',
+  'comments.too_short': '❌ Yaadni baay\'ee gabaabaa dha. Yoo xiqqaate qubee 3.',
+  'comments.too_long': '❌ Yaadni baay\'ee dheeraa dha. Yoo baay\'ate qubee {max}.',
+  'comments.parent_gone': '❌ Yaadni ati deebiftuuf kana booda hin jiru.',
+  'comments.added': '✅ Yaadni kee milkaa\'inaan dabalameera!',
+  'comments.reply_added': '✅ Deebiin kee milkaa\'inaan dabalameera!',
+  'comments.add_error': '❌ Yaada dabaluun hin danda\'amne.',
+  'button.reply': '↩️ Deebisi',
+  'button.sort_newest': '🆕 Haaraa',
+  'button.sort_top': '🔝 Filatamaa',
+  'button.add_comment': '📝 Yaada Kenni',
+  'button.refresh': '🔄 Haaromsi',
+  'button.report_confession': '🚩 Icciitii Gabaasi',
+  'button.earlier': '⬅️ Duraa',
+  'button.later': 'Booda ➡️',
+  'button.back_to_comments': '🔙 Gara Yaadotaatti',
+
+  // Comment notifications and votes
+  'notify.reply': '↩️ {name} yaada ati Icciitii #{number} irratti kenniteef deebiseera:\n\n"{preview}"',
+  'notify.comment': '💬 {name} Icciitii kee #{number} irratti yaada kenneera:\n\n"{preview}"',
+  'vote.not_found': '❌ Yaadni hin argamne',
+  'vote.own': '❌ Yaada kee irratti sagalee kennuu hin dandeessu',
+  'vote.up': '👍 Jaallatteetta',
+  'vote.down': '👎 Hin jaallanne',
+  'vote.removed': 'Sagaleen kee haqameera',
+  'vote.error': '❌ Sagalee kennuun hin danda\'amne',
+
+  // Notices from admins
+  'notify.muted': '🔇 To\'ataan tokko {duration}f yaada kennuu irraa si dhorkeera (hanga {until}).',
+  'notify.admin_message': '📩 *Ergaa Bulchaa*\n\n{text}',
+  'notify.broadcast': '📢 *Beeksisa*\n\n{message}',
+
+  // Reactions
+  'reaction.added': '{reaction} jetteetta',
+  'reaction.removed': 'Deebiin kee haqameera',
+  'reaction.error': '❌ Deebii kennuun hin danda\'amne'
+};
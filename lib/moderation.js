@@ -0,0 +1,153 @@
+// ==================== AUTO MODERATION RULES ====================
+// Rules run against every submission before it reaches the admins.
+// Each rule has a type (how it matches), an action taken when it matches and a
+// user-facing reason:
+//   reject - the submission is refused and the user sees `reason`
+//   flag   - the submission goes to admins with a highlighted warning
+//   pass   - the match is recorded but has no effect
+
+const RULE_TYPES = ['banned_words', 'regex', 'links', 'mentions', 'spam'];
+const RULE_ACTIONS = ['reject', 'flag', 'pass'];
+
+const DEFAULT_RULES = [
+  {
+    id: 'banned_words_en',
+    type: 'banned_words',
+    name: 'Banned words (English)',
+    action: 'reject',
+    reason: 'Your confession contains language that is not allowed.',
+    enabled: true,
+    config: { language: 'en', words: [] }
+  },
+  {
+    id: 'banned_words_am',
+    type: 'banned_words',
+    name: 'Banned words (Amharic)',
+    action: 'reject',
+    reason: 'Your confession contains language that is not allowed.',
+    enabled: true,
+    config: { language: 'am', words: [] }
+  },
+  {
+    id: 'links',
+    type: 'links',
+    name: 'Links',
+    action: 'flag',
+    reason: 'Links are not allowed in confessions.',
+    enabled: true,
+    config: {}
+  },
+  {
+    id: 'mentions',
+    type: 'mentions',
+    name: '@mentions',
+    action: 'flag',
+    reason: 'Mentioning other accounts is not allowed.',
+    enabled: true,
+    config: {}
+  },
+  {
+    id: 'spam',
+    type: 'spam',
+    name: 'Caps / emoji spam',
+    action: 'flag',
+    reason: 'Your confession looks like spam (too many capitals, emojis or repeated characters).',
+    enabled: true,
+    config: { maxCapsRatio: 0.7, minLetters: 20, maxEmojis: 15, maxEmojiRatio: 0.3, maxRepeatedChars: 10 }
+  }
+];
+
+const LINK_REGEX = /(https?:\/\/|www\.)\S+|\bt\.me\/\S+|\b[a-z0-9-]+\.(com|net|org|io|me|et|ly|gg|xyz|info|link|site)\b/i;
+const MENTION_REGEX = /(^|[^\w@])@[a-zA-Z][a-zA-Z0-9_]{3,31}\b/;
+const EMOJI_REGEX = /\p{Extended_Pictographic}/gu;
+
+// Lower-cased, NFC-normalized words (works for Latin and Ethiopic scripts alike)
+function tokenize(text) {
+  return text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}_]+/gu) || [];
+}
+
+function matchBannedWords(text, { words = [] }) {
+  const haystack = ` ${tokenize(text).join(' ')} `;
+  const found = words.filter(word => {
+    const needle = tokenize(word).join(' ');
+    return needle && haystack.includes(` ${needle} `);
+  });
+  return found.length > 0 ? `banned words: ${found.join(', ')}` : null;
+}
+
+function matchRegex(text, { pattern, flags = 'i' }) {
+  try {
+    const match = text.match(new RegExp(pattern, flags.replace('g', '')));
+    return match ? `pattern matched: "${match[0]}"` : null;
+  } catch (error) {
+    return null; // An invalid stored pattern never blocks submissions
+  }
+}
+
+function matchLinks(text) {
+  const match = text.match(LINK_REGEX);
+  return match ? `link: ${match[0]}` : null;
+}
+
+function matchMentions(text) {
+  const match = text.match(MENTION_REGEX);
+  return match ? `mention: ${match[0].trim()}` : null;
+}
+
+function matchSpam(text, config) {
+  const letters = text.match(/\p{L}/gu) || [];
+  const capitals = text.match(/\p{Lu}/gu) || [];
+  const emojis = text.match(EMOJI_REGEX) || [];
+  const visible = text.replace(/\s/g, '').length;
+
+  if (letters.length >= config.minLetters && capitals.length / letters.length > config.maxCapsRatio) {
+    return `${Math.round((capitals.length / letters.length) * 100)}% capital letters`;
+  }
+  if (emojis.length > config.maxEmojis || (visible > 0 && emojis.length >= 5 && emojis.length / visible > config.maxEmojiRatio)) {
+    return `${emojis.length} emojis`;
+  }
+  if (new RegExp(`(.)\\1{${config.maxRepeatedChars - 1},}`, 'u').test(text)) {
+    return 'repeated characters';
+  }
+  return null;
+}
+
+const MATCHERS = {
+  banned_words: matchBannedWords,
+  regex: matchRegex,
+  links: matchLinks,
+  mentions: matchMentions,
+  spam: matchSpam
+};
+
+// Runs every enabled rule; reject beats flag, flag beats pass
+function moderate(text, rules) {
+  const matches = [];
+
+  for (const rule of rules) {
+    if (!rule.enabled || !MATCHERS[rule.type]) continue;
+
+    const detail = MATCHERS[rule.type](text || '', rule.config || {});
+    if (detail) {
+      matches.push({ ruleId: rule.id, name: rule.name, action: rule.action, reason: rule.reason, detail });
+    }
+  }
+
+  const rejection = matches.find(match => match.action === 'reject');
+  const flags = matches.filter(match => match.action === 'flag');
+
+  return {
+    verdict: rejection ? 'reject' : flags.length > 0 ? 'flag' : 'pass',
+    reason: rejection ? rejection.reason : null,
+    flags,
+    matches
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  RULE_ACTIONS,
+  DEFAULT_RULES,
+  tokenize,
+  moderate
+};
@@ -0,0 +1,37 @@
+// ==================== COMMENTER PSEUDONYMS ====================
+// Commenters appear under a pseudonym that is stable within one confession's
+// comments and unrelated across confessions. Each new commenter on a confession
+// takes the next free index; indexes map to animal names, with a number added
+// once every animal is taken ("Anonymous Fox", ..., "Anonymous Fox 2").
+
+const ANIMALS = [
+  'Fox', 'Owl', 'Panda', 'Koala', 'Otter', 'Lynx', 'Falcon', 'Dolphin',
+  'Tiger', 'Rabbit', 'Hedgehog', 'Penguin', 'Zebra', 'Giraffe', 'Cheetah', 'Gazelle',
+  'Raven', 'Badger', 'Lemur', 'Walrus', 'Beaver', 'Heron', 'Ibex', 'Camel'
+];
+
+const OP_BADGE = '👑 OP';
+
+// Animals are shuffled per confession so the first commenter isn't always the Fox
+function pseudonymFor(confessionId, index) {
+  let seed = 0;
+  for (const char of confessionId) {
+    seed = (seed * 31 + char.charCodeAt(0)) >>> 0;
+  }
+
+  const animal = ANIMALS[(seed + index) % ANIMALS.length];
+  const round = Math.floor(index / ANIMALS.length);
+  return round === 0 ? `Anonymous ${animal}` : `Anonymous ${animal} ${round + 1}`;
+}
+
+// How a comment's author is shown to readers
+function commentAuthorLabel(comment) {
+  const name = comment.pseudonym || 'Anonymous';
+  return comment.isOP ? `${name} ${OP_BADGE}` : name;
+}
+
+module.exports = {
+  OP_BADGE,
+  pseudonymFor,
+  commentAuthorLabel
+};
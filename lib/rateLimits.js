@@ -0,0 +1,102 @@
+// ==================== RATE LIMIT POLICIES ====================
+// Every limited action has a named token-bucket policy: a user can do it `capacity`
+// times in a row, then earns one more try every `refillMs`. Buckets are stored per
+// user and policy and updated in a transaction (see repositories/rateLimits.js).
+//
+// Policies marked `scalesWithReputation` get bigger, faster-refilling buckets as a
+// user's reputation grows. Admins can override a user's limits for one policy or for
+// all of them: `exempt` removes the limit, `strict` cuts it to a quarter.
+
+const RATE_LIMIT_POLICIES = {
+  confession: { label: 'confessions', capacity: 1, refillMs: 60 * 1000, scalesWithReputation: true },
+  // Auto-rejected submissions have their own, roomier bucket so a quick fix-and-retry
+  // doesn't wait out the confession cooldown, while repeated rejects are still capped
+  rejected: { label: 'rejected confessions', capacity: 3, refillMs: 5 * 60 * 1000, scalesWithReputation: false },
+  comment: { label: 'comments', capacity: 3, refillMs: 10 * 1000, scalesWithReputation: true },
+  follow: { label: 'follows', capacity: 10, refillMs: 60 * 1000, scalesWithReputation: true },
+  checkin: { label: 'check-ins', capacity: 3, refillMs: 20 * 1000, scalesWithReputation: false },
+  report: { label: 'reports', capacity: 5, refillMs: 15 * 60 * 1000, scalesWithReputation: false }
+};
+
+// Highest threshold first; negative reputation halves the limits
+const REPUTATION_TIERS = [
+  { minReputation: 500, multiplier: 2 },
+  { minReputation: 100, multiplier: 1.5 },
+  { minReputation: 0, multiplier: 1 },
+  { minReputation: -Infinity, multiplier: 0.5 }
+];
+
+const OVERRIDE_LEVELS = {
+  exempt: null,
+  strict: 0.25
+};
+
+// Overrides are keyed by policy name, or `all` for every policy
+const ALL_POLICIES = 'all';
+
+function isPolicy(name) {
+  return Object.prototype.hasOwnProperty.call(RATE_LIMIT_POLICIES, name);
+}
+
+function reputationMultiplier(reputation = 0) {
+  return REPUTATION_TIERS.find(tier => reputation >= tier.minReputation).multiplier;
+}
+
+// The override that applies to a policy; a policy-specific one wins over `all`
+function overrideFor(overrides, policyName) {
+  return overrides?.[policyName] || overrides?.[ALL_POLICIES] || null;
+}
+
+// Bucket size and refill rate for this user, or null when they are exempt
+function effectiveLimits(policyName, { reputation = 0, overrides = null } = {}) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  const override = overrideFor(overrides, policyName);
+  if (override && OVERRIDE_LEVELS[override] === null) return null;
+
+  let multiplier = policy.scalesWithReputation ? reputationMultiplier(reputation) : 1;
+  if (override) multiplier *= OVERRIDE_LEVELS[override];
+
+  return {
+    capacity: Math.max(1, Math.floor(policy.capacity * multiplier)),
+    refillMs: Math.round(policy.refillMs / multiplier)
+  };
+}
+
+// Tokens in a bucket at `now`; a bucket that was never used is full
+function availableTokens(bucket, limits, now) {
+  if (!bucket) return limits.capacity;
+
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  return Math.min(limits.capacity, bucket.tokens + elapsed / limits.refillMs);
+}
+
+// Outcome of spending one token: `{ allowed, tokens, retryAfterMs }`, where `tokens`
+// is what the bucket holds afterwards
+function spendToken(bucket, limits, now) {
+  const tokens = availableTokens(bucket, limits, now);
+  if (tokens >= 1) {
+    return { allowed: true, tokens: tokens - 1, retryAfterMs: 0 };
+  }
+
+  return { allowed: false, tokens, retryAfterMs: Math.ceil((1 - tokens) * limits.refillMs) };
+}
+
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  OVERRIDE_LEVELS,
+  ALL_POLICIES,
+  isPolicy,
+  overrideFor,
+  effectiveLimits,
+  availableTokens,
+  spendToken,
+  formatWait
+};
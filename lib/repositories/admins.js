@@ -0,0 +1,110 @@
+// ==================== ADMINS REPOSITORY ====================
+// `admins/{userId}` holds each admin's role. `system/admins` records which IDs
+// from ADMIN_IDS were already seeded as owners, so removing one in the bot sticks
+// while an ID added to ADMIN_IDS later still becomes an owner.
+function createAdminsRepository({ db }) {
+  const collection = () => db.collection('admins');
+  const ref = (userId) => collection().doc(userId.toString());
+  const systemRef = () => db.collection('system').doc('admins');
+
+  async function ensureOwners(ownerIds) {
+    await db.runTransaction(async (transaction) => {
+      const system = await transaction.get(systemRef());
+      const data = system.exists ? system.data() : {};
+
+      // Seeded before the IDs were recorded: those owners are already in place
+      if (data.seeded && !data.seededIds) {
+        transaction.set(systemRef(), { seededIds: ownerIds.map(String) }, { merge: true });
+        return;
+      }
+
+      const seededIds = data.seededIds || [];
+      const newIds = ownerIds.map(String).filter(userId => !seededIds.includes(userId));
+      if (newIds.length === 0) return;
+
+      newIds.forEach(userId => {
+        transaction.set(ref(userId), {
+          userId,
+          role: 'owner',
+          addedBy: 'system',
+          addedAt: new Date().toISOString()
+        });
+      });
+      transaction.set(systemRef(), {
+        seeded: true,
+        seededIds: [...seededIds, ...newIds],
+        seededAt: new Date().toISOString()
+      }, { merge: true });
+    });
+  }
+
+  async function get(userId) {
+    const doc = await ref(userId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function list() {
+    const snapshot = await collection().get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function listByRoles(roles) {
+    const snapshot = await collection().where('role', 'in', roles).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function set(userId, { role, name = null, addedBy }) {
+    const stored = {
+      userId: userId.toString(),
+      role,
+      name,
+      addedBy,
+      addedAt: new Date().toISOString()
+    };
+    await ref(userId).set(stored);
+    return stored;
+  }
+
+  // Changes a role unless that would leave nobody with the owner role
+  async function changeRole(userId, role) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(userId));
+      if (!doc.exists) return { ok: false, reason: 'missing' };
+
+      if (doc.data().role === 'owner' && role !== 'owner') {
+        const owners = await transaction.get(collection().where('role', '==', 'owner'));
+        if (owners.size <= 1) return { ok: false, reason: 'last_owner' };
+      }
+
+      transaction.update(ref(userId), { role, updatedAt: new Date().toISOString() });
+      return { ok: true, reason: null };
+    });
+  }
+
+  async function remove(userId) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(userId));
+      if (!doc.exists) return { ok: false, reason: 'missing' };
+
+      if (doc.data().role === 'owner') {
+        const owners = await transaction.get(collection().where('role', '==', 'owner'));
+        if (owners.size <= 1) return { ok: false, reason: 'last_owner' };
+      }
+
+      transaction.delete(ref(userId));
+      return { ok: true, reason: null };
+    });
+  }
+
+  return {
+    ensureOwners,
+    get,
+    list,
+    listByRoles,
+    set,
+    changeRole,
+    remove
+  };
+}
+
+module.exports = { createAdminsRepository };
@@ -0,0 +1,54 @@
+// ==================== AUDIT LOG REPOSITORY ====================
+// `audit_log/{autoId}` records one privileged action per document. Entries are
+// only ever added, never updated or deleted, so the repository exposes no way to.
+function createAuditLogRepository({ db }) {
+  const collection = () => db.collection('audit_log');
+
+  async function record(entry) {
+    const entryRef = collection().doc();
+    const stored = {
+      id: entryRef.id,
+      actorId: null,
+      actorName: null,
+      action: null,
+      targetType: null,
+      targetId: null,
+      targetUserId: null,
+      before: null,
+      after: null,
+      details: null,
+      ...entry,
+      createdAt: new Date().toISOString()
+    };
+    await entryRef.set(stored);
+    return stored;
+  }
+
+  // Newest first. Every filter is optional; `from`/`to` are ISO timestamps.
+  // firestore.indexes.json has a composite index for every combination of the
+  // actor/user/action filters with createdAt.
+  async function query({ actorId, targetUserId, action, from, to, offset = 0, limit = 20 } = {}) {
+    let queryRef = collection();
+    if (actorId) queryRef = queryRef.where('actorId', '==', actorId.toString());
+    if (targetUserId) queryRef = queryRef.where('targetUserId', '==', targetUserId.toString());
+    if (action) queryRef = queryRef.where('action', '==', action);
+    if (from) queryRef = queryRef.where('createdAt', '>=', from);
+    if (to) queryRef = queryRef.where('createdAt', '<', to);
+
+    const snapshot = await queryRef
+      .orderBy('createdAt', 'desc')
+      .offset(offset)
+      .limit(limit + 1)
+      .get();
+
+    const entries = snapshot.docs.map(doc => doc.data());
+    return { entries: entries.slice(0, limit), hasMore: entries.length > limit };
+  }
+
+  return {
+    record,
+    query
+  };
+}
+
+module.exports = { createAuditLogRepository };
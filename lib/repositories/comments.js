@@ -0,0 +1,259 @@
+// ==================== COMMENTS REPOSITORY ====================
+// `comments/{confessionId}` holds the section metadata and counters,
+// `comments/{confessionId}/items/{commentId}` holds one document per comment.
+// Top-level comments have `parentId: null`; replies point at the comment they answer.
+// Votes live in `.../items/{commentId}/votes/{userId}` (value 1 or -1).
+// `.../aliases/{userId}` maps a commenter to their pseudonym index on that
+// confession; only the bot reads it, readers only ever see the pseudonym.
+function createCommentsRepository({ db, FieldValue }) {
+  const sectionRef = (confessionId) => db.collection('comments').doc(confessionId);
+  const items = (confessionId) => sectionRef(confessionId).collection('items');
+  const voteRef = (confessionId, commentId, userId) =>
+    items(confessionId).doc(commentId).collection('votes').doc(userId.toString());
+  const aliasRef = (confessionId, userId) =>
+    sectionRef(confessionId).collection('aliases').doc(userId.toString());
+
+  // Short, callback-data friendly ID (base36 time + author)
+  function generateId(userId, time = Date.now()) {
+    return `${time.toString(36)}${Number(userId).toString(36)}`;
+  }
+
+  async function getSection(confessionId) {
+    const doc = await sectionRef(confessionId).get();
+    if (!doc.exists) return null;
+
+    const section = doc.data();
+    if (Array.isArray(section.comments)) {
+      await migrateLegacy(confessionId, section.comments);
+      delete section.comments;
+    }
+    return section;
+  }
+
+  async function createSection(confessionId, section) {
+    await sectionRef(confessionId).set({
+      totalComments: 0,
+      ...section,
+      confessionId
+    });
+  }
+
+  async function get(confessionId, commentId) {
+    const doc = await items(confessionId).doc(commentId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // The commenter's pseudonym index on this confession, handing out the next
+  // free one on their first comment
+  async function getAliasIndex(confessionId, userId) {
+    return db.runTransaction(async (transaction) => {
+      const aliasDoc = await transaction.get(aliasRef(confessionId, userId));
+      if (aliasDoc.exists) return aliasDoc.data().index;
+
+      const sectionDoc = await transaction.get(sectionRef(confessionId));
+      const index = sectionDoc.data().aliasCount || 0;
+
+      transaction.set(aliasRef(confessionId, userId), {
+        userId,
+        index,
+        assignedAt: new Date().toISOString()
+      });
+      transaction.update(sectionRef(confessionId), { aliasCount: index + 1 });
+
+      return index;
+    });
+  }
+
+  // Stores the comment and bumps the counters on the section, the confession
+  // and (for replies) the parent comment together
+  async function add(confessionId, comment) {
+    const stored = {
+      parentId: null,
+      replyCount: 0,
+      score: 0,
+      upvotes: 0,
+      downvotes: 0,
+      ...comment
+    };
+
+    await db.runTransaction(async (transaction) => {
+      const confessionRef = db.collection('confessions').doc(confessionId);
+
+      transaction.set(items(confessionId).doc(stored.id), stored);
+
+      transaction.update(sectionRef(confessionId), {
+        totalComments: FieldValue.increment(1)
+      });
+
+      transaction.update(confessionRef, {
+        totalComments: FieldValue.increment(1)
+      });
+
+      if (stored.parentId) {
+        transaction.update(items(confessionId).doc(stored.parentId), {
+          replyCount: FieldValue.increment(1)
+        });
+      }
+    });
+
+    return stored;
+  }
+
+  async function update(confessionId, commentId, changes) {
+    await items(confessionId).doc(commentId).update(changes);
+  }
+
+  // Deletes a comment (and, for a top-level comment, its replies) with their votes,
+  // and takes the removed count off the section, the confession and the parent.
+  // Returns the removed comments, or null when the comment doesn't exist.
+  async function remove(confessionId, commentId) {
+    return db.runTransaction(async (transaction) => {
+      const commentDoc = await transaction.get(items(confessionId).doc(commentId));
+      if (!commentDoc.exists) return null;
+
+      const comment = commentDoc.data();
+      const replies = comment.parentId
+        ? []
+        : (await transaction.get(items(confessionId).where('parentId', '==', commentId))).docs.map(doc => doc.data());
+      const removed = [comment, ...replies];
+
+      const votes = [];
+      for (const item of removed) {
+        const snapshot = await transaction.get(items(confessionId).doc(item.id).collection('votes'));
+        votes.push(...snapshot.docs.map(doc => doc.ref));
+      }
+
+      removed.forEach(item => transaction.delete(items(confessionId).doc(item.id)));
+      votes.forEach(voteDocRef => transaction.delete(voteDocRef));
+
+      transaction.update(sectionRef(confessionId), {
+        totalComments: FieldValue.increment(-removed.length)
+      });
+      transaction.update(db.collection('confessions').doc(confessionId), {
+        totalComments: FieldValue.increment(-removed.length)
+      });
+      if (comment.parentId) {
+        transaction.update(items(confessionId).doc(comment.parentId), {
+          replyCount: FieldValue.increment(-1)
+        });
+      }
+
+      return removed;
+    });
+  }
+
+  async function setLocked(confessionId, locked, lockedBy) {
+    await sectionRef(confessionId).update({
+      locked,
+      lockedBy: locked ? lockedBy : null,
+      lockedAt: locked ? new Date().toISOString() : null
+    });
+  }
+
+  // Sorted by 'newest' or 'top' (score, then newest); asks for one extra
+  // comment so callers know whether another page exists
+  async function listTopLevel(confessionId, { offset = 0, limit = 10, sort = 'newest' } = {}) {
+    let query = items(confessionId).where('parentId', '==', null);
+    if (sort === 'top') query = query.orderBy('score', 'desc');
+
+    const snapshot = await query
+      .orderBy('createdAt', 'desc')
+      .offset(offset)
+      .limit(limit + 1)
+      .get();
+
+    const comments = snapshot.docs.map(doc => doc.data());
+    return { comments: comments.slice(0, limit), hasMore: comments.length > limit };
+  }
+
+  // Oldest first so a thread reads as a conversation
+  async function listReplies(confessionId, parentId, { offset = 0, limit = 10 } = {}) {
+    const snapshot = await items(confessionId)
+      .where('parentId', '==', parentId)
+      .orderBy('createdAt', 'asc')
+      .offset(offset)
+      .limit(limit + 1)
+      .get();
+
+    const replies = snapshot.docs.map(doc => doc.data());
+    return { comments: replies.slice(0, limit), hasMore: replies.length > limit };
+  }
+
+  // Casts, flips or (when repeating the same vote) withdraws a user's vote.
+  // Returns the comment, the user's resulting vote (0 when withdrawn) and the score change.
+  async function vote(confessionId, commentId, userId, value) {
+    return db.runTransaction(async (transaction) => {
+      const commentDoc = await transaction.get(items(confessionId).doc(commentId));
+      if (!commentDoc.exists) return null;
+
+      const voteDoc = await transaction.get(voteRef(confessionId, commentId, userId));
+      const previous = voteDoc.exists ? voteDoc.data().value : 0;
+      const current = previous === value ? 0 : value;
+      const delta = current - previous;
+
+      if (current === 0) {
+        transaction.delete(voteRef(confessionId, commentId, userId));
+      } else {
+        transaction.set(voteRef(confessionId, commentId, userId), {
+          userId,
+          value: current,
+          votedAt: new Date().toISOString()
+        });
+      }
+
+      transaction.update(items(confessionId).doc(commentId), {
+        score: FieldValue.increment(delta),
+        upvotes: FieldValue.increment((current === 1 ? 1 : 0) - (previous === 1 ? 1 : 0)),
+        downvotes: FieldValue.increment((current === -1 ? 1 : 0) - (previous === -1 ? 1 : 0))
+      });
+
+      return { comment: commentDoc.data(), value: current, delta };
+    });
+  }
+
+  // Moves comments from the old single-document array into the subcollection
+  async function migrateLegacy(confessionId, legacyComments) {
+    const batch = db.batch();
+
+    legacyComments.forEach((comment, index) => {
+      const createdAt = comment.createdAt || new Date().toISOString();
+      const id = generateId(comment.userId, Date.parse(createdAt) + index);
+
+      batch.set(items(confessionId).doc(id), {
+        ...comment,
+        id,
+        legacyId: comment.id || null,
+        createdAt,
+        parentId: null,
+        replyCount: 0,
+        score: 0,
+        upvotes: 0,
+        downvotes: 0
+      });
+    });
+
+    batch.update(sectionRef(confessionId), {
+      comments: FieldValue.delete(),
+      totalComments: legacyComments.length
+    });
+
+    await batch.commit();
+  }
+
+  return {
+    generateId,
+    getSection,
+    createSection,
+    get,
+    getAliasIndex,
+    update,
+    add,
+    remove,
+    setLocked,
+    listTopLevel,
+    listReplies,
+    vote
+  };
+}
+
+module.exports = { createCommentsRepository };
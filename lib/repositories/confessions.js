@@ -0,0 +1,289 @@
+// ==================== CONFESSIONS REPOSITORY ====================
+function createConfessionsRepository({ db, FieldValue }) {
+  const collection = () => db.collection('confessions');
+  const ref = (confessionId) => collection().doc(confessionId);
+
+  async function get(confessionId) {
+    const doc = await ref(confessionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function create(confessionId, confession) {
+    await ref(confessionId).set(confession);
+    return confession;
+  }
+
+  async function update(confessionId, changes) {
+    await ref(confessionId).update(changes);
+  }
+
+  function isClaimedByOther(confession, actorId, now = Date.now()) {
+    return Boolean(confession.claimedBy) &&
+      confession.claimedBy !== actorId &&
+      Date.parse(confession.claimExpiresAt) > now;
+  }
+
+  // Applies `changes` only while the confession is still in one of `expectedStatuses`
+  // and isn't claimed by another admin (withdrawals pass `ignoreClaim`). Returns `{ ok, reason, confession }`,
+  // where `confession` is the state after the change (or the state that blocked it).
+  async function transition(confessionId, expectedStatuses, changes, actorId, { ignoreClaim = false } = {}) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(confessionId));
+      if (!doc.exists) return { ok: false, reason: 'missing', confession: null };
+
+      const confession = doc.data();
+      if (!expectedStatuses.includes(confession.status)) {
+        return { ok: false, reason: 'status', confession };
+      }
+      if (!ignoreClaim && isClaimedByOther(confession, actorId)) {
+        return { ok: false, reason: 'claimed', confession };
+      }
+
+      transaction.update(ref(confessionId), changes);
+      return { ok: true, reason: null, confession: { ...confession, ...changes } };
+    });
+  }
+
+  // Locks a pending confession to one admin until `ttlMs` passes or they release it
+  async function claim(confessionId, { id, name }, ttlMs) {
+    const now = Date.now();
+    return transition(confessionId, ['pending'], {
+      claimedBy: id,
+      claimedByName: name,
+      claimedAt: new Date(now).toISOString(),
+      claimExpiresAt: new Date(now + ttlMs).toISOString()
+    }, id);
+  }
+
+  async function releaseClaim(confessionId, actorId) {
+    return transition(confessionId, ['pending'], {
+      claimedBy: null,
+      claimedByName: null,
+      claimedAt: null,
+      claimExpiresAt: null
+    }, actorId);
+  }
+
+  // A rejected confession can either be appealed once or resubmitted once, not both
+  function canFollowUp(confession, userId) {
+    return confession.status === 'rejected' &&
+      confession.userId === userId &&
+      !confession.appeal &&
+      !confession.resubmittedAs;
+  }
+
+  // Stores an edited copy of a rejected confession and links the two documents
+  async function createResubmission(originalId, confessionId, confession) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(originalId));
+      if (!doc.exists || !canFollowUp(doc.data(), confession.userId)) return false;
+
+      transaction.set(ref(confessionId), { ...confession, resubmissionOf: originalId });
+      transaction.update(ref(originalId), { resubmittedAs: confessionId });
+      return true;
+    });
+  }
+
+  async function fileAppeal(confessionId, userId, message) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(confessionId));
+      if (!doc.exists || !canFollowUp(doc.data(), userId)) return null;
+
+      const appeal = { status: 'pending', message, filedAt: new Date().toISOString() };
+      transaction.update(ref(confessionId), { appeal });
+      return { ...doc.data(), appeal };
+    });
+  }
+
+  // Records an appeal outcome ('upheld' or 'overturned') once; `changes` are applied with it
+  async function decideAppeal(confessionId, outcome, { id, name }, changes = {}) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(confessionId));
+      if (!doc.exists) return { ok: false, confession: null };
+
+      const confession = doc.data();
+      if (confession.appeal?.status !== 'pending' || confession.status !== 'rejected') {
+        return { ok: false, confession };
+      }
+
+      const appeal = {
+        ...confession.appeal,
+        status: outcome,
+        decidedBy: id,
+        decidedByName: name,
+        decidedAt: new Date().toISOString()
+      };
+      transaction.update(ref(confessionId), { ...changes, appeal });
+      return { ok: true, confession: { ...confession, ...changes, appeal } };
+    });
+  }
+
+  // Oldest appeal first
+  async function listAppeals(status = 'pending', limit = 10) {
+    const snapshot = await collection()
+      .where('appeal.status', '==', status)
+      .orderBy('appeal.filedAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function listByUser(userId, limit = 10, offset = 0) {
+    const snapshot = await collection()
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .offset(offset)
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function listByStatus(status, { orderBy = 'createdAt', direction = 'asc', limit } = {}) {
+    let query = collection()
+      .where('status', '==', status)
+      .orderBy(orderBy, direction);
+    if (limit) query = query.limit(limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Visible approved confessions carrying a hashtag, most recently published first;
+  // asks for one extra so callers know whether another page exists
+  async function listApprovedByHashtag(tag, { offset = 0, limit = 5 } = {}) {
+    const snapshot = await collection()
+      .where('status', '==', 'approved')
+      .where('hidden', '==', false)
+      .where('hashtags', 'array-contains', tag)
+      .orderBy('approvedAt', 'desc')
+      .offset(offset)
+      .limit(limit + 1)
+      .get();
+
+    const confessions = snapshot.docs.map(doc => doc.data());
+    return { confessions: confessions.slice(0, limit), hasMore: confessions.length > limit };
+  }
+
+  // Approved confessions sharing any of the (at most 10) search tokens, newest first
+  async function searchApproved(tokens, limit = 200) {
+    const snapshot = await collection()
+      .where('status', '==', 'approved')
+      .where('searchTokens', 'array-contains-any', tokens)
+      .orderBy('approvedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function listApprovedByNumber(from, to, limit = 200) {
+    const snapshot = await collection()
+      .where('status', '==', 'approved')
+      .where('confessionNumber', '>=', from)
+      .where('confessionNumber', '<=', to)
+      .orderBy('confessionNumber', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // One page of confessions approved up to an ISO timestamp, oldest first; pass
+  // the last one's `{ approvedAt, confessionId }` as `after` for the next page
+  async function listApprovedUntil(until, { after = null, limit = 200 } = {}) {
+    let query = collection()
+      .where('status', '==', 'approved')
+      .where('approvedAt', '<=', until)
+      .orderBy('approvedAt', 'asc')
+      .orderBy('confessionId', 'asc');
+    if (after) query = query.startAfter(after.approvedAt, after.confessionId);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Approved since an ISO timestamp, most recent first
+  async function listApprovedSince(since, limit = 200) {
+    const snapshot = await collection()
+      .where('status', '==', 'approved')
+      .where('approvedAt', '>=', since)
+      .orderBy('approvedAt', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Visible approved confessions with the most engagement, for the all-time ranking
+  async function listTopEngagement(limit = 5) {
+    const snapshot = await collection()
+      .where('status', '==', 'approved')
+      .where('hidden', '==', false)
+      .orderBy('engagementScore', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Counts a reader's first look at the comments; `confessions/{id}/viewers/{userId}`
+  // remembers who already counted. Returns true when this view was counted.
+  async function recordCommentView(confessionId, userId) {
+    const viewerRef = ref(confessionId).collection('viewers').doc(userId.toString());
+
+    return db.runTransaction(async (transaction) => {
+      const viewer = await transaction.get(viewerRef);
+      if (viewer.exists) return false;
+
+      transaction.set(viewerRef, { userId, viewedAt: new Date().toISOString() });
+      transaction.update(ref(confessionId), {
+        commentViews: FieldValue.increment(1)
+      });
+      return true;
+    });
+  }
+
+  async function list() {
+    const snapshot = await collection().get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Highest confession number handed out so far (0 when nothing is approved yet)
+  async function latestApprovedNumber() {
+    const [latest] = await listByStatus('approved', {
+      orderBy: 'confessionNumber',
+      direction: 'desc',
+      limit: 1
+    });
+    return latest ? latest.confessionNumber || 0 : 0;
+  }
+
+  return {
+    get,
+    create,
+    update,
+    isClaimedByOther,
+    transition,
+    claim,
+    releaseClaim,
+    canFollowUp,
+    createResubmission,
+    fileAppeal,
+    decideAppeal,
+    listAppeals,
+    listByUser,
+    listByStatus,
+    listApprovedByHashtag,
+    searchApproved,
+    listApprovedByNumber,
+    listApprovedUntil,
+    listApprovedSince,
+    listTopEngagement,
+    recordCommentView,
+    list,
+    latestApprovedNumber
+  };
+}
+
+module.exports = { createConfessionsRepository };
@@ -0,0 +1,49 @@
+// ==================== COUNTERS REPOSITORY ====================
+function createCountersRepository({ db }) {
+  const ref = () => db.collection('system').doc('counters');
+
+  async function get() {
+    const doc = await ref().get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function initialize(confessionNumber) {
+    await ref().set({
+      confessionNumber,
+      lastAssigned: new Date().toISOString(),
+      initialized: new Date().toISOString()
+    });
+  }
+
+  // Atomically reserves the next confession number
+  async function nextConfessionNumber() {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref());
+
+      if (!doc.exists) {
+        transaction.set(ref(), {
+          confessionNumber: 1,
+          lastAssigned: new Date().toISOString()
+        });
+        return 1;
+      }
+
+      const next = doc.data().confessionNumber + 1;
+
+      transaction.update(ref(), {
+        confessionNumber: next,
+        lastAssigned: new Date().toISOString()
+      });
+
+      return next;
+    });
+  }
+
+  return {
+    get,
+    initialize,
+    nextConfessionNumber
+  };
+}
+
+module.exports = { createCountersRepository };
@@ -0,0 +1,122 @@
+// ==================== HASHTAGS REPOSITORY ====================
+// Tag usage counters, kept up to date as confessions are published or removed
+// so rankings never have to scan confessions:
+//   `hashtags/{tag}`              all-time count per tag
+//   `hashtag_days/{day}_{tag}`    count per tag and local day (YYYY-MM-DD)
+// Subscriber notifications for a published confession wait in
+// `hashtag_notifications/{confessionId}` until the cron job has reached every
+// subscriber; `after` is the last user ID notified so far.
+// Document IDs hold the URI-encoded tag including '#', so a tag like `#__x__` never
+// becomes one of Firestore's reserved `__...__` IDs.
+function createHashtagsRepository({ db, FieldValue }) {
+  const tagId = (tag) => encodeURIComponent(tag);
+  const tagRef = (tag) => db.collection('hashtags').doc(tagId(tag));
+  const dayRef = (day, tag) => db.collection('hashtag_days').doc(`${day}_${tagId(tag)}`);
+
+  // Adds `delta` (1 on publish, -1 on removal) to every tag's all-time and daily count
+  async function record(tags, day, delta) {
+    if (tags.length === 0) return;
+
+    const batch = db.batch();
+    const now = new Date().toISOString();
+
+    tags.forEach(tag => {
+      batch.set(tagRef(tag), {
+        tag,
+        count: FieldValue.increment(delta),
+        updatedAt: now
+      }, { merge: true });
+
+      batch.set(dayRef(day, tag), {
+        tag,
+        day,
+        count: FieldValue.increment(delta)
+      }, { merge: true });
+    });
+
+    await batch.commit();
+  }
+
+  async function topAllTime(limit = 10) {
+    const snapshot = await db.collection('hashtags')
+      .where('count', '>', 0)
+      .orderBy('count', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Sums the daily counts from `sinceDay` on; at most one document per tag and day is read
+  async function topSince(sinceDay, limit = 10) {
+    const snapshot = await db.collection('hashtag_days')
+      .where('day', '>=', sinceDay)
+      .get();
+
+    const totals = {};
+    snapshot.docs.forEach(doc => {
+      const { tag, count } = doc.data();
+      totals[tag] = (totals[tag] || 0) + count;
+    });
+
+    return Object.entries(totals)
+      .filter(([, count]) => count > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([tag, count]) => ({ tag, count }));
+  }
+
+  // Deletes every counter so they can be rebuilt from the confessions
+  async function reset() {
+    for (const name of ['hashtags', 'hashtag_days']) {
+      const snapshot = await db.collection(name).get();
+      for (let i = 0; i < snapshot.docs.length; i += 400) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 400).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    }
+  }
+
+  const notificationRef = (confessionId) => db.collection('hashtag_notifications').doc(confessionId);
+
+  async function queueNotification(confessionId, tags) {
+    await notificationRef(confessionId).set({
+      confessionId,
+      tags,
+      after: null,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Oldest first, so earlier confessions finish notifying before later ones start
+  async function listPendingNotifications(limit = 10) {
+    const snapshot = await db.collection('hashtag_notifications')
+      .orderBy('createdAt', 'asc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function advanceNotification(confessionId, after) {
+    await notificationRef(confessionId).update({ after });
+  }
+
+  async function finishNotification(confessionId) {
+    await notificationRef(confessionId).delete();
+  }
+
+  return {
+    record,
+    topAllTime,
+    topSince,
+    reset,
+    queueNotification,
+    listPendingNotifications,
+    advanceNotification,
+    finishNotification
+  };
+}
+
+module.exports = { createHashtagsRepository };
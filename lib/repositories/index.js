@@ -0,0 +1,40 @@
+const { createUsersRepository } = require('./users');
+const { createConfessionsRepository } = require('./confessions');
+const { createCommentsRepository } = require('./comments');
+const { createCountersRepository } = require('./counters');
+const { createRateLimitsRepository } = require('./rateLimits');
+const { createReactionsRepository } = require('./reactions');
+const { createModerationRulesRepository } = require('./moderationRules');
+const { createPublishQueueRepository } = require('./publishQueue');
+const { createAdminsRepository } = require('./admins');
+const { createAuditLogRepository } = require('./auditLog');
+const { createReportsRepository } = require('./reports');
+const { createNotificationDigestsRepository } = require('./notificationDigests');
+const { createHashtagsRepository } = require('./hashtags');
+const { createSessionsRepository } = require('./sessions');
+const { createReindexRepository } = require('./reindex');
+
+// Repositories wrap every collection the bot touches so handlers never build
+// storage queries themselves. They only rely on the `{ db, FieldValue }` pair,
+// so they work unchanged on top of any storage backend.
+function createRepositories(storage) {
+  return {
+    users: createUsersRepository(storage),
+    confessions: createConfessionsRepository(storage),
+    comments: createCommentsRepository(storage),
+    counters: createCountersRepository(storage),
+    rateLimits: createRateLimitsRepository(storage),
+    reactions: createReactionsRepository(storage),
+    moderationRules: createModerationRulesRepository(storage),
+    publishQueue: createPublishQueueRepository(storage),
+    admins: createAdminsRepository(storage),
+    auditLog: createAuditLogRepository(storage),
+    reports: createReportsRepository(storage),
+    notificationDigests: createNotificationDigestsRepository(storage),
+    hashtags: createHashtagsRepository(storage),
+    sessions: createSessionsRepository(storage),
+    reindex: createReindexRepository(storage)
+  };
+}
+
+module.exports = { createRepositories };
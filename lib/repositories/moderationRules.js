@@ -0,0 +1,72 @@
+// ==================== MODERATION RULES REPOSITORY ====================
+// Rules live in `moderation_rules`; `system/moderation` records that the
+// default rule set was seeded so deleted defaults don't come back.
+function createModerationRulesRepository({ db, FieldValue }) {
+  const collection = () => db.collection('moderation_rules');
+  const ref = (ruleId) => collection().doc(ruleId);
+  const systemRef = () => db.collection('system').doc('moderation');
+
+  async function ensureDefaults(defaultRules) {
+    const system = await systemRef().get();
+    if (system.exists && system.data().seeded) return;
+
+    const batch = db.batch();
+    defaultRules.forEach(rule => {
+      batch.set(ref(rule.id), { ...rule, createdAt: new Date().toISOString(), createdBy: 'system' });
+    });
+    batch.set(systemRef(), { seeded: true, seededAt: new Date().toISOString() }, { merge: true });
+    await batch.commit();
+  }
+
+  async function list() {
+    const snapshot = await collection().get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function get(ruleId) {
+    const doc = await ref(ruleId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function create(rule) {
+    const ruleRef = rule.id ? ref(rule.id) : collection().doc();
+    const stored = { ...rule, id: ruleRef.id, createdAt: new Date().toISOString() };
+    await ruleRef.set(stored);
+    return stored;
+  }
+
+  async function update(ruleId, changes) {
+    await ref(ruleId).update({ ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  async function remove(ruleId) {
+    await ref(ruleId).delete();
+  }
+
+  async function addWords(ruleId, words) {
+    await ref(ruleId).update({
+      'config.words': FieldValue.arrayUnion(...words),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  async function removeWords(ruleId, words) {
+    await ref(ruleId).update({
+      'config.words': FieldValue.arrayRemove(...words),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  return {
+    ensureDefaults,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    addWords,
+    removeWords
+  };
+}
+
+module.exports = { createModerationRulesRepository };
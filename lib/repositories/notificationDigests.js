@@ -0,0 +1,71 @@
+// ==================== NOTIFICATION DIGESTS REPOSITORY ====================
+// Users on an hourly or daily digest get their notifications buffered in
+// `notification_digests/{userId}/events/{autoId}`. The parent document holds
+// `dueAt`, the time the digest job should send everything collected so far.
+function createNotificationDigestsRepository({ db, FieldValue }) {
+  const collection = () => db.collection('notification_digests');
+  const ref = (userId) => collection().doc(userId.toString());
+  const events = (userId) => ref(userId).collection('events');
+
+  // Buffers one event; the first event of a digest decides when it is due
+  async function add(userId, event, dueAt) {
+    await db.runTransaction(async (transaction) => {
+      const digestDoc = await transaction.get(ref(userId));
+      const eventRef = events(userId).doc();
+
+      transaction.set(eventRef, {
+        id: eventRef.id,
+        ...event,
+        createdAt: new Date().toISOString()
+      });
+
+      if (digestDoc.exists) {
+        transaction.update(ref(userId), { count: FieldValue.increment(1) });
+      } else {
+        transaction.set(ref(userId), { userId, dueAt, count: 1 });
+      }
+    });
+  }
+
+  // Moves a waiting digest to a new time, e.g. after the user changes delivery mode
+  async function reschedule(userId, dueAt) {
+    const doc = await ref(userId).get();
+    if (doc.exists) await ref(userId).update({ dueAt });
+  }
+
+  async function listDue(now, limit = 50) {
+    const snapshot = await collection()
+      .where('dueAt', '<=', now)
+      .orderBy('dueAt', 'asc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Atomically empties a digest and returns its events, oldest first.
+  // Only one caller gets the events, so a digest is never sent twice.
+  async function take(userId) {
+    return db.runTransaction(async (transaction) => {
+      const digestDoc = await transaction.get(ref(userId));
+      if (!digestDoc.exists) return [];
+
+      const snapshot = await transaction.get(events(userId));
+      snapshot.docs.forEach(doc => transaction.delete(doc.ref));
+      transaction.delete(ref(userId));
+
+      return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    });
+  }
+
+  return {
+    add,
+    reschedule,
+    listDue,
+    take
+  };
+}
+
+module.exports = { createNotificationDigestsRepository };
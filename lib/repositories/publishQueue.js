@@ -0,0 +1,119 @@
+// ==================== PUBLISH QUEUE REPOSITORY ====================
+// Approved confessions wait in `publish_queue/{confessionId}` until a time slot
+// opens. Items are ordered by `position`; held items are skipped.
+// `system/publishing` holds the slot settings and the last publish time.
+function createPublishQueueRepository({ db }) {
+  const collection = () => db.collection('publish_queue');
+  const ref = (confessionId) => collection().doc(confessionId);
+  const settingsRef = () => db.collection('system').doc('publishing');
+
+  async function add(confessionId, { queuedBy }) {
+    const item = {
+      confessionId,
+      // The random fraction keeps items queued in the same millisecond distinct, so they can be swapped
+      position: Date.now() + Math.random(),
+      held: false,
+      queuedBy,
+      queuedAt: new Date().toISOString()
+    };
+    await ref(confessionId).set(item);
+    return item;
+  }
+
+  async function get(confessionId) {
+    const doc = await ref(confessionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function list() {
+    const snapshot = await collection().orderBy('position', 'asc').get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Atomically removes an item; only one caller gets `true`, so an item is published once
+  async function take(confessionId) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(confessionId));
+      if (!doc.exists) return false;
+
+      transaction.delete(ref(confessionId));
+      return true;
+    });
+  }
+
+  // Puts a taken item back exactly as it was (same position and hold state)
+  async function restore(item) {
+    await ref(item.confessionId).set(item);
+  }
+
+  async function remove(confessionId) {
+    await ref(confessionId).delete();
+  }
+
+  async function setHeld(confessionId, held) {
+    await ref(confessionId).update({ held });
+  }
+
+  // Swaps the positions of two queued items
+  async function swap(firstId, secondId) {
+    await db.runTransaction(async (transaction) => {
+      const first = await transaction.get(ref(firstId));
+      const second = await transaction.get(ref(secondId));
+      if (!first.exists || !second.exists) return;
+
+      transaction.update(ref(firstId), { position: second.data().position });
+      transaction.update(ref(secondId), { position: first.data().position });
+    });
+  }
+
+  async function getSettings() {
+    const doc = await settingsRef().get();
+    return doc.exists ? doc.data() : {};
+  }
+
+  async function updateSettings(changes) {
+    await settingsRef().set(changes, { merge: true });
+  }
+
+  // Reserves the current time slot; null when something was published less than `intervalMs`
+  // ago. Returns the claim, which `releaseSlot` takes when nothing ends up being published.
+  async function claimSlot(intervalMs, now = Date.now()) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(settingsRef());
+      const lastPublishedAt = doc.exists ? doc.data().lastPublishedAt || null : null;
+
+      if (lastPublishedAt && now - Date.parse(lastPublishedAt) < intervalMs) return null;
+
+      const claimedAt = new Date(now).toISOString();
+      transaction.set(settingsRef(), { lastPublishedAt: claimedAt }, { merge: true });
+      return { claimedAt, previous: lastPublishedAt };
+    });
+  }
+
+  // Gives an unused slot back, unless a later publish has moved the time on since
+  async function releaseSlot({ claimedAt, previous }) {
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(settingsRef());
+      if (!doc.exists || doc.data().lastPublishedAt !== claimedAt) return;
+
+      transaction.set(settingsRef(), { lastPublishedAt: previous }, { merge: true });
+    });
+  }
+
+  return {
+    add,
+    get,
+    list,
+    take,
+    restore,
+    remove,
+    setHeld,
+    swap,
+    getSettings,
+    updateSettings,
+    claimSlot,
+    releaseSlot
+  };
+}
+
+module.exports = { createPublishQueueRepository };
@@ -0,0 +1,57 @@
+// ==================== RATE LIMITS REPOSITORY ====================
+// Token buckets live in `rate_limit_buckets/{policy}_{userId}` ({ tokens, updatedAt }),
+// per-user admin overrides in `rate_limit_overrides/{userId}` (level per policy name).
+const { spendToken } = require('../rateLimits');
+
+function createRateLimitsRepository({ db, FieldValue }) {
+  const bucketRef = (policyName, userId) => db.collection('rate_limit_buckets').doc(`${policyName}_${userId}`);
+  const overrideRef = (userId) => db.collection('rate_limit_overrides').doc(userId.toString());
+
+  async function getBucket(policyName, userId) {
+    const doc = await bucketRef(policyName, userId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Atomically spends one token; returns `{ allowed, tokens, retryAfterMs }`.
+  // A refused attempt leaves the bucket untouched.
+  async function take(policyName, userId, limits, now = Date.now()) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(bucketRef(policyName, userId));
+      const result = spendToken(doc.exists ? doc.data() : null, limits, now);
+
+      if (result.allowed) {
+        transaction.set(bucketRef(policyName, userId), {
+          policy: policyName,
+          userId,
+          tokens: result.tokens,
+          updatedAt: now
+        });
+      }
+      return result;
+    });
+  }
+
+  async function getOverrides(userId) {
+    const doc = await overrideRef(userId).get();
+    return doc.exists ? doc.data().policies || {} : {};
+  }
+
+  // `level` null removes the override for that policy
+  async function setOverride(userId, policyName, level, updatedBy) {
+    await overrideRef(userId).set({
+      userId,
+      policies: { [policyName]: level === null ? FieldValue.delete() : level },
+      updatedBy,
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  }
+
+  return {
+    getBucket,
+    take,
+    getOverrides,
+    setOverride
+  };
+}
+
+module.exports = { createRateLimitsRepository };
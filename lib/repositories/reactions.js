@@ -0,0 +1,61 @@
+// ==================== REACTIONS REPOSITORY ====================
+// One reaction per user per confession in `confessions/{confessionId}/reactions/{userId}`.
+// Totals are kept on the confession itself (`reactions.{key}` and `totalReactions`)
+// so other features can rank by them without reading the subcollection.
+function createReactionsRepository({ db, FieldValue }) {
+  const confessionRef = (confessionId) => db.collection('confessions').doc(confessionId);
+  const reactionRef = (confessionId, userId) =>
+    confessionRef(confessionId).collection('reactions').doc(userId.toString());
+
+  async function get(confessionId, userId) {
+    const doc = await reactionRef(confessionId, userId).get();
+    return doc.exists ? doc.data().reaction : null;
+  }
+
+  // Sets, switches or (when repeating the same reaction) removes the user's reaction.
+  // Returns the user's resulting reaction (null when removed) and the updated totals.
+  async function react(confessionId, userId, reaction) {
+    return db.runTransaction(async (transaction) => {
+      const confessionDoc = await transaction.get(confessionRef(confessionId));
+      if (!confessionDoc.exists) return null;
+
+      const reactionDoc = await transaction.get(reactionRef(confessionId, userId));
+      const previous = reactionDoc.exists ? reactionDoc.data().reaction : null;
+      const current = previous === reaction ? null : reaction;
+
+      const totals = { ...(confessionDoc.data().reactions || {}) };
+      const changes = {};
+
+      if (previous) {
+        totals[previous] = Math.max(0, (totals[previous] || 0) - 1);
+        changes[`reactions.${previous}`] = FieldValue.increment(-1);
+      }
+      if (current) {
+        totals[current] = (totals[current] || 0) + 1;
+        changes[`reactions.${current}`] = FieldValue.increment(1);
+      }
+      changes.totalReactions = FieldValue.increment((current ? 1 : 0) - (previous ? 1 : 0));
+
+      if (current) {
+        transaction.set(reactionRef(confessionId, userId), {
+          userId,
+          reaction: current,
+          reactedAt: new Date().toISOString()
+        });
+      } else {
+        transaction.delete(reactionRef(confessionId, userId));
+      }
+
+      transaction.update(confessionRef(confessionId), changes);
+
+      return { reaction: current, totals };
+    });
+  }
+
+  return {
+    get,
+    react
+  };
+}
+
+module.exports = { createReactionsRepository };
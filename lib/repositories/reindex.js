@@ -0,0 +1,65 @@
+// ==================== REINDEX REPOSITORY ====================
+// Progress of the last /reindex run in `system/reindex`. The run is split into
+// steps; `cursor` marks where the next step resumes within the current `phase`
+// (`confessions`, then `subscriptions`), `until` is the approval time the first
+// step recounted up to, and `leaseUntil` keeps two steps off the same batch.
+function createReindexRepository({ db }) {
+  const ref = () => db.collection('system').doc('reindex');
+
+  async function get() {
+    const doc = await ref().get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Starts a new run unless one is still going; returns the run, or null
+  async function start(startedBy) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref());
+      if (doc.exists && !doc.data().finishedAt) return null;
+
+      const run = {
+        startedBy,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        phase: 'confessions',
+        cursor: null,
+        until: null,
+        confessions: 0,
+        subscribers: 0,
+        leaseUntil: null
+      };
+      transaction.set(ref(), run);
+      return run;
+    });
+  }
+
+  // Reserves the unfinished run for one step of at most `leaseMs`; null when there
+  // is nothing to do or another step holds it
+  async function claim(leaseMs) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref());
+      if (!doc.exists) return null;
+
+      const run = doc.data();
+      const now = Date.now();
+      if (run.finishedAt || (run.leaseUntil && run.leaseUntil > now)) return null;
+
+      transaction.update(ref(), { leaseUntil: now + leaseMs });
+      return run;
+    });
+  }
+
+  // Saves a step's progress and releases the lease
+  async function advance(changes) {
+    await ref().update({ ...changes, leaseUntil: null });
+  }
+
+  return {
+    get,
+    start,
+    claim,
+    advance
+  };
+}
+
+module.exports = { createReindexRepository };
@@ -0,0 +1,113 @@
+// ==================== REPORTS REPOSITORY ====================
+// Reports are grouped per target: `reports/{targetKey}` keeps the running count and
+// per-category tallies, `reports/{targetKey}/reporters/{userId}` stops duplicate reports
+// until the report is dismissed.
+// Target keys are `c_{confessionId}` for confessions and `m_{confessionId}_{commentId}` for comments.
+// Status is 'open' until an admin resolves it as 'hidden' or 'dismissed'.
+function createReportsRepository({ db }) {
+  const collection = () => db.collection('reports');
+  const ref = (targetKey) => collection().doc(targetKey);
+  const reporterRef = (targetKey, userId) => ref(targetKey).collection('reporters').doc(userId.toString());
+
+  function targetKey(confessionId, commentId = null) {
+    return commentId ? `m_${confessionId}_${commentId}` : `c_${confessionId}`;
+  }
+
+  // Splits a target key back into its parts
+  function parseTargetKey(key) {
+    if (key.startsWith('c_')) {
+      return { targetType: 'confession', confessionId: key.slice(2), commentId: null };
+    }
+    const separator = key.lastIndexOf('_');
+    return { targetType: 'comment', confessionId: key.slice(2, separator), commentId: key.slice(separator + 1) };
+  }
+
+  async function get(key) {
+    const doc = await ref(key).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Adds one user's report; returns null when that user already reported the target
+  async function submit(key, { reporterId, category, preview }) {
+    return db.runTransaction(async (transaction) => {
+      const reporterDoc = await transaction.get(reporterRef(key, reporterId));
+      if (reporterDoc.exists) return null;
+
+      const reportDoc = await transaction.get(ref(key));
+      const now = new Date().toISOString();
+      const existing = reportDoc.exists ? reportDoc.data() : null;
+
+      const report = {
+        ...parseTargetKey(key),
+        key,
+        preview,
+        status: 'open',
+        hidden: false,
+        count: 0,
+        categories: {},
+        firstReportedAt: now,
+        ...existing,
+        lastReportedAt: now
+      };
+      // A dismissed target starts a fresh round of reports
+      if (report.status === 'dismissed') {
+        report.status = 'open';
+        report.count = 0;
+        report.categories = {};
+      }
+      report.count += 1;
+      report.categories = { ...report.categories, [category]: (report.categories[category] || 0) + 1 };
+
+      transaction.set(ref(key), report);
+      transaction.set(reporterRef(key, reporterId), { userId: reporterId, category, reportedAt: now });
+      return report;
+    });
+  }
+
+  // Targets still needing a decision, most reported first
+  async function listOpen(limit = 10) {
+    const snapshot = await collection()
+      .where('status', '==', 'open')
+      .orderBy('count', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function update(key, changes) {
+    await ref(key).update(changes);
+  }
+
+  // Dismissing also forgets who reported, so the same readers can report it again
+  async function resolve(key, status, { by, byName }) {
+    if (status === 'dismissed') {
+      const reporters = await ref(key).collection('reporters').get();
+      for (let i = 0; i < reporters.docs.length; i += 400) {
+        const batch = db.batch();
+        reporters.docs.slice(i, i + 400).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    }
+
+    await ref(key).update({
+      status,
+      hidden: status === 'hidden',
+      resolvedBy: by,
+      resolvedByName: byName,
+      resolvedAt: new Date().toISOString(),
+      ...(status === 'dismissed' ? { count: 0, categories: {} } : {})
+    });
+  }
+
+  return {
+    targetKey,
+    parseTargetKey,
+    get,
+    submit,
+    listOpen,
+    update,
+    resolve
+  };
+}
+
+module.exports = { createReportsRepository };
@@ -0,0 +1,77 @@
+// ==================== SESSIONS REPOSITORY ====================
+// Bot sessions live in `sessions/{key}` so multi-step flows survive across serverless
+// instances. A document holds the session object (`data`), a `version` bumped on every
+// write and `expiresAt`; an expired document reads as missing until it is purged.
+function createSessionsRepository({ db }) {
+  const collection = () => db.collection('sessions');
+  const ref = (key) => collection().doc(key);
+
+  const isLive = (session, now) => session.expiresAt > now;
+
+  async function get(key) {
+    const doc = await ref(key).get();
+    if (!doc.exists) return null;
+
+    const session = doc.data();
+    return isLive(session, new Date().toISOString()) ? session : null;
+  }
+
+  // Applies `changes` (top-level session fields; `undefined` removes one) on top of
+  // the stored session, so fields written meanwhile by another instance are kept
+  async function update(key, changes, ttlMs) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(key));
+      const now = new Date();
+      const current = doc.exists && isLive(doc.data(), now.toISOString())
+        ? doc.data()
+        : { data: {}, version: 0 };
+
+      const data = { ...current.data };
+      Object.entries(changes).forEach(([field, value]) => {
+        if (value === undefined) {
+          delete data[field];
+        } else {
+          data[field] = value;
+        }
+      });
+
+      const session = {
+        key,
+        data,
+        version: current.version + 1,
+        updatedAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+      };
+      transaction.set(ref(key), session);
+      return session;
+    });
+  }
+
+  async function remove(key) {
+    await ref(key).delete();
+  }
+
+  // Deletes up to `limit` expired sessions; returns how many were removed
+  async function deleteExpired(now, limit = 400) {
+    const snapshot = await collection()
+      .where('expiresAt', '<=', now)
+      .limit(limit)
+      .get();
+
+    if (snapshot.docs.length === 0) return 0;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    return snapshot.docs.length;
+  }
+
+  return {
+    get,
+    update,
+    remove,
+    deleteExpired
+  };
+}
+
+module.exports = { createSessionsRepository };
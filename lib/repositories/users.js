@@ -0,0 +1,160 @@
+// ==================== USERS REPOSITORY ====================
+function createUsersRepository({ db, FieldValue }) {
+  const collection = () => db.collection('users');
+  const ref = (userId) => collection().doc(userId.toString());
+
+  async function get(userId) {
+    const doc = await ref(userId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async function create(userId, profile) {
+    await ref(userId).set(profile);
+    return profile;
+  }
+
+  async function update(userId, changes) {
+    await ref(userId).update(changes);
+  }
+
+  async function addReputation(userId, points) {
+    await ref(userId).update({
+      reputation: FieldValue.increment(points)
+    });
+  }
+
+  async function incrementConfessions(userId, amount = 1) {
+    await ref(userId).update({
+      totalConfessions: FieldValue.increment(amount)
+    });
+  }
+
+  async function addAchievement(userId, achievementId) {
+    await ref(userId).update({
+      achievements: FieldValue.arrayUnion(achievementId),
+      achievementCount: FieldValue.increment(1)
+    });
+  }
+
+  async function setActive(userId, isActive) {
+    await ref(userId).update({ isActive });
+  }
+
+  async function setNotification(userId, type, enabled) {
+    await ref(userId).update({ [`notifications.${type}`]: enabled });
+  }
+
+  // Merged so it also works for users who never opened the bot
+  async function setCommentMute(userId, mute) {
+    await ref(userId).set({ commentMute: mute }, { merge: true });
+  }
+
+  async function subscribeHashtag(userId, tag) {
+    await ref(userId).update({ hashtagSubscriptions: FieldValue.arrayUnion(tag) });
+  }
+
+  async function unsubscribeHashtag(userId, tag) {
+    await ref(userId).update({ hashtagSubscriptions: FieldValue.arrayRemove(tag) });
+  }
+
+  // One page of users subscribed to any of the tags (Firestore allows at most 10
+  // per query), in user ID order; pass the last user ID seen as `after` for the next
+  async function listHashtagSubscribers(tags, { after = null, limit = 100 } = {}) {
+    if (tags.length === 0) return [];
+
+    let query = collection()
+      .where('hashtagSubscriptions', 'array-contains-any', tags.slice(0, 10))
+      .orderBy('userId', 'asc');
+    if (after !== null) query = query.startAfter(after);
+
+    const snapshot = await query.limit(limit).get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function findByUsername(username) {
+    const snapshot = await collection()
+      .where('username', '==', username)
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].data();
+  }
+
+  // Users with a username who are still active, best reputation first
+  async function listBrowsable(limit = 10) {
+    const snapshot = await collection()
+      .where('username', '!=', null)
+      .where('isActive', '==', true)
+      .orderBy('reputation', 'desc')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async function list(limit) {
+    let query = collection();
+    if (limit) query = query.limit(limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // One page of users in user ID order; pass the last user ID seen as `after` for the next
+  async function listPage({ after = null, limit = 200 } = {}) {
+    let query = collection().orderBy('userId', 'asc');
+    if (after !== null) query = query.startAfter(after);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  // Returns true only when this created the follow, false when it already existed
+  async function follow(userId, targetUserId) {
+    return db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref(userId));
+      if ((doc.data()?.following || []).includes(targetUserId)) return false;
+
+      transaction.update(ref(userId), {
+        following: FieldValue.arrayUnion(targetUserId)
+      });
+      transaction.update(ref(targetUserId), {
+        followers: FieldValue.arrayUnion(userId)
+      });
+      return true;
+    });
+  }
+
+  async function unfollow(userId, targetUserId) {
+    await ref(userId).update({
+      following: FieldValue.arrayRemove(targetUserId)
+    });
+    await ref(targetUserId).update({
+      followers: FieldValue.arrayRemove(userId)
+    });
+  }
+
+  return {
+    get,
+    create,
+    update,
+    addReputation,
+    incrementConfessions,
+    addAchievement,
+    setActive,
+    setNotification,
+    setCommentMute,
+    subscribeHashtag,
+    unsubscribeHashtag,
+    listHashtagSubscribers,
+    findByUsername,
+    listBrowsable,
+    list,
+    listPage,
+    follow,
+    unfollow
+  };
+}
+
+module.exports = { createUsersRepository };
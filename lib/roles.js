@@ -0,0 +1,56 @@
+// ==================== ADMIN ROLES ====================
+// Admins are stored in Firestore with one role each; a role is a fixed set of
+// permissions and every admin handler checks the specific permission it needs.
+//   approve        - approve confessions and manage the publishing queue
+//   reject         - reject confessions
+//   block          - block and unblock users
+//   broadcast      - message every user at once
+//   view_identity  - see who wrote a confession and browse user accounts
+//   manage_admins  - add, remove and change the role of admins
+//   view_stats     - see the dashboard statistics
+//   configure      - change moderation rules and publishing settings
+//   view_audit_log - read the audit log of admin actions
+
+const PERMISSIONS = [
+  'approve',
+  'reject',
+  'block',
+  'broadcast',
+  'view_identity',
+  'manage_admins',
+  'view_stats',
+  'configure',
+  'view_audit_log'
+];
+
+const ROLES = {
+  owner: {
+    label: '👑 Owner',
+    permissions: PERMISSIONS
+  },
+  moderator: {
+    label: '🛡 Moderator',
+    permissions: ['approve', 'reject', 'block', 'view_identity', 'view_stats', 'configure', 'view_audit_log']
+  },
+  reviewer: {
+    label: '📝 Reviewer',
+    permissions: ['approve', 'reject', 'view_stats']
+  },
+  analyst: {
+    label: '📊 Analyst',
+    permissions: ['view_stats']
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+function roleHasPermission(role, permission) {
+  return Boolean(ROLES[role]?.permissions.includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  roleHasPermission
+};
@@ -0,0 +1,77 @@
+// ==================== CONFESSION SEARCH ====================
+// Firestore has no text search, so every published confession gets a
+// `searchTokens` array: its normalized words plus its hashtags (with the '#').
+// A search looks up confessions sharing any query token and ranks them here.
+
+const { tokenize } = require('./moderation');
+const { normalizeHashtag } = require('./hashtags');
+
+// Too common to be worth indexing or matching on
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'i', 'if', 'in',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to',
+  'was', 'we', 'with', 'you'
+]);
+
+// Firestore's array-contains-any accepts at most 10 values
+const MAX_QUERY_TOKENS = 10;
+
+function wordTokens(text) {
+  return tokenize(text || '').filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+// Unique tokens stored on a confession when it is published
+function indexTokens(text, hashtags = []) {
+  return [...new Set([...wordTokens(text), ...hashtags.map(normalizeHashtag)])];
+}
+
+// Splits "/search exam stress #study 100-200" into keywords, hashtags and a number range
+function parseQuery(query) {
+  const parsed = { words: [], hashtags: [], range: null };
+
+  (query || '').split(/\s+/).filter(Boolean).forEach(part => {
+    const range = part.match(/^#?(\d+)-#?(\d+)$/);
+    if (range) {
+      const [from, to] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+      parsed.range = { from, to };
+    } else if (part.startsWith('#') && part.length > 1) {
+      parsed.hashtags.push(normalizeHashtag(part));
+    } else {
+      parsed.words.push(...wordTokens(part));
+    }
+  });
+
+  parsed.words = [...new Set(parsed.words)];
+  parsed.hashtags = [...new Set(parsed.hashtags)];
+  return parsed;
+}
+
+// Tokens to look up, hashtags first since they are the most specific
+function queryTokens(parsed) {
+  return [...parsed.hashtags, ...parsed.words].slice(0, MAX_QUERY_TOKENS);
+}
+
+// Every searched hashtag must match; then more matched keywords rank higher,
+// with newer confessions first among equals
+function rankResults(confessions, parsed) {
+  return confessions
+    .map(confession => {
+      const tokens = new Set(confession.searchTokens || []);
+      if (!parsed.hashtags.every(tag => tokens.has(tag))) return null;
+
+      const matched = parsed.words.filter(word => tokens.has(word)).length;
+      if (parsed.words.length > 0 && matched === 0 && parsed.hashtags.length === 0) return null;
+
+      return { confession, score: matched + parsed.hashtags.length * 2 };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || (b.confession.confessionNumber || 0) - (a.confession.confessionNumber || 0))
+    .map(result => result.confession);
+}
+
+module.exports = {
+  indexTokens,
+  parseQuery,
+  queryTokens,
+  rankResults
+};
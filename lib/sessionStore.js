@@ -0,0 +1,54 @@
+// ==================== SESSION STORE ====================
+// Adapter that lets Telegraf's `session({ store })` keep sessions in the sessions
+// repository. Only the fields an update actually changed are written back, so two
+// instances handling updates for the same chat don't overwrite each other's fields.
+// A session expires `ttlMs` after its last change.
+
+// Each top-level field as JSON; fields that are undefined are left out
+function snapshot(data) {
+  const fields = {};
+  Object.entries(data).forEach(([field, value]) => {
+    const json = JSON.stringify(value);
+    if (json !== undefined) fields[field] = json;
+  });
+  return fields;
+}
+
+function createSessionStore(sessions, { ttlMs }) {
+  // What each session object looked like when it was loaded or last saved
+  const saved = new WeakMap();
+
+  async function get(key) {
+    const stored = await sessions.get(key);
+    if (!stored) return undefined;
+
+    saved.set(stored.data, snapshot(stored.data));
+    return stored.data;
+  }
+
+  async function set(key, value) {
+    const before = saved.get(value) || {};
+    const after = snapshot(value);
+
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+      if (before[field] !== after[field]) {
+        changes[field] = after[field] === undefined ? undefined : JSON.parse(after[field]);
+      }
+    });
+
+    // Nothing changed: no write, and an empty session never gets a document
+    if (Object.keys(changes).length === 0) return;
+
+    await sessions.update(key, changes, ttlMs);
+    saved.set(value, after);
+  }
+
+  async function remove(key) {
+    await sessions.remove(key);
+  }
+
+  return { get, set, delete: remove };
+}
+
+module.exports = { createSessionStore };
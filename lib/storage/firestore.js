@@ -0,0 +1,25 @@
+const admin = require('firebase-admin');
+
+// Firestore backend: the real database used in production
+function createFirestoreStorage() {
+  const serviceAccount = {
+    type: "service_account",
+    project_id: process.env.FIREBASE_PROJECT_ID,
+    private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    client_email: process.env.FIREBASE_CLIENT_EMAIL,
+  };
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+
+  return {
+    backend: 'firestore',
+    db: admin.firestore(),
+    FieldValue: admin.firestore.FieldValue
+  };
+}
+
+module.exports = { createFirestoreStorage };
@@ -0,0 +1,36 @@
+// Storage backend selection
+//
+// STORAGE_BACKEND=firestore (default) - live Firebase project, needs FIREBASE_* credentials
+// STORAGE_BACKEND=memory              - in-process store, wiped on restart
+// STORAGE_BACKEND=file                - in-process store persisted to STORAGE_FILE (JSON)
+//
+// Every backend exposes the same `{ db, FieldValue }` pair, where `db` implements
+// the Firestore calls used by the repositories (collection/doc/where/orderBy/limit,
+// get/set/update/delete, runTransaction, batch).
+
+const DEFAULT_STORAGE_FILE = '.data/storage.json';
+
+function createStorage(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'firestore';
+
+  switch (backend) {
+    case 'firestore': {
+      const { createFirestoreStorage } = require('./firestore');
+      return createFirestoreStorage();
+    }
+    case 'memory': {
+      const { createMemoryStorage } = require('./memory');
+      return createMemoryStorage();
+    }
+    case 'file': {
+      const { createMemoryStorage } = require('./memory');
+      return createMemoryStorage({
+        filePath: options.filePath || process.env.STORAGE_FILE || DEFAULT_STORAGE_FILE
+      });
+    }
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = { createStorage };
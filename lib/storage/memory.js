@@ -0,0 +1,463 @@
+const fs = require('fs');
+const path = require('path');
+
+// In-memory document store that mirrors the subset of the Firestore API the bot uses.
+// Optionally persisted to a JSON file so local data survives restarts.
+
+// ==================== FIELD VALUES ====================
+class FieldTransform {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  increment: (n) => new FieldTransform('increment', n),
+  arrayUnion: (...items) => new FieldTransform('arrayUnion', items),
+  arrayRemove: (...items) => new FieldTransform('arrayRemove', items),
+  delete: () => new FieldTransform('delete'),
+  serverTimestamp: () => new FieldTransform('serverTimestamp')
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof FieldTransform);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function applyTransform(current, transform) {
+  switch (transform.kind) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + transform.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? [...current] : [];
+      transform.operand.forEach(item => {
+        if (!result.some(existing => isEqual(existing, item))) result.push(item);
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return Array.isArray(current)
+        ? current.filter(existing => !transform.operand.some(item => isEqual(existing, item)))
+        : [];
+    case 'serverTimestamp':
+      return new Date().toISOString();
+    default:
+      return current;
+  }
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+  const last = keys[keys.length - 1];
+  if (value instanceof FieldTransform && value.kind === 'delete') {
+    delete target[last];
+  } else if (value instanceof FieldTransform) {
+    target[last] = applyTransform(target[last], value);
+  } else {
+    target[last] = structuredClone(value);
+  }
+}
+
+function mergeInto(target, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = mergeInto({}, value);
+    } else if (value instanceof FieldTransform && value.kind === 'delete') {
+      delete target[key];
+    } else if (value instanceof FieldTransform) {
+      target[key] = applyTransform(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  });
+  return target;
+}
+
+// ==================== QUERY HELPERS ====================
+const TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'object'];
+
+function typeRank(value) {
+  if (value === null) return 0;
+  const index = TYPE_ORDER.indexOf(typeof value);
+  return index === -1 ? TYPE_ORDER.length : index;
+}
+
+function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === b) return 0;
+  if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') {
+    return a < b ? -1 : 1;
+  }
+  return JSON.stringify(a) < JSON.stringify(b) ? -1 : 1;
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const actual = getField(data, field);
+  if (actual === undefined) return false;
+
+  switch (op) {
+    case '==': return isEqual(actual, value);
+    case '!=': return actual !== null && !isEqual(actual, value);
+    case '<': return typeRank(actual) === typeRank(value) && compareValues(actual, value) < 0;
+    case '<=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) <= 0;
+    case '>': return typeRank(actual) === typeRank(value) && compareValues(actual, value) > 0;
+    case '>=': return typeRank(actual) === typeRank(value) && compareValues(actual, value) >= 0;
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => isEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => value.some(candidate => isEqual(item, candidate)));
+    case 'in': return value.some(candidate => isEqual(actual, candidate));
+    case 'not-in': return !value.some(candidate => isEqual(actual, candidate));
+    default:
+      throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+// ==================== SNAPSHOTS ====================
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? structuredClone(this._data) : undefined;
+  }
+
+  get(field) {
+    return this.exists ? structuredClone(getField(this._data, field)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// ==================== REFERENCES ====================
+class Query {
+  constructor(store, collectionPath, options = {}) {
+    this._store = store;
+    this._path = collectionPath;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._offset = options.offset || 0;
+    this._startAfter = options.startAfter;
+  }
+
+  _with(changes) {
+    return new Query(this._store, this._path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      offset: this._offset,
+      startAfter: this._startAfter,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  offset(offset) {
+    return this._with({ offset });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAfter: values });
+  }
+
+  _run() {
+    const collection = this._store.collectionData(this._path);
+    let entries = [...collection.entries()]
+      .filter(([, data]) => this._filters.every(filter => matchesFilter(data, filter)))
+      .filter(([, data]) => this._orders.every(({ field }) => getField(data, field) !== undefined));
+
+    const compareEntries = ([idA, a], [idB, b]) => {
+      for (const { field, direction } of this._orders) {
+        const diff = compareValues(getField(a, field), getField(b, field));
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return idA < idB ? -1 : idA > idB ? 1 : 0;
+    };
+    entries.sort(compareEntries);
+
+    if (this._startAfter) {
+      const cursor = this._startAfter[0] instanceof DocumentSnapshot
+        ? this._orders.map(({ field }) => this._startAfter[0].get(field))
+        : this._startAfter;
+      entries = entries.filter(([, data]) => {
+        for (let i = 0; i < cursor.length && i < this._orders.length; i++) {
+          const { field, direction } = this._orders[i];
+          const diff = compareValues(getField(data, field), cursor[i]);
+          if (diff !== 0) return direction === 'desc' ? diff < 0 : diff > 0;
+        }
+        return false;
+      });
+    }
+
+    entries = entries.slice(this._offset);
+    if (this._limit !== undefined) entries = entries.slice(0, this._limit);
+
+    return entries.map(([id, data]) => new DocumentSnapshot(
+      new DocumentReference(this._store, `${this._path}/${id}`),
+      data
+    ));
+  }
+
+  async get() {
+    return new QuerySnapshot(this._run());
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._run().length;
+        return { data: () => ({ count }) };
+      }
+    };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, collectionPath) {
+    super(store, collectionPath);
+    this.id = collectionPath.split('/').pop();
+    this.path = collectionPath;
+  }
+
+  doc(id) {
+    const docId = id || this._store.generateId();
+    return new DocumentReference(this._store, `${this.path}/${docId}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(store, docPath) {
+    this._store = store;
+    this.path = docPath;
+    this.id = docPath.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this._store, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this._store.read(this.path));
+  }
+
+  async set(data, options = {}) {
+    this._store.write(this.path, 'set', data, options);
+  }
+
+  async update(data) {
+    this._store.write(this.path, 'update', data);
+  }
+
+  async delete() {
+    this._store.write(this.path, 'delete');
+  }
+}
+
+// ==================== TRANSACTIONS & BATCHES ====================
+class WriteBatch {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push([ref.path, 'set', data, options]);
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push([ref.path, 'update', data]);
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push([ref.path, 'delete']);
+    return this;
+  }
+
+  async commit() {
+    // Validate every update target first so a failed batch writes nothing
+    this._writes.forEach(([docPath, type]) => {
+      if (type === 'update' && this._store.read(docPath) === undefined &&
+          !this._writes.some(([otherPath, otherType]) => otherPath === docPath && otherType === 'set')) {
+        throw notFound(docPath);
+      }
+    });
+    this._writes.forEach(write => this._store.write(...write));
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+}
+
+function notFound(docPath) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${docPath}`);
+  error.code = 5;
+  return error;
+}
+
+// ==================== STORE ====================
+class MemoryFirestore {
+  constructor({ filePath } = {}) {
+    this._filePath = filePath;
+    this._collections = new Map();
+    this._queue = Promise.resolve();
+    this._idCounter = 0;
+    this._load();
+  }
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(docPath) {
+    return new DocumentReference(this, docPath);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Transactions are serialized so concurrent read-modify-write cycles cannot interleave
+  runTransaction(updateFunction) {
+    const run = this._queue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      await transaction.commit();
+      return result;
+    });
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  generateId() {
+    this._idCounter++;
+    return `${Date.now().toString(36)}${this._idCounter.toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  collectionData(collectionPath) {
+    if (!this._collections.has(collectionPath)) {
+      this._collections.set(collectionPath, new Map());
+    }
+    return this._collections.get(collectionPath);
+  }
+
+  read(docPath) {
+    const { collectionPath, id } = splitDocPath(docPath);
+    const collection = this._collections.get(collectionPath);
+    return collection ? collection.get(id) : undefined;
+  }
+
+  write(docPath, type, data, options = {}) {
+    const { collectionPath, id } = splitDocPath(docPath);
+    const collection = this.collectionData(collectionPath);
+    const existing = collection.get(id);
+
+    if (type === 'delete') {
+      collection.delete(id);
+    } else if (type === 'update') {
+      if (existing === undefined) throw notFound(docPath);
+      const updated = structuredClone(existing);
+      Object.entries(data).forEach(([field, value]) => setField(updated, field, value));
+      collection.set(id, updated);
+    } else if (options.merge && existing !== undefined) {
+      collection.set(id, mergeInto(structuredClone(existing), data));
+    } else {
+      collection.set(id, mergeInto({}, data));
+    }
+
+    this._save();
+  }
+
+  _load() {
+    if (!this._filePath || !fs.existsSync(this._filePath)) return;
+
+    const raw = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+    Object.entries(raw).forEach(([collectionPath, docs]) => {
+      this._collections.set(collectionPath, new Map(Object.entries(docs)));
+    });
+  }
+
+  _save() {
+    if (!this._filePath) return;
+
+    const raw = {};
+    this._collections.forEach((docs, collectionPath) => {
+      if (docs.size > 0) raw[collectionPath] = Object.fromEntries(docs);
+    });
+    fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+    fs.writeFileSync(this._filePath, JSON.stringify(raw, null, 2));
+  }
+}
+
+function splitDocPath(docPath) {
+  const segments = docPath.split('/');
+  return { collectionPath: segments.slice(0, -1).join('/'), id: segments[segments.length - 1] };
+}
+
+function createMemoryStorage(options = {}) {
+  return {
+    backend: options.filePath ? 'file' : 'memory',
+    db: new MemoryFirestore(options),
+    FieldValue
+  };
+}
+
+module.exports = { createMemoryStorage, MemoryFirestore, FieldValue };
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+async function rejected(userId, text) {
+  const confessionId = await h.submitConfession(userId, text);
+  await h.press(h.ADMIN_ID, `reject_${confessionId}`);
+  await h.send(h.ADMIN_ID, 'Names a real person');
+  return confessionId;
+}
+
+async function appeal(userId, confessionId, message) {
+  await h.press(userId, `file_appeal_${confessionId}`);
+  await h.send(userId, message);
+}
+
+test('an overturned appeal publishes the confession', async () => {
+  const confessionId = await rejected(10, 'My manager takes credit for everything I do');
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'rejected');
+
+  await appeal(10, confessionId, 'I removed nothing identifying, please look again');
+  assert.match(h.lastSentTo(10), /Appeal submitted/);
+
+  await h.send(h.ADMIN_ID, '/appeals');
+  assert.ok(h.lastSentTo(h.ADMIN_ID).includes('please look again'));
+
+  await h.press(h.ADMIN_ID, `appeal_overturn_${confessionId}`);
+  const confession = await h.repos.confessions.get(confessionId);
+  assert.strictEqual(confession.appeal.status, 'overturned');
+  assert.strictEqual(confession.status, 'approved');
+});
+
+test('an upheld appeal keeps the rejection and cannot be filed again', async () => {
+  const confessionId = await rejected(11, 'Something the admins will not like');
+  await appeal(11, confessionId, 'It is just my opinion');
+  await h.press(h.ADMIN_ID, `appeal_uphold_${confessionId}`);
+
+  const confession = await h.repos.confessions.get(confessionId);
+  assert.strictEqual(confession.appeal.status, 'upheld');
+  assert.strictEqual(confession.status, 'rejected');
+
+  await h.press(11, `file_appeal_${confessionId}`);
+  assert.match(h.callbackAnswers().pop(), /can no longer be appealed/);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { indexes } = require('../firestore.indexes.json');
+const h = require('./helpers/bot');
+
+test('approvals are logged and can be filtered by admin, user and action together', async () => {
+  const confessionId = await h.submitConfession(10, 'Something I never told my family');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+
+  await h.send(h.ADMIN_ID, `/auditlog admin:${h.ADMIN_ID} user:10 action:confession_approve`);
+  const text = h.lastSentTo(h.ADMIN_ID);
+  assert.match(text, /Audit Log \(page 1\)/);
+  assert.ok(text.includes(`confession_approve confession ${confessionId}`));
+
+  await h.send(h.ADMIN_ID, '/auditlog user:11 action:confession_approve');
+  assert.match(h.lastSentTo(h.ADMIN_ID), /No matching entries/);
+});
+
+test('unknown filters get the usage message and non-admins are refused', async () => {
+  await h.send(h.ADMIN_ID, '/auditlog who:me');
+  assert.match(h.lastSentTo(h.ADMIN_ID), /^Usage: \/auditlog/);
+
+  await h.send(10, '/auditlog');
+  assert.match(h.lastSentTo(10), /Access denied/);
+});
+
+test('every combination of audit log filters has a composite index', () => {
+  const filters = ['actorId', 'targetUserId', 'action'];
+  const indexed = indexes
+    .filter(index => index.collectionGroup === 'audit_log')
+    .map(index => index.fields.map(field => field.fieldPath));
+
+  for (let mask = 1; mask < 1 << filters.length; mask++) {
+    const used = filters.filter((field, bit) => mask & (1 << bit));
+    const match = indexed.some(fields =>
+      fields[fields.length - 1] === 'createdAt' &&
+      fields.length === used.length + 1 &&
+      used.every(field => fields.includes(field))
+    );
+    assert.ok(match, `no index for ${used.join(' + ')} + createdAt`);
+  }
+});
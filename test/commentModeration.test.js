@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+// Telegram user IDs have up to 52 significant bits
+const LARGEST_USER_ID = 2 ** 52 - 1;
+
+async function commentOn(confessionId, userId, text, parentId = null) {
+  const id = h.repos.comments.generateId(userId);
+  await h.repos.comments.add(confessionId, {
+    id,
+    text,
+    userId,
+    parentId,
+    pseudonym: 'Anonymous Heron',
+    createdAt: new Date().toISOString()
+  });
+  return id;
+}
+
+function lastButton(prefix) {
+  return h.buttons().filter(data => data.startsWith(prefix)).pop();
+}
+
+async function openPanel(confessionId) {
+  await h.press(h.ADMIN_ID, `refresh_comments_${confessionId}`);
+  await h.press(h.ADMIN_ID, lastButton('cmod_'));
+}
+
+test('the moderation panel buttons fit in 64 bytes for the largest IDs', async () => {
+  const createdAt = Date.parse('2099-12-31T23:59:59.999Z');
+  const confessionId = await h.publishedConfession(LARGEST_USER_ID, { number: 99999, createdAt });
+  await commentOn(confessionId, LARGEST_USER_ID, 'A comment from the largest ID');
+
+  h.calls.length = 0;
+  await openPanel(confessionId);
+
+  const data = h.buttons().filter(item => item.startsWith('cmoda_'));
+  assert.ok(data.some(item => item.startsWith('cmoda_m3_')));
+  data.forEach(item => assert.ok(Buffer.byteLength(item) <= 64, `${item} is ${Buffer.byteLength(item)} bytes`));
+});
+
+test('hiding asks for a reason, unhiding shows the comment again', async () => {
+  const confessionId = await h.publishedConfession(70, { number: 2 });
+  const commentId = await commentOn(confessionId, 71, 'Rude comment');
+
+  await openPanel(confessionId);
+  await h.press(h.ADMIN_ID, lastButton('cmoda_h_'));
+  await h.send(h.ADMIN_ID, 'Insults another reader');
+
+  let comment = await h.repos.comments.get(confessionId, commentId);
+  assert.strictEqual(comment.hidden, true);
+  assert.strictEqual(comment.hiddenReason, 'Insults another reader');
+
+  await openPanel(confessionId);
+  await h.press(h.ADMIN_ID, lastButton('cmoda_s_'));
+  comment = await h.repos.comments.get(confessionId, commentId);
+  assert.strictEqual(comment.hidden, false);
+});
+
+test('deleting removes the replies and a muted author cannot comment', async () => {
+  const confessionId = await h.publishedConfession(72, { number: 3 });
+  const commentId = await commentOn(confessionId, 73, 'Spam comment');
+  await commentOn(confessionId, 74, 'A reply to the spam', commentId);
+
+  await openPanel(confessionId);
+  await h.press(h.ADMIN_ID, lastButton('cmoda_m2_'));
+  await h.press(h.ADMIN_ID, lastButton('cmoda_d_'));
+  await h.send(h.ADMIN_ID, 'Advertising');
+
+  assert.strictEqual(await h.repos.comments.get(confessionId, commentId), null);
+  assert.ok(h.sentTo(h.ADMIN_ID).some(text => text.includes('Deleted 2 comments')));
+
+  await h.press(73, `add_comment_${confessionId}`);
+  assert.ok([...h.callbackAnswers(), ...h.sentTo(73)].some(text => /muted/.test(text || '')));
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+// The short confession key the comment buttons carry
+function keyFrom(prefix) {
+  return h.buttons().filter(data => data.startsWith(prefix)).pop().slice(prefix.length);
+}
+
+test('readers comment and reply under a pseudonym, replies land in the thread', async () => {
+  const confessionId = await h.publishedConfession(30, { number: 7 });
+
+  await h.send(31, '/start');
+  await h.press(31, `refresh_comments_${confessionId}`);
+  await h.press(31, `add_comment_${keyFrom('add_comment_')}`);
+  await h.send(31, 'Same thing happened to me');
+
+  const { comments } = await h.repos.comments.listTopLevel(confessionId);
+  assert.strictEqual(comments.length, 1);
+  assert.match(comments[0].pseudonym, /^Anonymous /);
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).totalComments, 1);
+
+  await h.send(32, '/start');
+  await h.press(32, `refresh_comments_${confessionId}`);
+  const reply = h.buttons().filter(data => data.startsWith('creply_')).pop();
+  await h.press(32, reply);
+  await h.send(32, 'Glad I am not alone');
+
+  const { comments: replies } = await h.repos.comments.listReplies(confessionId, comments[0].id);
+  assert.strictEqual(replies.length, 1);
+  assert.strictEqual((await h.repos.comments.get(confessionId, comments[0].id)).replyCount, 1);
+  assert.ok(h.sentTo(32).some(text => text.includes('Glad I am not alone')));
+});
+
+test('buttons sent with the full confession ID keep working', async () => {
+  const confessionId = await h.publishedConfession(33, { number: 8 });
+  await h.press(34, `comments_page_${confessionId}_0_n`);
+  assert.ok(h.sentTo(34).some(text => text.includes('Comments for Confession #8')));
+});
+
+test('comment buttons fit in 64 bytes for the largest user IDs and two-digit pages', async () => {
+  const userId = 2 ** 52 - 1;
+  const createdAt = Date.parse('2099-12-31T23:59:59.999Z');
+  const confessionId = await h.publishedConfession(userId, { number: 99999, createdAt });
+  for (let i = 0; i < 105; i++) {
+    await h.repos.comments.add(confessionId, {
+      id: h.repos.comments.generateId(userId, createdAt + i),
+      text: `Comment ${i}`,
+      userId,
+      pseudonym: 'Anonymous Fox',
+      createdAt: new Date(createdAt + i).toISOString()
+    });
+  }
+
+  h.calls.length = 0;
+  await h.press(40, `refresh_comments_${confessionId}`);
+  await h.press(40, `comments_page_${keyFrom('comments_page_').split('_')[0]}_10_t`);
+  await h.press(h.ADMIN_ID, `comments_page_${keyFrom('comments_page_').split('_')[0]}_10_n`);
+
+  const data = h.buttons();
+  assert.ok(data.some(item => item.startsWith('cvote_')));
+  assert.ok(data.some(item => item.startsWith('cmod_')));
+  data.forEach(item => assert.ok(Buffer.byteLength(item) <= 64, `${item} is ${Buffer.byteLength(item)} bytes`));
+});
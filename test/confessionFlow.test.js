@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+test('a text confession is stored as pending and sent to the admins for review', async () => {
+  const confessionId = await h.submitConfession(10, 'I still sleep with the lights on');
+
+  const confession = await h.repos.confessions.get(confessionId);
+  assert.strictEqual(confession.status, 'pending');
+  assert.strictEqual(confession.userId, 10);
+  assert.ok(h.sentTo(10).some(text => text.includes('Confession Submitted')));
+  assert.ok(h.sentTo(h.ADMIN_ID).some(text => text.includes('I still sleep with the lights on')));
+});
+
+test('a photo confession keeps the file and its caption', async () => {
+  await h.send(11, '📝 Send Confession');
+  await h.sendMessage(11, {
+    photo: [{ file_id: 'small', file_unique_id: 's', width: 1, height: 1 }, { file_id: 'large', file_unique_id: 'l', width: 9, height: 9 }],
+    caption: 'Found this on the library roof'
+  });
+
+  const approve = h.buttons().filter(data => data.startsWith('approve_')).pop();
+  const confession = await h.repos.confessions.get(approve.slice('approve_'.length));
+  assert.strictEqual(confession.media.type, 'photo');
+  assert.strictEqual(confession.media.fileId, 'large');
+  assert.strictEqual(confession.text, 'Found this on the library roof');
+  assert.ok(h.calls.some(call => call.method === 'sendPhoto' && call.payload.chat_id.toString() === h.ADMIN_ID.toString()));
+});
+
+test('media review captions stay within Telegram\'s 1024-character limit', async () => {
+  await h.send(12, '📝 Send Confession');
+  await h.sendMessage(12, {
+    voice: { file_id: 'voice', file_unique_id: 'v', duration: 3 },
+    caption: 'word '.repeat(199).trim()
+  });
+
+  const review = h.calls.filter(call => call.method === 'sendVoice' && call.payload.chat_id.toString() === h.ADMIN_ID.toString()).pop();
+  assert.ok(review.payload.caption.length <= 1024);
+});
+
+test('unsupported messages are refused', async () => {
+  await h.send(13, '📝 Send Confession');
+  await h.sendMessage(13, { sticker: { file_id: 'st', file_unique_id: 'st', width: 1, height: 1, is_animated: false, is_video: false, type: 'regular' } });
+
+  assert.strictEqual((await h.repos.confessions.list()).filter(confession => confession.userId === 13).length, 0);
+});
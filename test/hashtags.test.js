@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { normalizeHashtag, extractHashtags } = require('../lib/hashtags');
+const h = require('./helpers/bot');
+
+test('normalizeHashtag lower-cases and keeps a single #', () => {
+  assert.strictEqual(normalizeHashtag('##Study'), '#study');
+  assert.strictEqual(normalizeHashtag('Exams'), '#exams');
+});
+
+test('extractHashtags returns unique tags in order of first use', () => {
+  assert.deepStrictEqual(extractHashtags('#Love and #exams, more #love #ፍቅር'), ['#love', '#exams', '#ፍቅር']);
+});
+
+test('extractHashtags skips confession numbers and overlong tags', () => {
+  assert.deepStrictEqual(extractHashtags('Reply to #123 #a1'), ['#a1']);
+  assert.deepStrictEqual(extractHashtags(`#${'a'.repeat(25)} #${'b'.repeat(24)}`), [`#${'b'.repeat(24)}`]);
+});
+
+test('extractHashtags handles missing text', () => {
+  assert.deepStrictEqual(extractHashtags(undefined), []);
+});
+
+test('subscribers hear about a published confession with their tag and find it under /tag', async () => {
+  await h.send(20, '/start');
+  await h.send(20, '/tag #exam_week');
+  await h.press(20, 'htsub_exam_week');
+  assert.deepStrictEqual((await h.repos.users.get(20)).hashtagSubscriptions, ['#exam_week']);
+
+  const confessionId = await h.submitConfession(10, 'Three papers due tomorrow #Exam_Week');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+  assert.strictEqual(await h.runJob('hashtags'), 200);
+
+  const notification = h.calls.find(call => call.payload?.chat_id?.toString() === '20' && call.payload.text?.startsWith('🏷️ New confession'));
+  assert.strictEqual(notification.payload.parse_mode, 'Markdown');
+  assert.strictEqual(notification.payload.text.split('\n')[0], '🏷️ New confession in #exam\\_week:');
+
+  await h.send(21, '/tag #exam_week');
+  assert.ok(h.lastSentTo(21).includes('Three papers due tomorrow'));
+});
@@ -0,0 +1,154 @@
+// Loads the bot on the in-memory backend with the Telegram API stubbed out, so tests
+// can feed it updates and look at what it would have sent. Every test file runs in
+// its own process, so each one gets a fresh bot and an empty store.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.BOT_TOKEN = '123:test';
+process.env.ADMIN_IDS = '1';
+process.env.CHANNEL_ID = '-100';
+process.env.CRON_SECRET = 'test-secret';
+process.env.PUBLISH_QUIET_HOURS = 'off';
+
+const { Telegram } = require('telegraf');
+
+const ADMIN_ID = 1;
+const CHANNEL_ID = '-100';
+
+const calls = [];
+let apiOverride = null;
+let nextMessageId = 100;
+let nextUpdateId = 1;
+
+// Records every API call; `apiOverride(method, payload)` can return a result or throw
+Telegram.prototype.callApi = async function (method, payload) {
+  calls.push({ method, payload });
+  if (apiOverride) {
+    const result = await apiOverride(method, payload);
+    if (result !== undefined) return result;
+  }
+  if (method === 'getMe') return { id: 999, username: 'testbot', is_bot: true };
+  if (method === 'getChatMember') return { status: 'member' };
+  return { message_id: ++nextMessageId, chat: { id: payload.chat_id }, date: 0 };
+};
+
+const handler = require('../../api/bot');
+const { bot, repos } = handler;
+bot.botInfo = { id: 999, username: 'testbot', is_bot: true };
+
+function from(userId) {
+  return { id: userId, is_bot: false, first_name: `User${userId}`, language_code: 'en' };
+}
+
+function chat(userId) {
+  return { id: userId, type: 'private' };
+}
+
+async function sendMessage(userId, message) {
+  await bot.handleUpdate({
+    update_id: nextUpdateId++,
+    message: { message_id: ++nextMessageId, from: from(userId), chat: chat(userId), date: Math.floor(Date.now() / 1000), ...message }
+  });
+}
+
+// Text messages; a leading /command gets its bot_command entity like in Telegram
+async function send(userId, text) {
+  const command = text.match(/^\/\S+/);
+  await sendMessage(userId, {
+    text,
+    entities: command ? [{ type: 'bot_command', offset: 0, length: command[0].length }] : undefined
+  });
+}
+
+async function press(userId, data, message = {}) {
+  await bot.handleUpdate({
+    update_id: nextUpdateId++,
+    callback_query: {
+      id: String(nextUpdateId),
+      from: from(userId),
+      chat_instance: 'test',
+      data,
+      message: { message_id: ++nextMessageId, chat: chat(userId), date: 0, text: 'x', ...message }
+    }
+  });
+}
+
+// Runs a cron job through the HTTP handler, like Vercel Cron does
+async function runJob(job) {
+  let status = null;
+  const res = { status: (code) => ({ send: () => { status = code; } }) };
+  await handler({ query: { job }, headers: { authorization: `Bearer ${process.env.CRON_SECRET}` } }, res);
+  return status;
+}
+
+// Text or caption of every message sent to a chat, oldest first
+function sentTo(chatId) {
+  return calls
+    .filter(call => call.payload?.chat_id?.toString() === chatId.toString() && (call.payload.text || call.payload.caption))
+    .map(call => call.payload.text || call.payload.caption);
+}
+
+function lastSentTo(chatId) {
+  return sentTo(chatId).pop();
+}
+
+function callbackAnswers() {
+  return calls.filter(call => call.method === 'answerCallbackQuery').map(call => call.payload.text);
+}
+
+// Every callback_data on the inline keyboards sent so far
+function buttons() {
+  return calls.flatMap(call => (call.payload?.reply_markup?.inline_keyboard || []).flat())
+    .map(button => button.callback_data)
+    .filter(Boolean);
+}
+
+// Sends a confession through the menu flow and returns its ID, read from the review buttons
+async function submitConfession(userId, text) {
+  await send(userId, '/start');
+  await send(userId, '📝 Send Confession');
+  await send(userId, text);
+
+  const approve = buttons().filter(data => data.startsWith('approve_')).pop();
+  return approve ? approve.slice('approve_'.length) : null;
+}
+
+// Stores an approved confession with its comment section, as if it had been published
+async function publishedConfession(userId, { text = 'A published confession', number = 1, createdAt = Date.now() } = {}) {
+  const confessionId = `confess_${userId}_${createdAt}`;
+  await repos.confessions.create(confessionId, {
+    confessionId,
+    userId,
+    text,
+    status: 'approved',
+    confessionNumber: number,
+    hidden: false,
+    hashtags: [],
+    totalComments: 0,
+    createdAt: new Date(createdAt).toISOString(),
+    approvedAt: new Date(createdAt).toISOString()
+  });
+  await repos.comments.createSection(confessionId, { confessionNumber: number, confessionText: text });
+  return confessionId;
+}
+
+function setApiOverride(override) {
+  apiOverride = override;
+}
+
+module.exports = {
+  ADMIN_ID,
+  CHANNEL_ID,
+  bot,
+  repos,
+  calls,
+  send,
+  sendMessage,
+  press,
+  runJob,
+  sentTo,
+  lastSentTo,
+  callbackAnswers,
+  buttons,
+  submitConfession,
+  publishedConfession,
+  setApiOverride
+};
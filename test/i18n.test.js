@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { t } = require('../lib/i18n');
+const en = require('../lib/i18n/en');
+const h = require('./helpers/bot');
+
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+
+// Labels of the inline buttons on the last message sent to a chat
+function lastButtonLabels(chatId) {
+  const call = h.calls.filter(item => item.payload?.chat_id?.toString() === chatId.toString()).pop();
+  return (call.payload.reply_markup?.inline_keyboard || []).flat().map(button => button.text);
+}
+
+for (const locale of ['am', 'om']) {
+  test(`the ${locale} catalog only has English keys, with the same placeholders`, () => {
+    const catalog = require(`../lib/i18n/${locale}`);
+    for (const [key, text] of Object.entries(catalog)) {
+      assert.ok(key in en, `${key} is missing from the English catalog`);
+      assert.deepStrictEqual(placeholders(text), placeholders(en[key]), key);
+    }
+  });
+}
+
+test('a user who picked Amharic gets the confession flow in Amharic', async () => {
+  await h.send(10, '/start');
+  await h.press(10, 'set_lang_am');
+  assert.strictEqual((await h.repos.users.get(10)).locale, 'am');
+
+  await h.send(10, t('am', 'menu.send'));
+  assert.strictEqual(h.lastSentTo(10), t('am', 'confession.prompt'));
+
+  await h.send(10, '/cancel');
+  assert.ok(h.lastSentTo(10).startsWith(t('am', 'flow.cancelled', { flow: t('am', 'flow.confession') })));
+});
+
+test('screens and buttons follow the language, including the shared buttons', async () => {
+  await h.send(11, '/start');
+  await h.press(11, 'set_lang_om');
+
+  await h.send(11, t('om', 'menu.trending'));
+  assert.ok(h.lastSentTo(11).startsWith(t('om', 'trending.title', { period: t('om', 'period.today') })));
+  const labels = lastButtonLabels(11);
+  assert.ok(labels.includes(t('om', 'button.send_confession')));
+  assert.ok(!labels.includes(en['button.send_confession']));
+});
+
+test('notifications use the recipient\'s language, not the sender\'s', async () => {
+  const confessionId = await h.publishedConfession(12, { number: 7 });
+  await h.send(12, '/start');
+  await h.press(12, 'set_lang_am');
+
+  await h.send(13, '/start');
+  await h.press(13, `add_comment_${confessionId}`);
+  await h.send(13, 'I know exactly how that feels');
+
+  // The pseudonym and the comment are filled in around the translated text
+  const notice = t('am', 'notify.comment', { name: 'NAME', number: 7, preview: 'PREVIEW' });
+  const translated = notice.split('NAME')[1].split('PREVIEW')[0];
+  assert.ok(h.sentTo(12).some(text => text.includes(translated)));
+  assert.ok(h.sentTo(13).some(text => text.startsWith(t('en', 'comments.title', { number: 7 }))));
+});
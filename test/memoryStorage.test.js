@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createMemoryStorage } = require('../lib/storage/memory');
+
+async function seed(db, docs) {
+  for (const [id, data] of Object.entries(docs)) {
+    await db.collection('items').doc(id).set(data);
+  }
+}
+
+test('set, merge, update and delete documents', async () => {
+  const { db, FieldValue } = createMemoryStorage();
+  const ref = db.collection('users').doc('1');
+
+  await ref.set({ name: 'a', stats: { posts: 1 }, tags: ['x'] });
+  await ref.set({ stats: { likes: 2 }, old: FieldValue.delete() }, { merge: true });
+  await ref.update({ 'stats.posts': FieldValue.increment(2), tags: FieldValue.arrayUnion('x', 'y') });
+  assert.deepStrictEqual((await ref.get()).data(), { name: 'a', stats: { posts: 3, likes: 2 }, tags: ['x', 'y'] });
+
+  await ref.update({ tags: FieldValue.arrayRemove('x'), name: FieldValue.delete() });
+  assert.deepStrictEqual((await ref.get()).data(), { stats: { posts: 3, likes: 2 }, tags: ['y'] });
+
+  await ref.delete();
+  assert.strictEqual((await ref.get()).exists, false);
+});
+
+test('update fails on a missing document', async () => {
+  const { db } = createMemoryStorage();
+  await assert.rejects(db.collection('users').doc('1').update({ a: 1 }), /NOT_FOUND/);
+});
+
+test('returned data is a copy', async () => {
+  const { db } = createMemoryStorage();
+  const ref = db.collection('users').doc('1');
+  await ref.set({ tags: ['x'] });
+
+  (await ref.get()).data().tags.push('y');
+  assert.deepStrictEqual((await ref.get()).data().tags, ['x']);
+});
+
+test('queries filter, order, offset, limit and page with startAfter', async () => {
+  const { db } = createMemoryStorage();
+  await seed(db, {
+    a: { n: 1, status: 'on', tags: ['x'] },
+    b: { n: 2, status: 'on', tags: ['y'] },
+    c: { n: 3, status: 'off', tags: ['x', 'y'] },
+    d: { n: 4, status: 'on', tags: [] }
+  });
+  const ids = (snapshot) => snapshot.docs.map(doc => doc.id);
+
+  const on = db.collection('items').where('status', '==', 'on').orderBy('n', 'desc');
+  assert.deepStrictEqual(ids(await on.get()), ['d', 'b', 'a']);
+  assert.deepStrictEqual(ids(await on.offset(1).limit(1).get()), ['b']);
+  assert.deepStrictEqual(ids(await on.startAfter(4).get()), ['b', 'a']);
+
+  const tagged = db.collection('items').where('tags', 'array-contains-any', ['y']).orderBy('n');
+  assert.deepStrictEqual(ids(await tagged.get()), ['b', 'c']);
+  assert.deepStrictEqual(ids(await db.collection('items').where('n', 'in', [1, 3]).get()), ['a', 'c']);
+  assert.strictEqual((await db.collection('items').where('n', '>', 1).count().get()).data().count, 3);
+});
+
+test('documents missing the ordered field are left out', async () => {
+  const { db } = createMemoryStorage();
+  await seed(db, { a: { n: 1 }, b: {} });
+  const snapshot = await db.collection('items').orderBy('n').get();
+  assert.deepStrictEqual(snapshot.docs.map(doc => doc.id), ['a']);
+});
+
+test('subcollections are separate from their parent collection', async () => {
+  const { db } = createMemoryStorage();
+  const parent = db.collection('confessions').doc('1');
+  await parent.set({ text: 'hi' });
+  await parent.collection('viewers').doc('7').set({ at: 1 });
+
+  assert.strictEqual((await db.collection('confessions').get()).size, 1);
+  assert.strictEqual((await parent.collection('viewers').get()).size, 1);
+});
+
+test('batches apply every write together', async () => {
+  const { db } = createMemoryStorage();
+  const batch = db.batch();
+  batch.set(db.collection('items').doc('a'), { n: 1 });
+  batch.set(db.collection('items').doc('b'), { n: 2 });
+
+  assert.strictEqual((await db.collection('items').get()).size, 0);
+  await batch.commit();
+  assert.strictEqual((await db.collection('items').get()).size, 2);
+});
+
+test('transactions run one at a time, so increments are not lost', async () => {
+  const { db } = createMemoryStorage();
+  const ref = db.collection('counters').doc('c');
+  await ref.set({ value: 0 });
+
+  await Promise.all(Array.from({ length: 20 }, () => db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    transaction.update(ref, { value: doc.data().value + 1 });
+  })));
+
+  assert.strictEqual((await ref.get()).data().value, 20);
+});
+
+test('a failed transaction writes nothing and does not block the next one', async () => {
+  const { db } = createMemoryStorage();
+  const ref = db.collection('items').doc('a');
+
+  await assert.rejects(db.runTransaction(async (transaction) => {
+    transaction.set(ref, { n: 1 });
+    throw new Error('abort');
+  }), /abort/);
+  assert.strictEqual((await ref.get()).exists, false);
+
+  await db.runTransaction(async (transaction) => transaction.set(ref, { n: 2 }));
+  assert.strictEqual((await ref.get()).data().n, 2);
+});
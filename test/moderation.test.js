@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { DEFAULT_RULES, moderate, tokenize } = require('../lib/moderation');
+const h = require('./helpers/bot');
+
+const withWords = (words) => DEFAULT_RULES.map(rule =>
+  rule.id === 'banned_words_en' ? { ...rule, config: { ...rule.config, words } } : rule
+);
+
+test('tokenize lower-cases and keeps Latin and Ethiopic words', () => {
+  assert.deepStrictEqual(tokenize('Hello, ሰላም World!'), ['hello', 'ሰላም', 'world']);
+});
+
+test('plain text passes the default rules', () => {
+  const result = moderate('I failed my exam and nobody knows yet.', DEFAULT_RULES);
+  assert.strictEqual(result.verdict, 'pass');
+  assert.deepStrictEqual(result.matches, []);
+});
+
+test('banned words reject whole words only', () => {
+  const rules = withWords(['cheat']);
+  assert.strictEqual(moderate('I will cheat on the exam', rules).verdict, 'reject');
+  assert.strictEqual(moderate('The cheater got caught', rules).verdict, 'pass');
+});
+
+test('links and mentions are flagged, not rejected', () => {
+  const link = moderate('Join us at t.me/somechannel', DEFAULT_RULES);
+  assert.strictEqual(link.verdict, 'flag');
+  assert.strictEqual(link.flags[0].ruleId, 'links');
+
+  const mention = moderate('Ask @someone_here about it', DEFAULT_RULES);
+  assert.strictEqual(mention.verdict, 'flag');
+  assert.strictEqual(mention.flags[0].ruleId, 'mentions');
+});
+
+test('shouting is flagged as spam', () => {
+  const result = moderate('WHY DOES NOBODY EVER LISTEN TO ME IN THIS PLACE', DEFAULT_RULES);
+  assert.deepStrictEqual(result.flags.map(flag => flag.ruleId), ['spam']);
+});
+
+test('a rejection wins over flags and carries its reason', () => {
+  const result = moderate('cheat and visit example.com', withWords(['cheat']));
+  assert.strictEqual(result.verdict, 'reject');
+  assert.strictEqual(result.reason, 'Your confession contains language that is not allowed.');
+  assert.strictEqual(result.flags.length, 1);
+});
+
+test('disabled rules and invalid regex patterns never match', () => {
+  const rules = [
+    { id: 'off', type: 'links', action: 'reject', enabled: false, config: {} },
+    { id: 'broken', type: 'regex', action: 'reject', enabled: true, config: { pattern: '([' } }
+  ];
+  assert.strictEqual(moderate('see example.com ([', rules).verdict, 'pass');
+});
+
+test('a flagged confession still reaches review with the flags shown', async () => {
+  const confessionId = await h.submitConfession(10, 'I keep a secret blog at example.com about my office');
+
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'pending');
+  assert.ok(h.sentTo(h.ADMIN_ID).some(text => text.includes('Flagged by auto-moderation')));
+});
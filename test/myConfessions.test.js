@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+test('My Confessions lists a pending confession with edit and withdraw buttons', async () => {
+  const confessionId = await h.submitConfession(10, 'I still have not told anyone I quit');
+  await h.send(10, '/myconfessions');
+
+  assert.ok(h.lastSentTo(10).includes('I still have not told anyone I quit'));
+  assert.ok(h.buttons().includes(`myconf_edit_${confessionId}`));
+  assert.ok(h.buttons().includes(`myconf_withdraw_${confessionId}`));
+});
+
+test('an invalid edit asks again and only a valid one is saved', async () => {
+  const confessionId = await h.submitConfession(11, 'The first version of my confession');
+  await h.press(11, `myconf_edit_${confessionId}`);
+
+  await h.send(11, 'hey');
+  assert.match(h.lastSentTo(11), /too short/);
+  await h.send(11, 'x'.repeat(1001));
+  assert.match(h.lastSentTo(11), /too long/);
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).text, 'The first version of my confession');
+
+  await h.send(11, 'The second, better version of my confession');
+  assert.match(h.lastSentTo(11), /Confession updated/);
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).text, 'The second, better version of my confession');
+
+  // The flow is over, so further text doesn't edit the confession again
+  await h.send(11, 'A message sent after the edit');
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).text, 'The second, better version of my confession');
+});
+
+test('a pending confession can be withdrawn', async () => {
+  const confessionId = await h.submitConfession(12, 'Maybe I should keep this one to myself');
+  await h.press(12, `myconf_withdraw_${confessionId}`);
+
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'withdrawn');
+});
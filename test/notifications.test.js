@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+test('achievement notifications have their own setting', async () => {
+  await h.send(10, '/start');
+  await h.send(10, '⚙️ Settings');
+  assert.ok(h.lastSentTo(10).includes('✅ Achievements'));
+  assert.ok(h.buttons().includes('notif_toggle_h'));
+
+  await h.press(10, 'notif_toggle_h');
+  const confessionId = await h.submitConfession(10, 'My very first confession here');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+
+  assert.ok(h.sentTo(10).some(text => text.includes('was approved')));
+  assert.ok(!h.sentTo(10).some(text => text.includes('Achievement Unlocked')));
+});
+
+test('profiles that switched off newConfession keep hashtag notifications off', async () => {
+  await h.send(11, '/start');
+  await h.repos.users.update(11, { notifications: { newConfession: false } });
+
+  await h.send(11, '⚙️ Settings');
+  assert.ok(h.lastSentTo(11).includes('❌ New posts in my hashtags'));
+});
+
+test('digests list notifications as plain text and keep user text intact', async () => {
+  await h.send(12, '/start');
+  await h.press(12, 'notif_mode');
+  assert.strictEqual((await h.repos.users.get(12)).notificationDelivery, 'hourly');
+
+  const confessionId = await h.submitConfession(12, 'I rename every variable to snake_case');
+  // The first test used up the current publishing slot
+  await h.repos.publishQueue.updateSettings({ lastPublishedAt: null });
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+  await h.press(13, `add_comment_${confessionId}`);
+  await h.send(13, 'Same, *every* single_one');
+  assert.ok(!h.sentTo(12).some(text => text.includes('was approved')));
+
+  await h.repos.notificationDigests.reschedule(12, new Date(Date.now() - 1000).toISOString());
+  assert.strictEqual(await h.runJob('digest'), 200);
+
+  const digest = h.lastSentTo(12);
+  assert.match(digest, /Your notification digest/);
+  assert.match(digest, /🎉 Your Confession #\d+ was approved!/);
+  assert.ok(digest.includes('"Same, *every* single_one"'));
+});
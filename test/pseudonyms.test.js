@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { OP_BADGE, pseudonymFor, commentAuthorLabel } = require('../lib/pseudonyms');
+const h = require('./helpers/bot');
+
+test('pseudonyms are stable for a confession and distinct per commenter', () => {
+  const names = Array.from({ length: 24 }, (_, index) => pseudonymFor('confess_1_100', index));
+  assert.strictEqual(new Set(names).size, 24);
+  assert.strictEqual(pseudonymFor('confess_1_100', 3), names[3]);
+  names.forEach(name => assert.match(name, /^Anonymous [A-Z][a-z]+$/));
+});
+
+test('a number is added once every animal is taken', () => {
+  assert.strictEqual(pseudonymFor('confess_1_100', 24), `${pseudonymFor('confess_1_100', 0)} 2`);
+  assert.strictEqual(pseudonymFor('confess_1_100', 48), `${pseudonymFor('confess_1_100', 0)} 3`);
+});
+
+test('commentAuthorLabel marks the original poster', () => {
+  assert.strictEqual(commentAuthorLabel({ pseudonym: 'Anonymous Owl', isOP: true }), `Anonymous Owl ${OP_BADGE}`);
+  assert.strictEqual(commentAuthorLabel({ pseudonym: 'Anonymous Owl' }), 'Anonymous Owl');
+  assert.strictEqual(commentAuthorLabel({}), 'Anonymous');
+});
+
+test('a commenter keeps one pseudonym per confession and the author is marked OP', async () => {
+  const confessionId = await h.publishedConfession(80, { number: 4 });
+  for (const userId of [80, 81, 82]) await h.send(userId, '/start');
+  const comment = async (userId, text) => {
+    await h.press(userId, `add_comment_${confessionId}`);
+    await h.send(userId, text);
+  };
+
+  await comment(81, 'First thought');
+  await comment(82, 'Another reader here');
+  await comment(81, 'Second thought');
+  await comment(80, 'Thanks for reading');
+
+  const { comments } = await h.repos.comments.listTopLevel(confessionId);
+  const byUser = (userId) => comments.filter(item => item.userId === userId);
+  assert.strictEqual(new Set(byUser(81).map(item => item.pseudonym)).size, 1);
+  assert.notStrictEqual(byUser(81)[0].pseudonym, byUser(82)[0].pseudonym);
+  assert.strictEqual(byUser(80)[0].isOP, true);
+  assert.ok(!byUser(81)[0].isOP);
+});
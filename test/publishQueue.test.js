@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+test('a failed channel post keeps the confession queued and the time slot free', async () => {
+  h.setApiOverride((method, payload) => {
+    if (method.startsWith('send') && payload.chat_id?.toString() === h.CHANNEL_ID) {
+      throw new Error('Bad Request: chat not found');
+    }
+  });
+  const confessionId = await h.submitConfession(10, 'My first attempt at a channel post');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'scheduled');
+  assert.ok(await h.repos.publishQueue.get(confessionId));
+  assert.ok(!(await h.repos.publishQueue.getSettings()).lastPublishedAt);
+
+  h.setApiOverride(null);
+  assert.strictEqual(await h.runJob('publish'), 200);
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'approved');
+  assert.strictEqual(await h.repos.publishQueue.get(confessionId), null);
+});
+
+test('the next confession waits for the following slot', async () => {
+  const confessionId = await h.submitConfession(11, 'Waiting my turn in the queue');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+  await h.runJob('publish');
+
+  assert.strictEqual((await h.repos.confessions.get(confessionId)).status, 'scheduled');
+  assert.ok(await h.repos.publishQueue.get(confessionId));
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const {
+  RATE_LIMIT_POLICIES,
+  effectiveLimits,
+  availableTokens,
+  spendToken,
+  formatWait,
+  overrideFor
+} = require('../lib/rateLimits');
+const h = require('./helpers/bot');
+
+const { capacity, refillMs } = RATE_LIMIT_POLICIES.comment;
+
+test('limits scale with reputation only for policies that opt in', () => {
+  assert.deepStrictEqual(effectiveLimits('comment'), { capacity, refillMs });
+  assert.deepStrictEqual(effectiveLimits('comment', { reputation: 500 }), { capacity: capacity * 2, refillMs: refillMs / 2 });
+  assert.deepStrictEqual(effectiveLimits('comment', { reputation: -5 }), { capacity: 1, refillMs: refillMs * 2 });
+  assert.deepStrictEqual(effectiveLimits('report', { reputation: 500 }), {
+    capacity: RATE_LIMIT_POLICIES.report.capacity,
+    refillMs: RATE_LIMIT_POLICIES.report.refillMs
+  });
+});
+
+test('overrides exempt or tighten, and a policy override beats `all`', () => {
+  assert.strictEqual(effectiveLimits('comment', { overrides: { all: 'exempt' } }), null);
+  assert.deepStrictEqual(effectiveLimits('comment', { overrides: { all: 'exempt', comment: 'strict' } }), {
+    capacity: 1,
+    refillMs: refillMs * 4
+  });
+  assert.strictEqual(overrideFor({ all: 'strict' }, 'follow'), 'strict');
+  assert.strictEqual(overrideFor(null, 'follow'), null);
+});
+
+test('a new bucket is full and spends down to a wait', () => {
+  const limits = { capacity: 2, refillMs: 1000 };
+  let bucket = null;
+
+  for (let i = 0; i < 2; i++) {
+    const result = spendToken(bucket, limits, 0);
+    assert.strictEqual(result.allowed, true);
+    bucket = { tokens: result.tokens, updatedAt: 0 };
+  }
+
+  const refused = spendToken(bucket, limits, 250);
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.retryAfterMs, 750);
+});
+
+test('tokens refill over time up to the capacity', () => {
+  const limits = { capacity: 3, refillMs: 1000 };
+  assert.strictEqual(availableTokens({ tokens: 0, updatedAt: 0 }, limits, 1500), 1.5);
+  assert.strictEqual(availableTokens({ tokens: 0, updatedAt: 0 }, limits, 60000), 3);
+});
+
+test('formatWait rounds up to seconds, then minutes', () => {
+  assert.strictEqual(formatWait(1), '1 second');
+  assert.strictEqual(formatWait(45000), '45 seconds');
+  assert.strictEqual(formatWait(61000), '2 minutes');
+});
+
+test('a limited user is told how long to wait until an admin exempts them', async () => {
+  assert.ok(await h.submitConfession(30, 'The first confession I sent today'));
+  h.calls.length = 0;
+  assert.strictEqual(await h.submitConfession(30, 'A second one right after the first'), null);
+  assert.ok(h.sentTo(30).some(text => /^⏳ Too many confessions\. Please wait \d+ (seconds?|minutes?) and try again\.$/.test(text)));
+
+  await h.send(h.ADMIN_ID, '/ratelimit 30 exempt confession');
+  assert.match(h.lastSentTo(h.ADMIN_ID), /Updated/);
+  h.calls.length = 0;
+  assert.ok(await h.submitConfession(30, 'A second one right after the first'));
+});
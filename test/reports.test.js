@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+const THRESHOLD = 3;
+
+async function reportedComment(confessionNumber) {
+  const confessionId = await h.publishedConfession(50 + confessionNumber, { number: confessionNumber });
+  const commentId = h.repos.comments.generateId(60);
+  await h.repos.comments.add(confessionId, {
+    id: commentId,
+    text: 'Something nasty about a classmate',
+    userId: 60,
+    pseudonym: 'Anonymous Owl',
+    createdAt: new Date().toISOString()
+  });
+  return { confessionId, commentId, key: h.repos.reports.targetKey(confessionId, commentId) };
+}
+
+async function reportBy(readers, key) {
+  for (const reader of readers) {
+    await h.press(reader, `rptc_h_${key}`);
+  }
+}
+
+test('a comment is hidden once enough readers report it and shows up in the queue', async () => {
+  const { confessionId, commentId, key } = await reportedComment(1);
+  await reportBy([101, 102], key);
+  assert.ok(!(await h.repos.comments.get(confessionId, commentId)).hidden);
+
+  await h.press(101, `rptc_h_${key}`);
+  assert.match(h.callbackAnswers().pop(), /already reported/);
+
+  await reportBy([103], key);
+  assert.strictEqual((await h.repos.comments.get(confessionId, commentId)).hidden, true);
+
+  await h.send(h.ADMIN_ID, '/reports');
+  assert.match(h.lastSentTo(h.ADMIN_ID), new RegExp(`${THRESHOLD} reports .*🙈 hidden`));
+});
+
+test('a comment unhidden after a hide decision can be reported and auto-hidden again', async () => {
+  const { confessionId, commentId, key } = await reportedComment(2);
+  await reportBy([201, 202, 203], key);
+  await h.press(h.ADMIN_ID, `rptq_h_${key}`);
+  assert.strictEqual((await h.repos.reports.get(key)).status, 'hidden');
+
+  await h.press(h.ADMIN_ID, `cmoda_s_${confessionId}_${commentId}`);
+  const report = await h.repos.reports.get(key);
+  assert.strictEqual((await h.repos.comments.get(confessionId, commentId)).hidden, false);
+  assert.strictEqual(report.status, 'dismissed');
+  assert.strictEqual(report.count, 0);
+
+  await reportBy([201], key);
+  const reopened = await h.repos.reports.get(key);
+  assert.strictEqual(reopened.status, 'open');
+  assert.strictEqual(reopened.count, 1);
+
+  await reportBy([202, 203], key);
+  assert.strictEqual((await h.repos.comments.get(confessionId, commentId)).hidden, true);
+});
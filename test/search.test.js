@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { indexTokens, parseQuery, queryTokens, rankResults } = require('../lib/search');
+const h = require('./helpers/bot');
+
+test('indexTokens drops stop words and adds normalized hashtags', () => {
+  assert.deepStrictEqual(indexTokens('I love the library', ['#Study']), ['love', 'library', '#study']);
+});
+
+test('parseQuery splits keywords, hashtags and a number range', () => {
+  assert.deepStrictEqual(parseQuery('exam stress #Study 200-#100'), {
+    words: ['exam', 'stress'],
+    hashtags: ['#study'],
+    range: { from: 100, to: 200 }
+  });
+});
+
+test('queryTokens puts hashtags first and stops at ten', () => {
+  const parsed = parseQuery('one two three four five six seven eight nine ten eleven #tag');
+  const tokens = queryTokens(parsed);
+  assert.strictEqual(tokens.length, 10);
+  assert.strictEqual(tokens[0], '#tag');
+});
+
+test('rankResults requires every hashtag and ranks by matched keywords, then number', () => {
+  const confessions = [
+    { confessionNumber: 1, searchTokens: ['exam', 'stress', '#study'] },
+    { confessionNumber: 2, searchTokens: ['exam', '#study'] },
+    { confessionNumber: 3, searchTokens: ['exam', 'stress'] },
+    { confessionNumber: 4, searchTokens: ['stress', '#study'] }
+  ];
+
+  const ranked = rankResults(confessions, parseQuery('exam stress #study'));
+  assert.deepStrictEqual(ranked.map(confession => confession.confessionNumber), [1, 4, 2]);
+});
+
+test('rankResults drops confessions matching no keyword', () => {
+  const ranked = rankResults([{ confessionNumber: 1, searchTokens: ['library'] }], parseQuery('exam'));
+  assert.deepStrictEqual(ranked, []);
+});
+
+// Approves and publishes straight away, whatever the publishing interval
+async function published(userId, text) {
+  const confessionId = await h.submitConfession(userId, text);
+  await h.repos.publishQueue.updateSettings({ lastPublishedAt: null });
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+  return confessionId;
+}
+
+test('/search finds published confessions by keyword and number, not hidden ones', async () => {
+  await published(10, 'Exam stress is killing me #study');
+  const hiddenId = await published(11, 'More exam stress before finals');
+  await published(12, 'I love my cat');
+  await h.repos.confessions.update(hiddenId, { hidden: true });
+
+  await h.send(20, '/search exam stress');
+  let text = h.lastSentTo(20);
+  assert.match(text, /Results for "exam stress" \(1\)/);
+  assert.ok(text.includes('killing me'));
+  assert.ok(!text.includes('before finals'));
+
+  await h.send(20, '/search 3-3');
+  text = h.lastSentTo(20);
+  assert.match(text, /\(1\)/);
+  assert.ok(text.includes('I love my cat'));
+});
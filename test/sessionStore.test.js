@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { createMemoryStorage } = require('../lib/storage/memory');
+const { createSessionsRepository } = require('../lib/repositories/sessions');
+const { createSessionStore } = require('../lib/sessionStore');
+const h = require('./helpers/bot');
+
+function setup(ttlMs = 60 * 1000) {
+  const sessions = createSessionsRepository(createMemoryStorage());
+  return { sessions, store: createSessionStore(sessions, { ttlMs }) };
+}
+
+test('an empty session is never written', async () => {
+  const { sessions, store } = setup();
+  await store.set('1:1', {});
+  assert.strictEqual(await sessions.get('1:1'), null);
+  assert.strictEqual(await store.get('1:1'), undefined);
+});
+
+test('sessions round-trip and removed fields are deleted', async () => {
+  const { store } = setup();
+  await store.set('1:1', { flow: 'confession', draft: { text: 'hi' } });
+
+  const session = await store.get('1:1');
+  assert.deepStrictEqual(session, { flow: 'confession', draft: { text: 'hi' } });
+
+  delete session.draft;
+  await store.set('1:1', session);
+  assert.deepStrictEqual(await store.get('1:1'), { flow: 'confession' });
+});
+
+test('two instances changing different fields keep both changes', async () => {
+  const { sessions, store } = setup();
+  await store.set('1:1', { a: 1, b: 1 });
+
+  const first = await store.get('1:1');
+  const second = await store.get('1:1');
+  first.a = 2;
+  second.b = 2;
+  await store.set('1:1', first);
+  await store.set('1:1', second);
+
+  assert.deepStrictEqual(await store.get('1:1'), { a: 2, b: 2 });
+  assert.strictEqual((await sessions.get('1:1')).version, 3);
+});
+
+test('expired sessions read as missing and are purged', async () => {
+  const { sessions, store } = setup(-1000);
+  await store.set('1:1', { flow: 'comment' });
+
+  assert.strictEqual(await store.get('1:1'), undefined);
+  assert.strictEqual(await sessions.deleteExpired(new Date().toISOString()), 1);
+});
+
+test('delete removes the session', async () => {
+  const { store } = setup();
+  await store.set('1:1', { flow: 'comment' });
+  await store.delete('1:1');
+  assert.strictEqual(await store.get('1:1'), undefined);
+});
+
+test('a flow started in one update is stored for the next one', async () => {
+  await h.send(20, '/start');
+  await h.send(20, '📝 Send Confession');
+  assert.ok(await h.repos.sessions.get('20:20'));
+
+  await h.send(20, 'Nobody at work knows I cannot swim');
+  assert.ok(h.sentTo(20).some(text => text.includes('Confession Submitted')));
+});
+
+test('the sessions job purges expired sessions', async () => {
+  await h.repos.sessions.update('21:21', { flow: 'comment' }, -1000);
+
+  assert.strictEqual(await h.runJob('sessions'), 200);
+  assert.strictEqual(await h.repos.sessions.deleteExpired(new Date().toISOString()), 0);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const h = require('./helpers/bot');
+
+test('a published confession is ranked under All time straight away', async () => {
+  const confessionId = await h.submitConfession(10, 'Nobody knows I still sleep with the lights on');
+  await h.press(h.ADMIN_ID, `approve_${confessionId}`);
+
+  const confession = await h.repos.confessions.get(confessionId);
+  assert.strictEqual(confession.status, 'approved');
+  assert.strictEqual(confession.engagementScore, 0);
+  assert.strictEqual(typeof confession.trendingScore, 'number');
+
+  await h.press(11, 'trending_all');
+  assert.ok(h.lastSentTo(11).includes('lights on'));
+});
+
+test('All time skips hidden confessions and still fills the list', async () => {
+  for (let number = 1; number <= 8; number++) {
+    const confessionId = await h.publishedConfession(20 + number, { number, text: `Ranked confession ${number}` });
+    await h.repos.confessions.update(confessionId, { engagementScore: 100 + number, hidden: number > 5 });
+  }
+
+  await h.press(30, 'trending_all');
+  const text = h.lastSentTo(30);
+  [5, 4, 3, 2, 1].forEach(number => assert.ok(text.includes(`#${number}\n`), `#${number} missing`));
+  [6, 7, 8].forEach(number => assert.ok(!text.includes(`#${number}\n`), `hidden #${number} listed`));
+});